@@ -12,10 +12,16 @@
 const FocusLiteApp = (function() {
     'use strict';
 
+    // Tempo na tela do aviso de fim de fase quando o timer já seguiu sozinho
+    const ALERT_TOAST_DURATION_MS = 10000;
+
     // Estado da aplicação
     let isInitialized = false;
     let modules = {};
 
+    // Aviso de fim de fase exibido no momento
+    let alertToast = null;
+
     /**
      * Inicializa a aplicação FocusLite
      */
@@ -38,23 +44,81 @@ const FocusLiteApp = (function() {
 
     /**
      * Função principal de inicialização
+     * Aguarda o armazenamento (IndexedDB ou localStorage) antes dos módulos
      */
     function initializeApp() {
+        Storage.init()
+            .catch(error => {
+                console.error('Erro ao inicializar o armazenamento:', error);
+            })
+            .then(initializeModules);
+    }
+
+    /**
+     * Inicializa os módulos da aplicação
+     */
+    function initializeModules() {
         try {
-            // Verifica se o localStorage está disponível
+            console.log(`Armazenamento ativo: ${Storage.getBackendName()}`);
+
+            // Verifica se há armazenamento disponível
             if (!Storage.isStorageAvailable()) {
-                console.warn('localStorage não está disponível. Algumas funcionalidades podem não funcionar.');
+                console.warn('Nenhum armazenamento disponível. Algumas funcionalidades podem não funcionar.');
+            } else {
+                // Atualiza os dados salvos para o esquema atual
+                runStorageMigrations();
             }
 
+            // Inicializa a sincronização entre abas (antes do timer, que pode
+            // pedir para assumir uma sessão de outra aba ao ser restaurado)
+            initializeTabSync();
+
             // Inicializa o roteador
             initializeRouter();
 
+            // Inicializa a paleta de comandos (antes dos módulos que registram comandos nela)
+            initializeCommandPalette();
+
+            // Inicializa o histórico de sessões (antes do timer, que pode
+            // concluir fases pendentes ao restaurar a sessão salva)
+            initializeSessionHistory();
+
             // Inicializa o gerenciador de tarefas
             initializeTaskManager();
 
+            // Inicializa os sons e o serviço de notificações (antes do timer,
+            // que avisa as fases concluídas enquanto a página estava fechada)
+            initializeSoundEngine();
+            initializeNotificationService();
+
             // Inicializa o timer Pomodoro
             initializePomodoroTimer();
 
+            // Inicializa o registro de interrupções do foco
+            initializeInterruptionLog();
+
+            // Inicializa a página de configurações
+            initializeSettings();
+
+            // Inicializa os perfis do timer (depois do timer e das configurações,
+            // que recebem os tempos do perfil ativo)
+            initializeTimerProfiles();
+
+            // Inicializa o painel de estatísticas
+            initializeStatsDashboard();
+
+            // Inicializa o arquivo de tarefas concluídas
+            initializeTaskArchive();
+
+            // Inicializa o backup de dados
+            initializeDataBackup();
+
+            // Inicializa as exportações CSV/Markdown
+            initializeTaskExport();
+
+            // Registra o service worker (instalação e uso offline)
+            initializeOfflineSupport();
+
             // Configura event listeners globais
             setupGlobalEventListeners();
 
@@ -72,6 +136,52 @@ const FocusLiteApp = (function() {
         }
     }
 
+    /**
+     * Executa as migrações pendentes dos dados salvos
+     */
+    function runStorageMigrations() {
+        const result = Storage.runMigrations();
+
+        if (result.applied.length > 0) {
+            console.log(`✅ Dados migrados da versão ${result.fromVersion} para ${result.toVersion}`);
+        }
+
+        if (!result.failed) return;
+
+        // A nova tentativa fica na paleta enquanto a falha estiver registrada
+        CommandPalette.registerCommand({
+            id: 'data.retryMigration',
+            title: 'Tentar atualizar os dados salvos de novo',
+            section: 'Dados',
+            keywords: ['migração', 'versão', 'erro'],
+            isAvailable: () => Boolean(Storage.getFailedMigration()),
+            run: retryStorageMigrations
+        });
+
+        // Uma falha já avisada não é repetida a cada inicialização
+        if (!result.skipped) {
+            showNotification('Não foi possível atualizar parte dos dados salvos. Uma cópia de segurança foi guardada.', 'error', {
+                label: 'Tentar de novo',
+                onClick: retryStorageMigrations
+            }, Infinity);
+        }
+    }
+
+    /**
+     * Tenta de novo a migração que falhou; com sucesso, recarrega a página
+     * para que os módulos leiam os dados atualizados
+     */
+    function retryStorageMigrations() {
+        const result = Storage.retryMigrations();
+
+        if (result.failed) {
+            showErrorMessage(`A atualização dos dados falhou de novo: ${result.failed.error}`);
+            return;
+        }
+
+        window.location.reload();
+    }
+
     /**
      * Inicializa o roteador
      */
@@ -103,6 +213,72 @@ const FocusLiteApp = (function() {
         }
     }
 
+    /**
+     * Inicializa a paleta de comandos e registra a navegação entre páginas
+     */
+    function initializeCommandPalette() {
+        try {
+            // Elementos DOM da paleta
+            const paletteElements = {
+                overlay: document.getElementById('command-palette'),
+                input: document.getElementById('palette-input'),
+                list: document.getElementById('palette-results')
+            };
+
+            // Inicializa a paleta
+            CommandPalette.init(paletteElements);
+            modules.commandPalette = CommandPalette;
+
+            // Páginas registradas no roteador (inclusive as adicionadas depois)
+            CommandPalette.registerProvider('pages', () => Object.entries(Router.getAllPages()).map(([page, info]) => ({
+                id: `page.${page}`,
+                title: `Ir para ${info.name}`,
+                section: 'Navegação',
+                keywords: [info.description || ''],
+                isAvailable: () => Router.getCurrentPage() !== page,
+                run: () => Router.navigateTo(page)
+            })));
+
+            console.log('✅ Paleta de comandos inicializada');
+
+        } catch (error) {
+            console.error('Erro ao inicializar paleta de comandos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa a sincronização entre abas
+     */
+    function initializeTabSync() {
+        try {
+            TabSync.init();
+            modules.tabSync = TabSync;
+
+            console.log('✅ Sincronização entre abas inicializada');
+
+        } catch (error) {
+            console.error('Erro ao inicializar sincronização entre abas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa o histórico de sessões
+     */
+    function initializeSessionHistory() {
+        try {
+            SessionHistory.init();
+            modules.sessionHistory = SessionHistory;
+
+            console.log('✅ Histórico de sessões inicializado');
+
+        } catch (error) {
+            console.error('Erro ao inicializar histórico de sessões:', error);
+            throw error;
+        }
+    }
+
     /**
      * Inicializa o gerenciador de tarefas
      */
@@ -111,6 +287,19 @@ const FocusLiteApp = (function() {
             // Elementos DOM para o gerenciador de tarefas
             const taskElements = {
                 taskInput: document.getElementById('task-input'),
+                quickAddPreview: document.getElementById('quick-add-preview'),
+                taskPriority: document.getElementById('task-priority'),
+                taskDueDate: document.getElementById('task-due-date'),
+                taskDueTime: document.getElementById('task-due-time'),
+                taskRecurrence: document.getElementById('task-recurrence'),
+                taskEstimate: document.getElementById('task-estimate'),
+                sortSelect: document.getElementById('task-sort'),
+                filterProject: document.getElementById('task-filter-project'),
+                filterTag: document.getElementById('task-filter-tag'),
+                filterStatus: document.getElementById('task-filter-status'),
+                filterSearch: document.getElementById('task-search'),
+                clearFiltersBtn: document.getElementById('clear-filters-btn'),
+                archiveCompletedBtn: document.getElementById('archive-completed-btn'),
                 addTaskForm: document.getElementById('add-task-form'),
                 tasksList: document.getElementById('tasks-list'),
                 emptyState: document.getElementById('empty-state'),
@@ -130,6 +319,38 @@ const FocusLiteApp = (function() {
         }
     }
 
+    /**
+     * Inicializa o módulo de sons (alarmes, tique-taque e som ambiente)
+     */
+    function initializeSoundEngine() {
+        try {
+            SoundEngine.init();
+            modules.soundEngine = SoundEngine;
+
+            console.log('✅ Sons inicializados');
+
+        } catch (error) {
+            console.error('Erro ao inicializar sons:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa o serviço de notificações
+     */
+    function initializeNotificationService() {
+        try {
+            NotificationService.init();
+            modules.notificationService = NotificationService;
+
+            console.log('✅ Serviço de notificações inicializado');
+
+        } catch (error) {
+            console.error('Erro ao inicializar serviço de notificações:', error);
+            throw error;
+        }
+    }
+
     /**
      * Inicializa o timer Pomodoro
      */
@@ -143,6 +364,7 @@ const FocusLiteApp = (function() {
                 pauseBtn: document.getElementById('pause-btn'),
                 resetBtn: document.getElementById('reset-btn'),
                 cyclesCount: document.getElementById('cycles-count'),
+                cyclesRound: document.getElementById('cycles-round'),
                 currentTask: document.getElementById('current-task'),
                 currentTaskText: document.getElementById('current-task-text'),
                 modeBtns: document.querySelectorAll('.mode-btn')
@@ -152,6 +374,12 @@ const FocusLiteApp = (function() {
             PomodoroTimer.init(timerElements);
             modules.pomodoroTimer = PomodoroTimer;
 
+            // Restaura a tarefa vinculada à sessão salva
+            const { taskId } = PomodoroTimer.getTimerState();
+            if (taskId) {
+                TaskManager.setCurrentTask(taskId);
+            }
+
             console.log('✅ Timer Pomodoro inicializado');
 
         } catch (error) {
@@ -160,6 +388,229 @@ const FocusLiteApp = (function() {
         }
     }
 
+    /**
+     * Inicializa o registro de interrupções
+     */
+    function initializeInterruptionLog() {
+        try {
+            // Elementos DOM para o registro
+            const interruptionElements = {
+                overlay: document.getElementById('interruption-dialog'),
+                form: document.getElementById('interruption-form'),
+                noteInput: document.getElementById('interruption-note'),
+                voidBtn: document.getElementById('interruption-void-btn'),
+                interruptBtn: document.getElementById('interrupt-btn'),
+                count: document.getElementById('interruption-count')
+            };
+
+            // Inicializa o registro
+            InterruptionLog.init(interruptionElements);
+            modules.interruptionLog = InterruptionLog;
+
+            console.log('✅ Registro de interrupções inicializado');
+
+        } catch (error) {
+            console.error('Erro ao inicializar registro de interrupções:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa a página de configurações
+     */
+    function initializeSettings() {
+        try {
+            // Registra a página no roteador
+            Router.addPage('settings', {
+                name: 'Configurações',
+                element: document.getElementById('settings-page'),
+                description: 'Preferências do timer, som e notificações'
+            });
+
+            // Elementos DOM para as configurações
+            const settingsElements = {
+                form: document.getElementById('settings-form'),
+                preview: document.getElementById('settings-preview'),
+                resetBtn: document.getElementById('settings-reset-btn'),
+                status: document.getElementById('settings-status')
+            };
+
+            // Inicializa as configurações
+            SettingsManager.init(settingsElements);
+            modules.settings = SettingsManager;
+
+            console.log('✅ Configurações inicializadas');
+
+        } catch (error) {
+            console.error('Erro ao inicializar configurações:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa os perfis do timer
+     */
+    function initializeTimerProfiles() {
+        try {
+            // Elementos DOM para os perfis
+            const profileElements = {
+                select: document.getElementById('timer-profile-select'),
+                hint: document.getElementById('settings-profile-hint'),
+                list: document.getElementById('profile-list'),
+                nameInput: document.getElementById('profile-name-input'),
+                createBtn: document.getElementById('profile-create-btn'),
+                projectList: document.getElementById('profile-project-list'),
+                status: document.getElementById('profile-status')
+            };
+
+            // Inicializa os perfis
+            TimerProfiles.init(profileElements);
+            modules.timerProfiles = TimerProfiles;
+
+            console.log('✅ Perfis do timer inicializados');
+
+        } catch (error) {
+            console.error('Erro ao inicializar perfis do timer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa o painel de estatísticas
+     */
+    function initializeStatsDashboard() {
+        try {
+            // Registra a página no roteador
+            Router.addPage('stats', {
+                name: 'Estatísticas',
+                element: document.getElementById('stats-page'),
+                description: 'Evolução do foco e das tarefas'
+            });
+
+            // Elementos DOM para o painel
+            const statsElements = {
+                summary: document.getElementById('stats-summary'),
+                dailyChart: document.getElementById('stats-daily-chart'),
+                weeklyChart: document.getElementById('stats-weekly-chart'),
+                tasksChart: document.getElementById('stats-tasks-chart'),
+                accuracyChart: document.getElementById('stats-accuracy-chart'),
+                interruptionsChart: document.getElementById('stats-interruptions-chart'),
+                emptyState: document.getElementById('stats-empty-state')
+            };
+
+            // Inicializa o painel
+            StatsDashboard.init(statsElements);
+            modules.statsDashboard = StatsDashboard;
+
+            console.log('✅ Painel de estatísticas inicializado');
+
+        } catch (error) {
+            console.error('Erro ao inicializar painel de estatísticas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa o arquivo de tarefas e registra sua página
+     */
+    function initializeTaskArchive() {
+        try {
+            // Registra a página no roteador
+            Router.addPage('archive', {
+                name: 'Arquivo',
+                element: document.getElementById('archive-page'),
+                description: 'Tarefas concluídas arquivadas'
+            });
+
+            // Elementos DOM para o arquivo
+            const archiveElements = {
+                list: document.getElementById('archive-list'),
+                searchInput: document.getElementById('archive-search'),
+                count: document.getElementById('archive-count'),
+                emptyState: document.getElementById('archive-empty-state')
+            };
+
+            // Inicializa o arquivo
+            TaskArchive.init(archiveElements);
+            modules.taskArchive = TaskArchive;
+
+            console.log('✅ Arquivo de tarefas inicializado');
+
+        } catch (error) {
+            console.error('Erro ao inicializar arquivo de tarefas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa o suporte offline (service worker)
+     * O registro é assíncrono e não atrasa o restante da aplicação
+     */
+    function initializeOfflineSupport() {
+        try {
+            OfflineSupport.init().then(registered => {
+                if (registered) {
+                    console.log('✅ Suporte offline inicializado');
+                }
+            });
+            modules.offlineSupport = OfflineSupport;
+
+        } catch (error) {
+            console.error('Erro ao inicializar suporte offline:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa o backup de dados
+     */
+    function initializeDataBackup() {
+        try {
+            // Elementos DOM para exportação e importação
+            const backupElements = {
+                exportBtn: document.getElementById('export-json-btn'),
+                importInput: document.getElementById('import-file-input'),
+                importBtn: document.getElementById('import-json-btn'),
+                status: document.getElementById('data-status')
+            };
+
+            // Inicializa o backup
+            DataBackup.init(backupElements);
+            modules.dataBackup = DataBackup;
+
+            console.log('✅ Backup de dados inicializado');
+
+        } catch (error) {
+            console.error('Erro ao inicializar backup de dados:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Inicializa as exportações CSV/Markdown
+     */
+    function initializeTaskExport() {
+        try {
+            // Elementos DOM para exportação
+            const exportElements = {
+                taskInput: document.getElementById('task-input'),
+                tasksCsvBtn: document.getElementById('export-tasks-csv-btn'),
+                sessionsCsvBtn: document.getElementById('export-sessions-csv-btn'),
+                markdownBtn: document.getElementById('export-markdown-btn')
+            };
+
+            // Inicializa a exportação
+            TaskExport.init(exportElements);
+            modules.taskExport = TaskExport;
+
+            console.log('✅ Exportação de tarefas inicializada');
+
+        } catch (error) {
+            console.error('Erro ao inicializar exportação de tarefas:', error);
+            throw error;
+        }
+    }
+
     /**
      * Configura event listeners globais
      */
@@ -173,9 +624,40 @@ const FocusLiteApp = (function() {
         // Event listener para tarefas adicionadas
         document.addEventListener('taskAdded', handleTaskAdded);
 
+        // Event listener para tarefas adicionadas em lote
+        document.addEventListener('tasksBulkAdded', handleTasksBulkAdded);
+
         // Event listener para tarefas concluídas
         document.addEventListener('taskToggled', handleTaskToggled);
 
+        // Event listeners para edição e remoção de tarefas (com "Desfazer")
+        document.addEventListener('taskEdited', handleTaskEdited);
+        document.addEventListener('taskDeleted', handleTaskDeleted);
+        document.addEventListener('allTasksCleared', () => showUndoableMessage('Todas as tarefas foram removidas.'));
+        document.addEventListener('allTasksCompleted', () => showUndoableMessage('Todas as tarefas foram concluídas!'));
+
+        // Event listeners para o arquivo de tarefas
+        document.addEventListener('tasksArchived', handleTasksArchived);
+        document.addEventListener('taskRestored', event => showUndoableMessage(`Tarefa "${event.detail.task.text}" restaurada.`));
+
+        // Perfil do timer trocado ao escolher uma tarefa
+        document.addEventListener('timerProfileChanged', handleTimerProfileChanged);
+
+        // Pomodoro anulado após uma interrupção
+        document.addEventListener('pomodoroVoided', () => showNotification('Pomodoro anulado. O foco recomeça do início.', 'info'));
+
+        // Nova versão baixada pelo service worker
+        document.addEventListener('appUpdateAvailable', handleAppUpdateAvailable);
+
+        // Aviso de fim de fase na tela, com as ações do alerta
+        document.addEventListener('alertRaised', handleAlertRaised);
+        document.addEventListener('alertAcknowledged', removeAlertToast);
+        document.addEventListener('alertActionUnavailable', event => showNotification(event.detail.message, 'info'));
+
+        // Event listeners para desfazer/refazer
+        document.addEventListener('taskChangeUndone', handleTaskChangeUndone);
+        document.addEventListener('taskChangeRedone', handleTaskChangeRedone);
+
         // Event listener para teclas de atalho
         document.addEventListener('keydown', handleKeyboardShortcuts);
 
@@ -209,6 +691,20 @@ const FocusLiteApp = (function() {
         console.log('Tarefa atual alterada:', task ? task.text : 'Nenhuma');
     }
 
+    /**
+     * Avisa quando a tarefa escolhida troca o perfil do timer
+     * @param {CustomEvent} event - Evento de perfil alterado
+     */
+    function handleTimerProfileChanged(event) {
+        const { profile, reason } = event.detail;
+
+        if (reason === 'task') {
+            showNotification(`Perfil "${profile.name}" ativado para esta tarefa.`, 'info');
+        } else if (reason === 'project') {
+            showNotification(`Perfil "${profile.name}" ativado pelo projeto da tarefa.`, 'info');
+        }
+    }
+
     /**
      * Manipula tarefas adicionadas
      * @param {CustomEvent} event - Evento de tarefa adicionada
@@ -218,7 +714,19 @@ const FocusLiteApp = (function() {
         console.log('Nova tarefa adicionada:', task.text);
 
         // Mostra notificação visual
-        showSuccessMessage(`Tarefa "${task.text}" adicionada com sucesso!`);
+        showUndoableMessage(`Tarefa "${task.text}" adicionada com sucesso!`);
+    }
+
+    /**
+     * Manipula tarefas adicionadas em lote
+     * @param {CustomEvent} event - Evento de tarefas adicionadas
+     */
+    function handleTasksBulkAdded(event) {
+        const { tasks } = event.detail;
+        console.log(`${tasks.length} tarefas adicionadas em lote`);
+
+        // Mostra notificação visual
+        showUndoableMessage(`${tasks.length} tarefa(s) adicionada(s) do checklist!`);
     }
 
     /**
@@ -226,12 +734,126 @@ const FocusLiteApp = (function() {
      * @param {CustomEvent} event - Evento de tarefa alterada
      */
     function handleTaskToggled(event) {
-        const { task } = event.detail;
+        const { task, nextOccurrence } = event.detail;
         const action = task.completed ? 'concluída' : 'desmarcada';
         console.log(`Tarefa ${action}:`, task.text);
 
+        // Tarefas recorrentes informam quando vence a próxima ocorrência
+        let message = `Tarefa "${task.text}" ${action}!`;
+        if (nextOccurrence) {
+            const [year, month, day] = nextOccurrence.dueDate.split('-');
+            message += ` Próxima ocorrência: ${day}/${month}/${year}.`;
+        }
+
+        // Mostra notificação visual
+        showUndoableMessage(message);
+    }
+
+    /**
+     * Manipula tarefas editadas
+     * @param {CustomEvent} event - Evento de tarefa editada
+     */
+    function handleTaskEdited(event) {
+        const { task } = event.detail;
+        console.log('Tarefa editada:', task.text);
+
+        // Mostra notificação visual
+        showUndoableMessage(`Tarefa renomeada para "${task.text}".`);
+    }
+
+    /**
+     * Manipula tarefas removidas
+     * @param {CustomEvent} event - Evento de tarefa removida
+     */
+    function handleTaskDeleted(event) {
+        const { task } = event.detail;
+        console.log('Tarefa removida:', task.text);
+
         // Mostra notificação visual
-        showSuccessMessage(`Tarefa "${task.text}" ${action}!`);
+        showUndoableMessage(`Tarefa "${task.text}" excluída.`);
+    }
+
+    /**
+     * Mostra o aviso de fim de fase com os botões de ação
+     * @param {CustomEvent} event - Evento do alerta
+     */
+    function handleAlertRaised(event) {
+        const { message, actions, persistent } = event.detail;
+
+        removeAlertToast();
+        alertToast = showNotification(message, 'info', actions.map(action => ({
+            label: action.label,
+            onClick: () => NotificationService.runAction(action.id)
+        })), persistent ? Infinity : ALERT_TOAST_DURATION_MS);
+    }
+
+    /**
+     * Remove o aviso de fim de fase da tela
+     */
+    function removeAlertToast() {
+        if (alertToast) {
+            removeNotification(alertToast);
+            alertToast = null;
+        }
+    }
+
+    /**
+     * Oferece a nova versão do app; o aviso fica na tela até ser usado
+     */
+    function handleAppUpdateAvailable() {
+        showNotification('Nova versão disponível.', 'info', {
+            label: 'Atualizar',
+            onClick: () => OfflineSupport.applyUpdate()
+        }, Infinity);
+    }
+
+    /**
+     * Manipula tarefas arquivadas
+     * @param {CustomEvent} event - Evento de tarefas arquivadas
+     */
+    function handleTasksArchived(event) {
+        const { tasks, automatic } = event.detail;
+        const message = tasks.length === 1
+            ? `Tarefa "${tasks[0].text}" arquivada.`
+            : `${tasks.length} tarefas concluídas arquivadas.`;
+
+        // O arquivamento automático não entra no desfazer
+        if (automatic) {
+            showSuccessMessage(message);
+        } else {
+            showUndoableMessage(message);
+        }
+    }
+
+    /**
+     * Manipula alterações desfeitas
+     * @param {CustomEvent} event - Evento de alteração desfeita
+     */
+    function handleTaskChangeUndone(event) {
+        const entryId = event.detail.id;
+        const notification = showNotification(`Desfeito: ${event.detail.label}`, 'info', {
+            label: 'Refazer',
+            onClick: () => TaskManager.redo(entryId)
+        });
+        bindHistoryAction(notification, () => TaskManager.getRedoId() === entryId);
+    }
+
+    /**
+     * Manipula alterações refeitas
+     * @param {CustomEvent} event - Evento de alteração refeita
+     */
+    function handleTaskChangeRedone(event) {
+        showUndoableMessage(`Refeito: ${event.detail.label}`);
+    }
+
+    /**
+     * Verifica se o foco está em um campo de texto
+     * @param {Element} element - Elemento em foco
+     * @returns {boolean} True se for um campo editável
+     */
+    function isEditableElement(element) {
+        return Boolean(element) &&
+            (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.isContentEditable);
     }
 
     /**
@@ -239,6 +861,13 @@ const FocusLiteApp = (function() {
      * @param {KeyboardEvent} event - Evento de tecla pressionada
      */
     function handleKeyboardShortcuts(event) {
+        // Ctrl/Cmd + K: Abrir a paleta de comandos
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            CommandPalette.toggle();
+            return;
+        }
+
         // Ctrl/Cmd + Enter: Adicionar tarefa
         if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
             const taskInput = document.getElementById('task-input');
@@ -251,6 +880,18 @@ const FocusLiteApp = (function() {
             }
         }
 
+        // Ctrl/Cmd + Z: Desfazer / Ctrl/Cmd + Shift + Z (ou Ctrl + Y): Refazer
+        // Dentro de campos de texto, mantém o desfazer nativo do navegador
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y') && !isEditableElement(event.target)) {
+            event.preventDefault();
+            if (key === 'z' && !event.shiftKey) {
+                TaskManager.undo();
+            } else {
+                TaskManager.redo();
+            }
+        }
+
         // Ctrl/Cmd + 1: Ir para Tarefas
         if ((event.ctrlKey || event.metaKey) && event.key === '1') {
             event.preventDefault();
@@ -263,13 +904,18 @@ const FocusLiteApp = (function() {
             Router.navigateTo('timer');
         }
 
+        // I: Registrar interrupção (durante um foco em andamento)
+        if (!isEditableElement(event.target) && InterruptionLog.handleShortcut(event)) {
+            return;
+        }
+
         // Espaço: Iniciar/Pausar timer (se estiver na página do timer)
         if (event.key === ' ' && Router.getCurrentPage() === 'timer') {
             event.preventDefault();
             const timer = modules.pomodoroTimer;
             if (timer) {
                 const state = timer.getTimerState();
-                if (state.isRunning) {
+                if (state.isRunning && !state.isPaused) {
                     timer.pauseTimer();
                 } else {
                     timer.startTimer();
@@ -283,14 +929,14 @@ const FocusLiteApp = (function() {
      */
     function handleVisibilityChange() {
         if (document.hidden) {
-            console.log('Página oculta - pausando timer se necessário');
-            // Pausa o timer se a página estiver oculta
-            const timer = modules.pomodoroTimer;
-            if (timer && timer.getTimerState().isRunning) {
-                timer.pauseTimer();
-            }
+            console.log('Página oculta - o timer continua pelo relógio');
         } else {
             console.log('Página visível novamente');
+            // Recalcula o tempo restante, pois o navegador pode ter atrasado os ticks
+            const timer = modules.pomodoroTimer;
+            if (timer) {
+                timer.syncWithClock();
+            }
         }
     }
 
@@ -330,6 +976,42 @@ const FocusLiteApp = (function() {
         showNotification(message, 'success');
     }
 
+    /**
+     * Mostra mensagem de sucesso com a ação "Desfazer"
+     * @param {string} message - Mensagem a ser exibida
+     */
+    function showUndoableMessage(message) {
+        // A notificação desfaz a alteração que a gerou, a última registrada agora
+        const entryId = TaskManager.getUndoId();
+        if (entryId === null) {
+            showSuccessMessage(message);
+            return;
+        }
+
+        const notification = showNotification(message, 'success', {
+            label: 'Desfazer',
+            onClick: () => TaskManager.undo(entryId)
+        });
+        bindHistoryAction(notification, () => TaskManager.getUndoId() === entryId);
+    }
+
+    /**
+     * Remove o botão de desfazer/refazer de uma notificação quando a
+     * alteração a que ele se refere deixa de ser a próxima da pilha
+     * @param {HTMLElement} notification - Elemento da notificação
+     * @param {Function} isCurrent - Retorna true enquanto a ação ainda vale
+     */
+    function bindHistoryAction(notification, isCurrent) {
+        const handleHistoryChanged = () => {
+            if (!notification.isConnected || !isCurrent()) {
+                const button = notification.querySelector('.notification-action');
+                if (button) button.remove();
+                document.removeEventListener('undoHistoryChanged', handleHistoryChanged);
+            }
+        };
+        document.addEventListener('undoHistoryChanged', handleHistoryChanged);
+    }
+
     /**
      * Mostra mensagem de erro
      * @param {string} message - Mensagem a ser exibida
@@ -342,13 +1024,32 @@ const FocusLiteApp = (function() {
      * Mostra notificação
      * @param {string} message - Mensagem a ser exibida
      * @param {string} type - Tipo da notificação ('success', 'error', 'info')
+     * @param {Object|Array} action - Botão opcional { label, onClick } (ex.: "Desfazer") ou lista de botões
+     * @param {number} duration - Tempo na tela em ms (Infinity mantém até o clique)
+     * @returns {HTMLElement} Elemento da notificação
      */
-    function showNotification(message, type = 'info') {
+    function showNotification(message, type = 'info', action = null, duration = null) {
         // Cria elemento de notificação
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.textContent = message;
 
+        // Com ação, a notificação fica mais tempo na tela
+        const actions = [].concat(action || []);
+        const displayTime = duration || (actions.length > 0 ? 5000 : 3000);
+
+        actions.forEach(item => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = item.label;
+            button.addEventListener('click', () => {
+                item.onClick();
+                removeNotification(notification);
+            });
+            notification.appendChild(button);
+        });
+
         // Estilos da notificação
         Object.assign(notification.style, {
             position: 'fixed',
@@ -381,15 +1082,25 @@ const FocusLiteApp = (function() {
             notification.style.transform = 'translateX(0)';
         }, 100);
 
-        // Remove após 3 segundos
+        // Remove após alguns segundos
+        if (Number.isFinite(displayTime)) {
+            setTimeout(() => removeNotification(notification), displayTime);
+        }
+
+        return notification;
+    }
+
+    /**
+     * Remove uma notificação com animação de saída
+     * @param {HTMLElement} notification - Elemento da notificação
+     */
+    function removeNotification(notification) {
+        notification.style.transform = 'translateX(100%)';
         setTimeout(() => {
-            notification.style.transform = 'translateX(100%)';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 300);
     }
 
     /**
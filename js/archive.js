@@ -0,0 +1,277 @@
+/**
+ * Módulo do Arquivo de Tarefas
+ * Exibe as tarefas concluídas que foram arquivadas
+ *
+ * Funcionalidades:
+ * - Listar as tarefas arquivadas, das mais recentes às mais antigas
+ * - Buscar no texto, no projeto e nas tags das arquivadas
+ * - Restaurar uma tarefa para a lista
+ * - Excluir uma tarefa definitivamente
+ *
+ * As tarefas continuam no TaskManager (marcadas com archivedAt), por isso
+ * seguem contando nas estatísticas e no histórico de sessões.
+ */
+
+const TaskArchive = (function() {
+    'use strict';
+
+    // Texto buscado
+    let search = '';
+
+    // Elementos DOM
+    const elements = {
+        list: null,
+        searchInput: null,
+        count: null,
+        emptyState: null
+    };
+
+    /**
+     * Inicializa o módulo do arquivo
+     * @param {Object} domElements - Objeto com referências aos elementos DOM
+     */
+    function init(domElements) {
+        // Armazena referências aos elementos DOM
+        Object.assign(elements, domElements);
+
+        // Configura event listeners
+        setupEventListeners();
+
+        // Registra o arquivamento na paleta de comandos
+        registerCommands();
+
+        // Renderiza a lista inicial
+        render();
+
+        console.log('Módulo do arquivo inicializado com sucesso');
+    }
+
+    /**
+     * Configura os event listeners que mantêm a lista atualizada
+     */
+    function setupEventListeners() {
+        if (elements.searchInput) {
+            elements.searchInput.addEventListener('input', event => setSearch(event.target.value));
+        }
+
+        document.addEventListener('pageChanged', handlePageChanged);
+        document.addEventListener('tasksArchived', renderIfVisible);
+        document.addEventListener('taskRestored', renderIfVisible);
+        document.addEventListener('taskDeleted', renderIfVisible);
+        document.addEventListener('tasksReloaded', renderIfVisible);
+        document.addEventListener('allTasksCleared', renderIfVisible);
+        document.addEventListener('taskChangeUndone', renderIfVisible);
+        document.addEventListener('taskChangeRedone', renderIfVisible);
+    }
+
+    /**
+     * Registra os comandos do arquivo na paleta de comandos
+     */
+    function registerCommands() {
+        CommandPalette.registerCommand({
+            id: 'archive.search',
+            title: 'Buscar no arquivo',
+            section: 'Tarefas',
+            keywords: ['arquivadas', 'restaurar'],
+            run: () => {
+                Router.navigateTo('archive');
+                if (elements.searchInput) elements.searchInput.focus();
+            }
+        });
+    }
+
+    /**
+     * Atualiza a lista ao entrar na página do arquivo
+     * @param {CustomEvent} event - Evento de mudança de página
+     */
+    function handlePageChanged(event) {
+        if (event.detail.currentPage === 'archive') {
+            render();
+        }
+    }
+
+    /**
+     * Atualiza a lista apenas se a página estiver visível
+     */
+    function renderIfVisible() {
+        if (Router.isPageActive('archive')) {
+            render();
+        }
+    }
+
+    /**
+     * Define o texto buscado e atualiza a lista
+     * @param {string} text - Texto buscado
+     */
+    function setSearch(text) {
+        search = String(text || '').trim();
+        if (elements.searchInput && elements.searchInput.value.trim() !== search) {
+            elements.searchInput.value = search;
+        }
+        render();
+    }
+
+    /**
+     * Normaliza um texto para a busca (minúsculas, sem acentos)
+     * @param {string} text - Texto original
+     * @returns {string} Texto normalizado
+     */
+    function normalize(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Obtém as tarefas arquivadas que correspondem à busca
+     * @returns {Array} Tarefas arquivadas encontradas
+     */
+    function getMatchingTasks() {
+        const archived = TaskManager.getArchivedTasks();
+        if (!search) return archived;
+
+        const terms = normalize(search).split(/\s+/);
+        return archived.filter(task => {
+            const haystack = normalize(TaskManager.formatTaskText(task));
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    /**
+     * Renderiza a lista de tarefas arquivadas
+     */
+    function render() {
+        if (!elements.list) return;
+
+        const total = TaskManager.getArchivedTasks().length;
+        const matching = getMatchingTasks();
+
+        elements.list.innerHTML = matching.map(createTaskHtml).join('');
+
+        if (total > 0 && matching.length === 0) {
+            elements.list.innerHTML = '<li class="tasks-no-results">Nenhuma tarefa arquivada corresponde à busca.</li>';
+        }
+
+        if (elements.count) {
+            elements.count.textContent = search
+                ? `${matching.length} de ${total} tarefa(s)`
+                : `${total} tarefa(s) arquivada(s)`;
+        }
+
+        if (elements.emptyState) {
+            elements.emptyState.style.display = total === 0 ? 'block' : 'none';
+        }
+        elements.list.style.display = total === 0 ? 'none' : 'block';
+    }
+
+    /**
+     * Cria o HTML de uma tarefa arquivada
+     * @param {Object} task - Objeto da tarefa
+     * @returns {string} HTML do item
+     */
+    function createTaskHtml(task) {
+        const labels = [
+            task.project ? `<span class="task-project">+${escapeHtml(task.project)}</span>` : '',
+            ...(task.tags || []).map(tag => `<span class="task-tag">#${escapeHtml(tag)}</span>`)
+        ].join('');
+
+        const pomodoros = task.actualPomodoros
+            ? `<span class="task-focus-summary">🍅 ${task.actualPomodoros}</span>`
+            : '';
+
+        return `
+            <li class="task-item completed archived-item" data-task-id="${task.id}">
+                <span class="task-text">${escapeHtml(task.text)}</span>
+                ${labels}
+                ${pomodoros}
+                <span class="archive-dates">
+                    Concluída em ${formatDate(task.completedAt)} · arquivada em ${formatDate(task.archivedAt)}
+                </span>
+                <div class="task-actions">
+                    <button class="task-btn restore"
+                            onclick="TaskArchive.restoreTask('${task.id}')"
+                            title="Restaurar para a lista">
+                        ↩️
+                    </button>
+                    <button class="task-btn delete"
+                            onclick="TaskArchive.deleteTask('${task.id}')"
+                            title="Excluir definitivamente">
+                        🗑️
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Restaura uma tarefa arquivada para a lista
+     * @param {string} taskId - ID da tarefa
+     * @returns {Object|null} Tarefa restaurada
+     */
+    function restoreTask(taskId) {
+        const task = TaskManager.restoreTask(taskId);
+        render();
+        return task;
+    }
+
+    /**
+     * Exclui definitivamente uma tarefa arquivada (após confirmação)
+     * @param {string} taskId - ID da tarefa
+     * @returns {boolean} True se a tarefa foi excluída
+     */
+    function deleteTask(taskId) {
+        const task = TaskManager.getArchivedTasks().find(t => t.id === taskId);
+        if (!task) return false;
+
+        if (!confirm(`Excluir definitivamente "${task.text}"?`)) {
+            return false;
+        }
+
+        TaskManager.deleteTask(taskId);
+        render();
+        return true;
+    }
+
+    /**
+     * Formata uma data ISO como DD/MM/AAAA
+     * @param {string|null} isoDate - Data em formato ISO
+     * @returns {string} Data formatada ou "—"
+     */
+    function formatDate(isoDate) {
+        if (!isoDate) return '—';
+
+        const date = new Date(isoDate);
+        if (Number.isNaN(date.getTime())) return '—';
+
+        const day = date.getDate().toString().padStart(2, '0');
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        return `${day}/${month}/${date.getFullYear()}`;
+    }
+
+    /**
+     * Escapa HTML para evitar XSS
+     * @param {string} text - Texto a ser escapado
+     * @returns {string} Texto escapado
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        render,
+        restoreTask,
+        deleteTask,
+
+        // Funções utilitárias
+        setSearch,
+        getMatchingTasks
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskArchive;
+}
@@ -0,0 +1,453 @@
+/**
+ * Módulo de Backup de Dados
+ * Exporta e importa todos os dados do FocusLite em um arquivo JSON versionado
+ *
+ * Funcionalidades:
+ * - Exportar tarefas, configurações, perfis do timer, ciclos e histórico para arquivo JSON
+ * - Validar arquivos de backup antes de importar (ids no formato gerado pelo app,
+ *   sessões completas) e normalizar tarefas, configurações e perfis importados
+ * - Importar substituindo os dados atuais
+ * - Importar mesclando com os dados atuais (tarefas com o mesmo id são
+ *   reconciliadas pela modificação mais recente)
+ */
+
+const DataBackup = (function() {
+    'use strict';
+
+    // Identificação do formato do arquivo de backup
+    const BACKUP_FORMAT = 'focuslite-backup';
+    const BACKUP_VERSION = 1;
+
+    // Formato dos ids gerados pelo app (tarefas, itens do checklist e sessões).
+    // Os ids vão para atributos onclick, então qualquer outro formato é recusado
+    const ID_PATTERN = /^[a-z0-9]+$/i;
+
+    // Modos de fase aceitos nas sessões do histórico
+    const SESSION_MODES = ['focus', 'break', 'longBreak'];
+
+    // Tempo até liberar o endereço do arquivo baixado (o download começa depois do clique)
+    const DOWNLOAD_URL_LIFETIME_MS = 10000;
+
+    // Estratégias de importação
+    const IMPORT_STRATEGIES = {
+        MERGE: 'merge',
+        REPLACE: 'replace'
+    };
+
+    // Elementos DOM
+    const elements = {
+        exportBtn: null,
+        importInput: null,
+        importBtn: null,
+        status: null
+    };
+
+    /**
+     * Inicializa o módulo de backup
+     * @param {Object} domElements - Objeto com referências aos elementos DOM
+     */
+    function init(domElements) {
+        // Armazena referências aos elementos DOM
+        Object.assign(elements, domElements);
+
+        // Configura event listeners
+        setupEventListeners();
+
+        // Registra a exportação do backup na paleta de comandos
+        CommandPalette.registerCommand({
+            id: 'backup.export',
+            title: 'Exportar backup (JSON)',
+            section: 'Dados',
+            keywords: ['baixar', 'download', 'salvar'],
+            run: exportToFile
+        });
+
+        console.log('Módulo de backup inicializado com sucesso');
+    }
+
+    /**
+     * Configura os event listeners de exportação e importação
+     */
+    function setupEventListeners() {
+        if (elements.exportBtn) {
+            elements.exportBtn.addEventListener('click', exportToFile);
+        }
+
+        if (elements.importBtn) {
+            elements.importBtn.addEventListener('click', handleImportClick);
+        }
+    }
+
+    /**
+     * Monta o objeto de backup com todos os dados atuais
+     * @returns {Object} Backup versionado
+     */
+    function createBackup() {
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            schemaVersion: Storage.getSchemaVersion(),
+            exportedAt: new Date().toISOString(),
+            data: {
+                tasks: Storage.loadTasks(),
+                timerConfig: Storage.loadTimerConfig(),
+                timerProfiles: Storage.loadTimerProfiles(),
+                cycles: Storage.loadCycles(),
+                history: Storage.loadHistory()
+            }
+        };
+    }
+
+    /**
+     * Baixa o backup como arquivo JSON
+     */
+    function exportToFile() {
+        try {
+            const backup = createBackup();
+            const fileName = `focuslite-backup-${backup.exportedAt.slice(0, 10)}.json`;
+            downloadFile(fileName, JSON.stringify(backup, null, 2), 'application/json');
+
+            setStatus(`Backup exportado: ${backup.data.tasks.length} tarefa(s), ${backup.data.history.length} sessão(ões).`);
+            console.log('Backup exportado:', fileName);
+        } catch (error) {
+            console.error('Erro ao exportar backup:', error);
+            setStatus('Erro ao exportar os dados.');
+        }
+    }
+
+    /**
+     * Dispara o download de um arquivo gerado no navegador
+     * @param {string} fileName - Nome do arquivo
+     * @param {string} content - Conteúdo do arquivo
+     * @param {string} mimeType - Tipo MIME do conteúdo
+     */
+    function downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Revogar logo após o clique pode cancelar o download em alguns navegadores
+        setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+    }
+
+    /**
+     * Valida a estrutura de um backup
+     * @param {any} backup - Objeto lido do arquivo
+     * @returns {Array} Lista de erros (vazia se o backup for válido)
+     */
+    function validateBackup(backup) {
+        const errors = [];
+
+        if (!backup || typeof backup !== 'object') {
+            return ['O arquivo não contém um objeto JSON.'];
+        }
+        if (backup.format !== BACKUP_FORMAT) {
+            errors.push('O arquivo não é um backup do FocusLite.');
+        }
+        if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+            errors.push(`Versão de backup não suportada: ${backup.version}.`);
+        }
+        if (backup.schemaVersion !== undefined && backup.schemaVersion > Storage.CURRENT_SCHEMA_VERSION) {
+            errors.push('O backup foi criado por uma versão mais nova do FocusLite.');
+        }
+
+        const data = backup.data;
+        if (!data || typeof data !== 'object') {
+            errors.push('O backup não contém a seção "data".');
+            return errors;
+        }
+
+        if (!Array.isArray(data.tasks)) {
+            errors.push('A lista de tarefas está ausente ou inválida.');
+        } else {
+            const taskIds = new Set();
+            data.tasks.forEach((task, index) => {
+                if (!task || !isValidId(task.id) || typeof task.text !== 'string') {
+                    errors.push(`Tarefa #${index + 1} sem "id" ou "text" válidos.`);
+                    return;
+                }
+                if (taskIds.has(task.id)) {
+                    errors.push(`Tarefa #${index + 1} repete o id "${task.id}".`);
+                }
+                taskIds.add(task.id);
+
+                if (!areValidSubtasks(task.subtasks)) {
+                    errors.push(`Tarefa #${index + 1} tem itens do checklist inválidos.`);
+                }
+            });
+        }
+
+        if (data.history !== undefined && !Array.isArray(data.history)) {
+            errors.push('O histórico de sessões é inválido.');
+        } else if (data.history) {
+            const sessionIds = new Set();
+            data.history.forEach((session, index) => {
+                if (!isValidSession(session)) {
+                    errors.push(`Sessão #${index + 1} sem "id", "startedAt", "mode" ou durações válidos.`);
+                    return;
+                }
+                if (sessionIds.has(session.id)) {
+                    errors.push(`Sessão #${index + 1} repete o id "${session.id}".`);
+                }
+                sessionIds.add(session.id);
+            });
+        }
+        if (data.timerConfig !== undefined && (typeof data.timerConfig !== 'object' || data.timerConfig === null)) {
+            errors.push('As configurações do timer são inválidas.');
+        }
+        if (data.timerProfiles && !Array.isArray(data.timerProfiles.profiles)) {
+            errors.push('Os perfis do timer são inválidos.');
+        }
+        if (data.cycles !== undefined && !(Number.isInteger(data.cycles) && data.cycles >= 0)) {
+            errors.push('O contador de ciclos é inválido.');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Verifica se um id tem o formato gerado pelo app
+     * @param {any} id - Id informado
+     * @returns {boolean} True se o id for válido
+     */
+    function isValidId(id) {
+        return typeof id === 'string' && ID_PATTERN.test(id);
+    }
+
+    /**
+     * Verifica os itens do checklist de uma tarefa (ids válidos e sem repetição)
+     * @param {any} subtasks - Lista informada (ausente equivale a vazia)
+     * @returns {boolean} True se a lista for válida
+     */
+    function areValidSubtasks(subtasks) {
+        if (subtasks === undefined) return true;
+        if (!Array.isArray(subtasks)) return false;
+
+        const ids = new Set();
+        return subtasks.every(subtask => {
+            if (!subtask || !isValidId(subtask.id) || typeof subtask.text !== 'string' || ids.has(subtask.id)) {
+                return false;
+            }
+            ids.add(subtask.id);
+            return true;
+        });
+    }
+
+    /**
+     * Verifica se uma sessão do histórico tem os campos que o armazenamento exige
+     * @param {any} session - Sessão informada
+     * @returns {boolean} True se a sessão for válida
+     */
+    function isValidSession(session) {
+        return Boolean(session) &&
+            isValidId(session.id) &&
+            SESSION_MODES.includes(session.mode) &&
+            typeof session.startedAt === 'string' && !Number.isNaN(Date.parse(session.startedAt)) &&
+            Number.isFinite(session.plannedDuration) &&
+            Number.isFinite(session.actualDuration);
+    }
+
+    /**
+     * Obtém o momento da última modificação de uma tarefa
+     * @param {Object} task - Tarefa
+     * @returns {number} Timestamp em milissegundos
+     */
+    function getTaskModifiedAt(task) {
+        const timestamp = Date.parse(task.updatedAt || task.completedAt || task.createdAt);
+        return Number.isNaN(timestamp) ? 0 : timestamp;
+    }
+
+    /**
+     * Mescla duas listas de tarefas sem duplicar ids
+     * @param {Array} localTasks - Tarefas atuais
+     * @param {Array} incomingTasks - Tarefas do backup
+     * @returns {Object} Objeto { tasks, added, updated }
+     */
+    function mergeTasks(localTasks, incomingTasks) {
+        const incomingById = new Map(incomingTasks.map(task => [task.id, task]));
+        let updated = 0;
+
+        // Mantém a ordem local, trocando pela versão mais recente quando houver conflito
+        const merged = localTasks.map(task => {
+            const incoming = incomingById.get(task.id);
+            incomingById.delete(task.id);
+
+            if (incoming && getTaskModifiedAt(incoming) > getTaskModifiedAt(task)) {
+                updated++;
+                return incoming;
+            }
+            return task;
+        });
+
+        // Acrescenta as tarefas que só existem no backup
+        const added = [...incomingById.values()];
+
+        return { tasks: merged.concat(added), added: added.length, updated };
+    }
+
+    /**
+     * Mescla dois históricos de sessões sem duplicar ids
+     * @param {Array} localSessions - Sessões atuais
+     * @param {Array} incomingSessions - Sessões do backup
+     * @returns {Array} Histórico mesclado em ordem cronológica
+     */
+    function mergeHistory(localSessions, incomingSessions) {
+        const knownIds = new Set(localSessions.map(session => session.id));
+        const newSessions = incomingSessions.filter(session => !knownIds.has(session.id));
+
+        return localSessions.concat(newSessions)
+            .sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+    }
+
+    /**
+     * Importa um backup já validado
+     * @param {Object} backup - Backup lido do arquivo
+     * @param {string} strategy - 'merge' ou 'replace'
+     * @returns {Object} Resumo da importação
+     */
+    function importBackup(backup, strategy) {
+        const errors = validateBackup(backup);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        // Backups antigos passam pelas mesmas migrações dos dados locais
+        const data = Storage.migrateData(backup.data, backup.schemaVersion || 0);
+        const incomingHistory = data.history;
+
+        // As tarefas seguem as mesmas regras das criadas no app
+        const incomingTasks = data.tasks.map(TaskManager.normalizeTask);
+
+        // As migrações só tratam tarefas, configuração, ciclos e histórico
+        const timerProfiles = backup.data.timerProfiles;
+        let summary;
+
+        if (strategy === IMPORT_STRATEGIES.REPLACE) {
+            Storage.saveTasks(incomingTasks);
+            Storage.saveHistory(incomingHistory);
+            Storage.saveCycles(data.cycles);
+            if (data.timerConfig) {
+                Storage.saveTimerConfig(SettingsManager.normalizeConfig(data.timerConfig));
+            }
+            if (timerProfiles) {
+                Storage.saveTimerProfiles(timerProfiles); // Os tempos são normalizados ao carregar os perfis
+            }
+
+            summary = { strategy, tasks: incomingTasks.length, added: incomingTasks.length, updated: 0 };
+        } else {
+            // Na mesclagem, as configurações locais são mantidas
+            const result = mergeTasks(Storage.loadTasks(), incomingTasks);
+            Storage.saveTasks(result.tasks);
+            Storage.saveHistory(mergeHistory(Storage.loadHistory(), incomingHistory));
+            Storage.saveCycles(Math.max(Storage.loadCycles(), data.cycles));
+
+            summary = { strategy, tasks: result.tasks.length, added: result.added, updated: result.updated };
+        }
+
+        // Atualiza os módulos com os dados importados
+        SessionHistory.reloadHistory();
+        TaskManager.reloadTasks();
+        PomodoroTimer.reloadFromStorage();
+        TimerProfiles.reloadFromStorage();
+        SettingsManager.fillForm(PomodoroTimer.getConfig()); // A substituição traz as configurações do backup
+
+        console.log('Backup importado:', summary);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('dataImported', { summary });
+
+        return summary;
+    }
+
+    /**
+     * Lê o arquivo selecionado e importa com a estratégia escolhida
+     */
+    function handleImportClick() {
+        const file = elements.importInput && elements.importInput.files[0];
+        if (!file) {
+            setStatus('Selecione um arquivo de backup (.json).');
+            return;
+        }
+
+        const checked = document.querySelector('input[name="importStrategy"]:checked');
+        const strategy = checked ? checked.value : IMPORT_STRATEGIES.MERGE;
+
+        if (strategy === IMPORT_STRATEGIES.REPLACE &&
+            !confirm('Substituir todos os dados atuais pelos do backup? Esta ação não pode ser desfeita.')) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const summary = importBackup(JSON.parse(reader.result), strategy);
+                setStatus(strategy === IMPORT_STRATEGIES.REPLACE
+                    ? `Dados substituídos: ${summary.tasks} tarefa(s) importada(s).`
+                    : `Dados mesclados: ${summary.added} tarefa(s) nova(s), ${summary.updated} atualizada(s).`);
+                elements.importInput.value = '';
+            } catch (error) {
+                console.error('Erro ao importar backup:', error);
+                setStatus(error instanceof SyntaxError
+                    ? 'O arquivo não é um JSON válido.'
+                    : `Backup inválido: ${error.message}`);
+            }
+        };
+        reader.onerror = () => {
+            console.error('Erro ao ler arquivo de backup:', reader.error);
+            setStatus('Não foi possível ler o arquivo.');
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Atualiza a mensagem de status da seção de dados
+     * @param {string} message - Mensagem a ser exibida
+     */
+    function setStatus(message) {
+        if (elements.status) {
+            elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Dispara um evento customizado
+     * @param {string} eventName - Nome do evento
+     * @param {Object} detail - Dados do evento
+     */
+    function dispatchCustomEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        createBackup,
+        exportToFile,
+        importBackup,
+        validateBackup,
+
+        // Funções utilitárias
+        mergeTasks,
+        mergeHistory,
+        downloadFile,
+
+        // Constantes
+        IMPORT_STRATEGIES
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataBackup;
+}
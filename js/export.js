@@ -0,0 +1,368 @@
+/**
+ * Módulo de Exportação de Tarefas
+ * Gera planilhas CSV e checklists Markdown a partir das tarefas e sessões
+ *
+ * Funcionalidades:
+ * - Exportar tarefas em CSV (status, prioridade, projeto, tags, datas, repetição, estimativa e tempo de foco)
+ * - Exportar sessões de foco/pausa em CSV (planilha de horas)
+ * - Exportar tarefas como checklist Markdown (- [x] ...), com os itens de checklist recuados
+ * - Criar tarefas em lote ao colar um checklist Markdown no campo de tarefa
+ *   (itens recuados viram o checklist da tarefa anterior)
+ */
+
+const TaskExport = (function() {
+    'use strict';
+
+    // Separador de colunas do CSV
+    const CSV_SEPARATOR = ',';
+
+    // BOM para que planilhas reconheçam o CSV como UTF-8
+    const UTF8_BOM = '\uFEFF';
+
+    // Início de célula que as planilhas interpretam como fórmula ("=HYPERLINK(...)")
+    const FORMULA_START = /^[=+\-@\t\r]/;
+
+    // Linha de checklist Markdown: "- [ ] texto", "* [x] texto" ou "1. [x] texto"
+    const CHECKLIST_LINE = /^(\s*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.+?)\s*$/;
+
+    // Nomes exibidos para cada prioridade
+    const PRIORITY_NAMES = {
+        high: 'Alta',
+        medium: 'Média',
+        low: 'Baixa'
+    };
+
+    // Nomes exibidos para cada modo do timer
+    const MODE_NAMES = {
+        focus: 'Foco',
+        break: 'Pausa',
+        longBreak: 'Pausa Longa'
+    };
+
+    // Nomes exibidos para cada situação de sessão
+    const SESSION_STATUS_NAMES = {
+        completed: 'Concluída',
+        extended: 'Prorrogação',
+        aborted: 'Interrompida',
+        voided: 'Anulada'
+    };
+
+    // Elementos DOM
+    const elements = {
+        taskInput: null,
+        tasksCsvBtn: null,
+        sessionsCsvBtn: null,
+        markdownBtn: null
+    };
+
+    /**
+     * Inicializa o módulo de exportação
+     * @param {Object} domElements - Objeto com referências aos elementos DOM
+     */
+    function init(domElements) {
+        // Armazena referências aos elementos DOM
+        Object.assign(elements, domElements);
+
+        // Configura event listeners
+        setupEventListeners();
+
+        // Registra as exportações na paleta de comandos
+        registerCommands();
+
+        console.log('Módulo de exportação inicializado com sucesso');
+    }
+
+    /**
+     * Configura os event listeners dos botões e da colagem de checklists
+     */
+    function setupEventListeners() {
+        if (elements.tasksCsvBtn) {
+            elements.tasksCsvBtn.addEventListener('click', exportTasksCSV);
+        }
+
+        if (elements.sessionsCsvBtn) {
+            elements.sessionsCsvBtn.addEventListener('click', exportSessionsCSV);
+        }
+
+        if (elements.markdownBtn) {
+            elements.markdownBtn.addEventListener('click', exportMarkdown);
+        }
+
+        if (elements.taskInput) {
+            elements.taskInput.addEventListener('paste', handlePaste);
+        }
+    }
+
+    /**
+     * Registra as exportações na paleta de comandos
+     */
+    function registerCommands() {
+        const exports = [
+            { id: 'export.tasksCsv', title: 'Exportar tarefas (CSV)', run: exportTasksCSV },
+            { id: 'export.sessionsCsv', title: 'Exportar sessões (CSV)', run: exportSessionsCSV },
+            { id: 'export.markdown', title: 'Exportar checklist (Markdown)', run: exportMarkdown }
+        ];
+
+        exports.forEach(command => {
+            CommandPalette.registerCommand({ ...command, section: 'Dados', keywords: ['baixar', 'download'] });
+        });
+    }
+
+    /**
+     * Baixa as tarefas em CSV
+     */
+    function exportTasksCSV() {
+        download('csv', toTasksCSV(TaskManager.getAllTasks()), 'text/csv', 'tarefas');
+    }
+
+    /**
+     * Baixa as sessões em CSV
+     */
+    function exportSessionsCSV() {
+        download('csv', toSessionsCSV(SessionHistory.getAllSessions()), 'text/csv', 'sessoes');
+    }
+
+    /**
+     * Baixa as tarefas como checklist Markdown
+     */
+    function exportMarkdown() {
+        download('md', toMarkdown(TaskManager.getAllTasks()), 'text/markdown', 'tarefas');
+    }
+
+    /**
+     * Baixa o conteúdo gerado como arquivo
+     * @param {string} extension - Extensão do arquivo
+     * @param {string} content - Conteúdo do arquivo
+     * @param {string} mimeType - Tipo MIME
+     * @param {string} baseName - Prefixo do nome do arquivo
+     */
+    function download(extension, content, mimeType, baseName) {
+        try {
+            const date = toDateKey(new Date());
+            const bom = extension === 'csv' ? UTF8_BOM : '';
+            DataBackup.downloadFile(`focuslite-${baseName}-${date}.${extension}`, bom + content, `${mimeType};charset=utf-8`);
+        } catch (error) {
+            console.error('Erro ao exportar arquivo:', error);
+        }
+    }
+
+    /**
+     * Escapa um valor para uma célula CSV. Textos que começam como fórmula
+     * ganham um apóstrofo na frente, para a planilha mostrá-los como texto
+     * @param {any} value - Valor da célula
+     * @returns {string} Valor escapado
+     */
+    function escapeCSV(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && FORMULA_START.test(text)) {
+            text = `'${text}`;
+        }
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Monta um CSV a partir de cabeçalho e linhas
+     * @param {Array} header - Nomes das colunas
+     * @param {Array} rows - Linhas (arrays de valores)
+     * @returns {string} Conteúdo CSV
+     */
+    function buildCSV(header, rows) {
+        return [header, ...rows]
+            .map(row => row.map(escapeCSV).join(CSV_SEPARATOR))
+            .join('\r\n');
+    }
+
+    /**
+     * Converte uma data em chave local no formato AAAA-MM-DD
+     * @param {Date} date - Data a ser convertida
+     * @returns {string} Data formatada
+     */
+    function toDateKey(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Formata uma data ISO como "AAAA-MM-DD HH:MM" no horário local
+     * @param {string|null} isoDate - Data em formato ISO
+     * @returns {string} Data formatada ou string vazia
+     */
+    function formatDateTime(isoDate) {
+        if (!isoDate) return '';
+
+        const date = new Date(isoDate);
+        if (Number.isNaN(date.getTime())) return '';
+
+        const hours = date.getHours().toString().padStart(2, '0');
+        const minutes = date.getMinutes().toString().padStart(2, '0');
+        return `${toDateKey(date)} ${hours}:${minutes}`;
+    }
+
+    /**
+     * Gera o CSV de tarefas
+     * @param {Array} tasks - Lista de tarefas
+     * @returns {string} Conteúdo CSV
+     */
+    function toTasksCSV(tasks) {
+        const header = ['Tarefa', 'Status', 'Prioridade', 'Projeto', 'Tags', 'Vencimento', 'Repetição', 'Checklist', 'Criada em', 'Concluída em', 'Arquivada em', 'Estimativa (pomodoros)', 'Pomodoros', 'Foco (min)'];
+
+        const rows = tasks.map(task => {
+            const summary = SessionHistory.getTaskSummary(task.id);
+            return [
+                task.text,
+                task.completed ? 'Concluída' : 'Pendente',
+                PRIORITY_NAMES[task.priority] || '',
+                task.project || '',
+                (task.tags || []).join(' '),
+                [task.dueDate, task.dueTime].filter(Boolean).join(' '),
+                Recurrence.describe(task.recurrence),
+                formatChecklistProgress(task.subtasks),
+                formatDateTime(task.createdAt),
+                formatDateTime(task.completedAt),
+                formatDateTime(task.archivedAt),
+                task.estimatedPomodoros || '',
+                task.actualPomodoros || 0,
+                Math.round(summary.focusSeconds / 60)
+            ];
+        });
+
+        return buildCSV(header, rows);
+    }
+
+    /**
+     * Formata o progresso do checklist como "feitos/total"
+     * @param {Array} subtasks - Itens do checklist
+     * @returns {string} Progresso formatado ou string vazia
+     */
+    function formatChecklistProgress(subtasks) {
+        if (!subtasks || subtasks.length === 0) return '';
+
+        const done = subtasks.filter(subtask => subtask.completed).length;
+        return `${done}/${subtasks.length}`;
+    }
+
+    /**
+     * Gera o CSV de sessões do timer (planilha de horas)
+     * @param {Array} sessions - Lista de sessões do histórico
+     * @returns {string} Conteúdo CSV
+     */
+    function toSessionsCSV(sessions) {
+        const tasksById = new Map(TaskManager.getAllTasks().map(task => [task.id, task]));
+        const header = ['Início', 'Fim', 'Modo', 'Status', 'Planejado (min)', 'Real (min)', 'Tarefa', 'Interrupções', 'Internas', 'Externas', 'Anotações'];
+
+        const rows = sessions.map(session => {
+            const task = tasksById.get(session.taskId);
+            const interruptions = session.interruptions || [];
+            return [
+                formatDateTime(session.startedAt),
+                formatDateTime(session.endedAt),
+                MODE_NAMES[session.mode] || session.mode,
+                SESSION_STATUS_NAMES[session.status] || session.status,
+                Math.round(session.plannedDuration / 60),
+                Math.round(session.actualDuration / 60),
+                task ? task.text : '',
+                interruptions.length,
+                interruptions.filter(interruption => interruption.type === 'internal').length,
+                interruptions.filter(interruption => interruption.type === 'external').length,
+                interruptions.filter(interruption => interruption.note).map(interruption => interruption.note).join('; ')
+            ];
+        });
+
+        return buildCSV(header, rows);
+    }
+
+    /**
+     * Gera um checklist Markdown com as tarefas
+     * @param {Array} tasks - Lista de tarefas
+     * @returns {string} Conteúdo Markdown
+     */
+    function toMarkdown(tasks) {
+        const checkbox = item => `[${item.completed ? 'x' : ' '}] ${item.text}`;
+        // As marcações (+projeto #tag) voltam a ser lidas ao colar o checklist
+        const lines = tasks.reduce((all, task) => all.concat(
+            `- ${checkbox({ ...task, text: TaskManager.formatTaskText(task) })}`,
+            (task.subtasks || []).map(subtask => `  - ${checkbox(subtask)}`)
+        ), []);
+        return `# Tarefas FocusLite\n\n${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Lê as linhas de checklist de um texto Markdown
+     * @param {string} markdown - Texto Markdown
+     * @returns {Array} Lista de { text, completed, subtasks }
+     */
+    function parseMarkdownChecklist(markdown) {
+        let baseIndent = null;
+
+        return markdown.split(/\r?\n/).reduce((items, line) => {
+            const match = line.match(CHECKLIST_LINE);
+            if (!match) return items;
+
+            const indent = match[1].replace(/\t/g, '    ').length;
+            const item = { text: match[3], completed: match[2].toLowerCase() === 'x' };
+
+            // Linhas mais recuadas que a primeira são itens da tarefa anterior
+            if (baseIndent === null) {
+                baseIndent = indent;
+            }
+            const parent = items[items.length - 1];
+
+            if (indent > baseIndent && parent) {
+                parent.subtasks.push(item);
+            } else {
+                items.push({ ...item, subtasks: [] });
+            }
+            return items;
+        }, []);
+    }
+
+    /**
+     * Cria tarefas a partir de um checklist Markdown
+     * @param {string} markdown - Texto Markdown
+     * @returns {Array} Tarefas criadas
+     */
+    function importMarkdown(markdown) {
+        const items = parseMarkdownChecklist(markdown);
+        return items.length > 0 ? TaskManager.addTasks(items) : [];
+    }
+
+    /**
+     * Cria tarefas em lote quando um checklist Markdown é colado no campo
+     * @param {ClipboardEvent} event - Evento de colar
+     */
+    function handlePaste(event) {
+        const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+        const items = parseMarkdownChecklist(text);
+
+        // Uma linha solta é colada normalmente no campo
+        if (items.length === 0 || (items.length === 1 && !/\n/.test(text.trim()))) {
+            return;
+        }
+
+        event.preventDefault();
+        TaskManager.addTasks(items);
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        toTasksCSV,
+        toSessionsCSV,
+        toMarkdown,
+        importMarkdown,
+
+        // Funções utilitárias
+        parseMarkdownChecklist,
+        escapeCSV
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskExport;
+}
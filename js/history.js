@@ -0,0 +1,255 @@
+/**
+ * Módulo de Histórico de Sessões
+ * Registra cada fase do timer concluída ou interrompida
+ *
+ * Funcionalidades:
+ * - Registrar sessões de foco e pausa (concluídas, abortadas ou anuladas)
+ * - Guardar início, fim, duração planejada e real de cada sessão
+ * - Guardar as interrupções anotadas durante o foco
+ * - Associar a sessão à tarefa atual
+ * - Somar tempo de foco, pomodoros e interrupções por tarefa
+ * - Resumir as interrupções (internas x externas, anulações e horários)
+ * - Persistir o histórico (uma sessão por registro)
+ */
+
+const SessionHistory = (function() {
+    'use strict';
+
+    // Estado interno do módulo
+    let sessions = [];
+
+    /**
+     * Inicializa o módulo de histórico
+     */
+    function init() {
+        // Carrega o histórico salvo
+        loadHistoryFromStorage();
+
+        // Registra as sessões encerradas pelo timer
+        document.addEventListener('timerSessionEnded', handleSessionEnded);
+
+        console.log('Módulo de histórico inicializado com sucesso');
+    }
+
+    /**
+     * Manipula o encerramento de uma fase do timer
+     * @param {CustomEvent} event - Evento com os dados da sessão
+     */
+    function handleSessionEnded(event) {
+        recordSession(event.detail.session);
+    }
+
+    /**
+     * Registra uma sessão no histórico
+     * @param {Object} data - Dados da sessão
+     * @param {string} data.mode - Modo da fase ('focus', 'break' ou 'longBreak')
+     * @param {string} data.status - 'completed', 'extended' (prorrogação), 'aborted' ou 'voided' (anulada)
+     * @param {number} data.startedAt - Timestamp (ms) do início
+     * @param {number} data.endedAt - Timestamp (ms) do fim
+     * @param {number} data.plannedDuration - Duração planejada em segundos
+     * @param {number} data.actualDuration - Duração efetiva em segundos (sem pausas)
+     * @param {string|null} data.taskId - ID da tarefa atual
+     * @param {Array} data.interruptions - Interrupções anotadas { type, note, at }
+     * @returns {Object} Sessão registrada
+     */
+    function recordSession(data) {
+        const session = {
+            id: generateSessionId(),
+            mode: data.mode,
+            status: data.status,
+            startedAt: new Date(data.startedAt).toISOString(),
+            endedAt: new Date(data.endedAt).toISOString(),
+            plannedDuration: data.plannedDuration,
+            actualDuration: Math.max(0, Math.round(data.actualDuration)),
+            taskId: data.taskId || null,
+            interruptions: (data.interruptions || []).map(interruption => ({ ...interruption }))
+        };
+
+        sessions.push(session);
+
+        // Grava apenas a nova sessão
+        try {
+            Storage.saveSession(session);
+        } catch (error) {
+            console.error('Erro ao salvar sessão no armazenamento:', error);
+        }
+
+        console.log('Sessão registrada:', session);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('sessionRecorded', { session });
+
+        return session;
+    }
+
+    /**
+     * Gera um ID único para a sessão
+     * @returns {string} ID único
+     */
+    function generateSessionId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Obtém todas as sessões registradas
+     * @returns {Array} Array de sessões
+     */
+    function getAllSessions() {
+        return [...sessions];
+    }
+
+    /**
+     * Obtém as sessões de uma tarefa
+     * @param {string} taskId - ID da tarefa
+     * @returns {Array} Array de sessões da tarefa
+     */
+    function getSessionsByTask(taskId) {
+        return sessions.filter(session => session.taskId === taskId);
+    }
+
+    /**
+     * Obtém o tempo de foco acumulado, os pomodoros e as interrupções de uma tarefa
+     * @param {string} taskId - ID da tarefa
+     * @returns {Object} Objeto com focusSeconds, pomodoros e interruptions
+     */
+    function getTaskSummary(taskId) {
+        return getSessionsByTask(taskId).reduce((summary, session) => {
+            if (session.mode === 'focus') {
+                summary.focusSeconds += session.actualDuration;
+                summary.interruptions += (session.interruptions || []).length;
+                if (session.status === 'completed') {
+                    summary.pomodoros++;
+                }
+            }
+            return summary;
+        }, { focusSeconds: 0, pomodoros: 0, interruptions: 0 });
+    }
+
+    /**
+     * Resume as interrupções das sessões de foco
+     * @param {Array} list - Sessões consideradas (padrão: todo o histórico)
+     * @returns {Object} Objeto { total, internal, external, voided, focusSessions,
+     *   interruptedSessions, perSession, byHour, notes } (notes: as mais recentes primeiro)
+     */
+    function getInterruptionSummary(list = sessions) {
+        const focusSessions = list.filter(session => session.mode === 'focus');
+        const summary = {
+            total: 0,
+            internal: 0,
+            external: 0,
+            voided: focusSessions.filter(session => session.status === 'voided').length,
+            focusSessions: focusSessions.length,
+            interruptedSessions: 0,
+            perSession: 0,
+            byHour: {},
+            notes: []
+        };
+
+        focusSessions.forEach(session => {
+            const interruptions = session.interruptions || [];
+            if (interruptions.length > 0) {
+                summary.interruptedSessions++;
+            }
+
+            interruptions.forEach(interruption => {
+                summary.total++;
+                summary[interruption.type === 'external' ? 'external' : 'internal']++;
+
+                const hour = new Date(interruption.at).getHours();
+                summary.byHour[hour] = (summary.byHour[hour] || 0) + 1;
+
+                if (interruption.note) {
+                    summary.notes.push({ ...interruption, taskId: session.taskId });
+                }
+            });
+        });
+
+        summary.perSession = summary.focusSessions > 0
+            ? Math.round((summary.total / summary.focusSessions) * 10) / 10
+            : 0;
+        summary.notes.sort((a, b) => b.at.localeCompare(a.at));
+
+        return summary;
+    }
+
+    /**
+     * Limpa todo o histórico de sessões
+     */
+    function clearHistory() {
+        sessions = [];
+        saveHistoryToStorage();
+
+        console.log('Histórico de sessões removido');
+
+        // Dispara evento customizado
+        dispatchCustomEvent('historyCleared');
+    }
+
+    /**
+     * Recarrega o histórico do localStorage (após importar dados, por exemplo)
+     */
+    function reloadHistory() {
+        loadHistoryFromStorage();
+        dispatchCustomEvent('historyReloaded', { sessions: getAllSessions() });
+    }
+
+    /**
+     * Carrega o histórico do localStorage
+     */
+    function loadHistoryFromStorage() {
+        try {
+            const savedSessions = Storage.loadHistory();
+            if (Array.isArray(savedSessions)) {
+                sessions = savedSessions;
+                console.log(`${sessions.length} sessões carregadas do localStorage`);
+            }
+        } catch (error) {
+            console.error('Erro ao carregar histórico do localStorage:', error);
+            sessions = [];
+        }
+    }
+
+    /**
+     * Salva o histórico no localStorage
+     */
+    function saveHistoryToStorage() {
+        try {
+            Storage.saveHistory(sessions);
+        } catch (error) {
+            console.error('Erro ao salvar histórico no localStorage:', error);
+        }
+    }
+
+    /**
+     * Dispara um evento customizado
+     * @param {string} eventName - Nome do evento
+     * @param {Object} detail - Dados do evento
+     */
+    function dispatchCustomEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        recordSession,
+        getAllSessions,
+        getSessionsByTask,
+        getTaskSummary,
+        getInterruptionSummary,
+
+        // Funções utilitárias
+        clearHistory,
+        reloadHistory
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionHistory;
+}
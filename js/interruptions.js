@@ -0,0 +1,271 @@
+/**
+ * Módulo de Registro de Interrupções
+ * Anota por que o foco foi interrompido e decide o destino do pomodoro
+ *
+ * Funcionalidades:
+ * - Abrir o registro com uma tecla (I), pelo botão do timer ou pela paleta,
+ *   só durante um foco em andamento
+ * - Pausar o timer enquanto a interrupção é anotada
+ * - Classificar a interrupção como interna ou externa, com anotação opcional
+ * - Continuar o pomodoro (o timer volta a correr) ou anulá-lo
+ *   (a sessão fica registrada como anulada e não conta como pomodoro)
+ * - Mostrar no timer quantas interrupções o foco atual já teve
+ *
+ * As interrupções ficam no estado do timer até a sessão terminar e então
+ * são gravadas com ela no histórico (ver SessionHistory.getInterruptionSummary).
+ */
+
+const InterruptionLog = (function() {
+    'use strict';
+
+    // Tecla que abre o registro durante o foco
+    const SHORTCUT_KEY = 'i';
+
+    // Indica se o timer deve voltar a correr quando o registro fechar
+    let resumeOnClose = false;
+
+    // Elemento em foco antes de abrir o registro
+    let previousFocus = null;
+
+    // Elementos DOM
+    const elements = {
+        overlay: null,
+        form: null,
+        noteInput: null,
+        voidBtn: null,
+        interruptBtn: null,
+        count: null
+    };
+
+    /**
+     * Inicializa o registro de interrupções
+     * @param {Object} domElements - Objeto com referências aos elementos DOM
+     */
+    function init(domElements) {
+        // Armazena referências aos elementos DOM
+        Object.assign(elements, domElements);
+
+        // Configura event listeners
+        setupEventListeners();
+
+        // Registra os comandos na paleta
+        registerCommands();
+
+        // Atualiza o botão e o contador iniciais
+        updateTimerControls();
+
+        console.log('Módulo de interrupções inicializado com sucesso');
+    }
+
+    /**
+     * Configura os event listeners
+     */
+    function setupEventListeners() {
+        if (elements.interruptBtn) {
+            elements.interruptBtn.addEventListener('click', open);
+        }
+
+        if (elements.form) {
+            // Enter (ou o botão principal) anota e continua o pomodoro
+            elements.form.addEventListener('submit', event => {
+                event.preventDefault();
+                submit(false);
+            });
+        }
+
+        if (elements.voidBtn) {
+            elements.voidBtn.addEventListener('click', () => submit(true));
+        }
+
+        if (elements.overlay) {
+            // Os atalhos globais não devem agir enquanto o registro está aberto
+            elements.overlay.addEventListener('keydown', event => {
+                event.stopPropagation();
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    cancel();
+                }
+            });
+
+            // Clicar fora da caixa volta sem anotar
+            elements.overlay.addEventListener('mousedown', event => {
+                if (event.target === elements.overlay) {
+                    cancel();
+                }
+            });
+        }
+
+        // Botão e contador acompanham o timer (inclusive mudanças de outra aba)
+        document.addEventListener('timerStateChanged', handleTimerStateChanged);
+        document.addEventListener('interruptionLogged', updateTimerControls);
+    }
+
+    /**
+     * Registra os comandos de interrupção na paleta de comandos
+     */
+    function registerCommands() {
+        CommandPalette.registerCommand({
+            id: 'timer.interrupt',
+            title: 'Registrar interrupção',
+            section: 'Timer',
+            keywords: ['distração', 'anotar', 'interrompido'],
+            shortcut: 'I',
+            isAvailable: () => PomodoroTimer.isFocusInProgress(),
+            run: open
+        });
+
+        CommandPalette.registerCommand({
+            id: 'timer.void',
+            title: 'Anular pomodoro',
+            section: 'Timer',
+            keywords: ['descartar', 'cancelar', 'interrupção'],
+            isAvailable: () => PomodoroTimer.isFocusInProgress(),
+            run: () => PomodoroTimer.voidPomodoro()
+        });
+    }
+
+    /**
+     * Abre o registro com a tecla de atalho durante o foco
+     * @param {KeyboardEvent} event - Evento de tecla
+     * @returns {boolean} True se o registro foi aberto
+     */
+    function handleShortcut(event) {
+        if (event.key.toLowerCase() !== SHORTCUT_KEY || event.ctrlKey || event.metaKey || event.altKey) {
+            return false;
+        }
+        if (!PomodoroTimer.isFocusInProgress() || isOpen()) return false;
+
+        event.preventDefault();
+        return open();
+    }
+
+    /**
+     * Abre o registro e pausa o foco em andamento
+     * @returns {boolean} True se o registro foi aberto
+     */
+    function open() {
+        if (!elements.overlay || !PomodoroTimer.isFocusInProgress()) return false;
+
+        if (!isOpen()) {
+            previousFocus = document.activeElement;
+
+            // O tempo da interrupção não conta como foco
+            const state = PomodoroTimer.getTimerState();
+            resumeOnClose = !state.isPaused;
+            if (resumeOnClose) {
+                PomodoroTimer.pauseTimer();
+            }
+        }
+
+        if (elements.form) {
+            elements.form.reset();
+        }
+        elements.overlay.hidden = false;
+
+        if (elements.noteInput) {
+            elements.noteInput.focus();
+        }
+        return true;
+    }
+
+    /**
+     * Anota a interrupção e continua ou anula o pomodoro
+     * @param {boolean} voidPomodoro - True para anular o pomodoro
+     */
+    function submit(voidPomodoro) {
+        if (!isOpen()) return;
+
+        const type = elements.form ? elements.form.elements.namedItem('interruptionType').value : 'internal';
+        const note = elements.noteInput ? elements.noteInput.value : '';
+        PomodoroTimer.logInterruption(type || 'internal', note);
+
+        if (voidPomodoro) {
+            resumeOnClose = false;
+            PomodoroTimer.voidPomodoro();
+        }
+
+        close();
+    }
+
+    /**
+     * Fecha sem anotar; o foco continua de onde parou
+     */
+    function cancel() {
+        close();
+    }
+
+    /**
+     * Fecha o registro, retomando o timer se ele estava correndo
+     */
+    function close() {
+        if (!isOpen()) return;
+
+        elements.overlay.hidden = true;
+
+        if (resumeOnClose && PomodoroTimer.isFocusInProgress()) {
+            PomodoroTimer.resumeTimer();
+        }
+        resumeOnClose = false;
+
+        if (previousFocus && typeof previousFocus.focus === 'function' && document.contains(previousFocus)) {
+            previousFocus.focus();
+        }
+        previousFocus = null;
+    }
+
+    /**
+     * Verifica se o registro está aberto
+     * @returns {boolean} True se estiver aberto
+     */
+    function isOpen() {
+        return Boolean(elements.overlay) && !elements.overlay.hidden;
+    }
+
+    /**
+     * Manipula mudanças no timer: o foco pode ter terminado ou sido
+     * resetado (inclusive em outra aba) com o registro aberto
+     */
+    function handleTimerStateChanged() {
+        if (isOpen() && !PomodoroTimer.isFocusInProgress()) {
+            resumeOnClose = false;
+            close();
+        }
+        updateTimerControls();
+    }
+
+    /**
+     * Mostra o botão de interrupção e o contador apenas durante o foco
+     */
+    function updateTimerControls() {
+        const inProgress = PomodoroTimer.isFocusInProgress();
+        const count = PomodoroTimer.getTimerState().interruptions.length;
+
+        if (elements.interruptBtn) {
+            elements.interruptBtn.style.display = inProgress ? 'inline-flex' : 'none';
+        }
+
+        if (elements.count) {
+            elements.count.textContent = count === 1
+                ? '⚡ 1 interrupção neste pomodoro'
+                : `⚡ ${count} interrupções neste pomodoro`;
+            elements.count.hidden = !inProgress || count === 0;
+        }
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        open,
+        close,
+        handleShortcut,
+
+        // Funções utilitárias
+        isOpen
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InterruptionLog;
+}
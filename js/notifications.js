@@ -0,0 +1,468 @@
+/**
+ * Módulo de Notificações
+ * Avisa o fim de cada fase do timer pelos canais escolhidos nas configurações
+ *
+ * Funcionalidades:
+ * - Canais configuráveis: som, notificação do sistema, aviso na tela,
+ *   título da aba piscando e vibração
+ * - Ações no alerta: iniciar a próxima fase, prorrogar (+5 min) ou pular
+ * - Ações também nos botões da notificação do sistema (via service worker)
+ * - Repetir o alerta ignorado, cada vez com mais insistência (som repetido,
+ *   vibração longa, notificação fixa), até ser visto ou até outra fase ser
+ *   iniciada; com a alternância automática, a fase que começou sozinha não
+ *   conta como alerta visto
+ * - Encerrar o alerta na primeira interação com a página; ao usar a
+ *   notificação em outra aba, a aba dona do timer também encerra o dela
+ */
+
+const NotificationService = (function() {
+    'use strict';
+
+    // Título das notificações do sistema
+    const ALERT_TITLE = 'FocusLite';
+
+    // Minutos somados pela ação "+5 min"
+    const EXTEND_MINUTES = 5;
+
+    // Quantas vezes um alerta ignorado é repetido
+    const MAX_ESCALATION_LEVEL = 3;
+
+    // Intervalo entre os toques de alarme repetidos
+    const SOUND_REPEAT_GAP_MS = 2500;
+
+    // Intervalo da alternância do título da aba
+    const TITLE_FLASH_INTERVAL_MS = 1000;
+
+    // Padrões de vibração por nível de insistência
+    const VIBRATION_PATTERNS = [
+        [200, 100, 200],
+        [400, 150, 400, 150, 400],
+        [700, 200, 700, 200, 700, 200, 700]
+    ];
+
+    // Configuração que liga cada canal
+    const CHANNEL_SETTINGS = {
+        sound: 'soundEnabled',
+        system: 'notificationsEnabled',
+        toast: 'toastEnabled',
+        title: 'titleFlashEnabled',
+        vibration: 'vibrationEnabled'
+    };
+
+    // Nomes exibidos para cada modo
+    const MODE_LABELS = {
+        focus: 'Foco',
+        break: 'Pausa',
+        longBreak: 'Pausa Longa'
+    };
+
+    // Rótulo da ação que inicia cada modo
+    const START_LABELS = {
+        focus: 'Iniciar foco',
+        break: 'Iniciar pausa',
+        longBreak: 'Iniciar pausa longa'
+    };
+
+    // Ações disponíveis nos alertas
+    const ACTIONS = {
+        startNext: () => PomodoroTimer.startNextPhase(),
+        extend: () => PomodoroTimer.extendPhase(EXTEND_MINUTES),
+        skip: () => PomodoroTimer.skipNextPhase()
+    };
+
+    // Motivo mostrado quando uma ação não pode ser executada
+    const ACTION_UNAVAILABLE_MESSAGES = {
+        startNext: 'A próxima fase já está em andamento.',
+        extend: 'Não há fase recém-concluída para prorrogar.',
+        skip: 'Continue o timer antes de pular a fase.'
+    };
+
+    // Alerta em andamento: { mode, nextMode, isRunning, level }
+    let activeAlert = null;
+    let repeatTimeout = null;
+    let soundTimeouts = [];
+    let titleFlash = null; // { interval, originalTitle }
+
+    /**
+     * Inicializa o serviço de notificações
+     */
+    function init() {
+        // Configura event listeners
+        setupEventListeners();
+
+        // Ação escolhida numa notificação do sistema com o app fechado
+        // (executada depois que o timer estiver pronto)
+        document.addEventListener('appInitialized', runActionFromUrl, { once: true });
+
+        console.log('Serviço de notificações inicializado com sucesso');
+    }
+
+    /**
+     * Configura os event listeners
+     */
+    function setupEventListeners() {
+        // O timer avisa cada fase concluída
+        document.addEventListener('phaseCompleted', handlePhaseCompleted);
+
+        // Clique (ou botão) numa notificação do sistema
+        document.addEventListener('notificationClicked', handleNotificationClicked);
+
+        // Qualquer interação com a página mostra que o alerta foi visto
+        document.addEventListener('click', acknowledge);
+        document.addEventListener('keydown', acknowledge);
+    }
+
+    /**
+     * Manipula o fim de uma fase do timer
+     * @param {CustomEvent} event - Evento de fase concluída
+     */
+    function handlePhaseCompleted(event) {
+        const { mode, nextMode, isRunning } = event.detail;
+        raise({ mode, nextMode, isRunning, level: 0 });
+    }
+
+    /**
+     * Manipula o clique numa notificação do sistema
+     * @param {CustomEvent} event - Evento com a ação escolhida (ou vazia)
+     */
+    function handleNotificationClicked(event) {
+        const { action } = event.detail;
+
+        if (action && ACTIONS[action]) {
+            runAction(action);
+        } else {
+            acknowledgeAllTabs();
+        }
+    }
+
+    /**
+     * Executa a ação recebida pela URL (?alertAction=...) e limpa a URL
+     */
+    function runActionFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const action = params.get('alertAction');
+        if (!action) return;
+
+        params.delete('alertAction');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        if (ACTIONS[action]) {
+            runAction(action);
+        }
+    }
+
+    /**
+     * Dispara um novo alerta, substituindo o anterior
+     * @param {Object} alert - Alerta { mode, nextMode, isRunning, level }
+     */
+    function raise(alert) {
+        stopAlert();
+        activeAlert = alert;
+
+        notify();
+        scheduleRepeat();
+    }
+
+    /**
+     * Repete o alerta ignorado, mesmo que a alternância automática já tenha
+     * iniciado a próxima fase
+     */
+    function scheduleRepeat() {
+        const repeatMinutes = getConfig().alertRepeatMinutes;
+        if (!activeAlert || !repeatMinutes || activeAlert.level >= MAX_ESCALATION_LEVEL) {
+            return;
+        }
+
+        repeatTimeout = setTimeout(() => {
+            repeatTimeout = null;
+
+            // Outra fase foi iniciada à mão (outra aba, atalho, reset...):
+            // o timer só guarda a fase concluída até lá
+            if (!PomodoroTimer.getTimerState().lastCompleted) {
+                acknowledge();
+                return;
+            }
+
+            activeAlert.level++;
+            notify();
+            scheduleRepeat();
+        }, repeatMinutes * 60 * 1000);
+    }
+
+    /**
+     * Para o alerta em andamento (som, repetição e título piscando)
+     */
+    function stopAlert() {
+        clearTimeout(repeatTimeout);
+        repeatTimeout = null;
+        stopSound();
+        stopTitleFlash();
+        activeAlert = null;
+    }
+
+    /**
+     * Encerra o alerta em andamento nesta aba (e nas demais, via TabSync)
+     */
+    function acknowledge() {
+        if (!activeAlert) return;
+
+        stopAlert();
+        dispatchCustomEvent('alertAcknowledged', { fromOtherTab: false });
+    }
+
+    /**
+     * Encerra o alerta em todas as abas, mesmo sem alerta nesta: a notificação
+     * do sistema pode ter sido usada numa aba que não é a dona do timer
+     */
+    function acknowledgeAllTabs() {
+        stopAlert();
+        dispatchCustomEvent('alertAcknowledged', { fromOtherTab: false });
+    }
+
+    /**
+     * Encerra o alerta visto em outra aba
+     */
+    function acknowledgeFromOtherTab() {
+        if (!activeAlert) return;
+
+        stopAlert();
+        dispatchCustomEvent('alertAcknowledged', { fromOtherTab: true });
+    }
+
+    /**
+     * Executa uma ação do alerta
+     * @param {string} actionId - 'startNext', 'extend' ou 'skip'
+     * @returns {boolean} True se a ação foi executada
+     */
+    function runAction(actionId) {
+        const action = ACTIONS[actionId];
+        if (!action) return false;
+
+        acknowledgeAllTabs();
+        const executed = action();
+
+        // Ex.: "+5 min" de uma fase que já ficou para trás
+        if (!executed) {
+            dispatchCustomEvent('alertActionUnavailable', {
+                action: actionId,
+                message: ACTION_UNAVAILABLE_MESSAGES[actionId]
+            });
+        }
+        return executed;
+    }
+
+    /**
+     * Obtém a configuração atual dos alertas
+     * @returns {Object} Configuração do timer
+     */
+    function getConfig() {
+        return PomodoroTimer.getConfig();
+    }
+
+    /**
+     * Lista os canais ligados nas configurações
+     * @returns {Array} Nomes dos canais ativos
+     */
+    function getEnabledChannels() {
+        const config = getConfig();
+        return Object.keys(CHANNEL_SETTINGS).filter(channel => config[CHANNEL_SETTINGS[channel]]);
+    }
+
+    /**
+     * Monta as ações oferecidas para um alerta
+     * @param {Object} alert - Alerta em andamento
+     * @returns {Array} Lista de { id, label }
+     */
+    function getAlertActions(alert) {
+        const actions = [];
+
+        // Com a próxima fase já rodando, não há o que iniciar
+        if (!alert.isRunning) {
+            actions.push({ id: 'startNext', label: START_LABELS[alert.nextMode] });
+        }
+        actions.push({ id: 'extend', label: `+${EXTEND_MINUTES} min` });
+        actions.push({ id: 'skip', label: 'Pular' });
+
+        return actions;
+    }
+
+    /**
+     * Monta o texto do alerta
+     * @param {Object} alert - Alerta em andamento
+     * @returns {string} Mensagem
+     */
+    function getAlertMessage(alert) {
+        const ended = `Tempo de ${MODE_LABELS[alert.mode]} concluído!`;
+        const next = alert.isRunning
+            ? `${MODE_LABELS[alert.nextMode]} em andamento.`
+            : `Próxima fase: ${MODE_LABELS[alert.nextMode]}.`;
+
+        return alert.level > 0 ? `Lembrete: ${ended} ${next}` : `${ended} ${next}`;
+    }
+
+    /**
+     * Avisa o alerta em andamento por todos os canais ligados
+     */
+    function notify() {
+        const alert = activeAlert;
+        const message = getAlertMessage(alert);
+        const actions = getAlertActions(alert);
+        const channels = getEnabledChannels();
+
+        if (channels.includes('sound')) {
+            playSound(alert.level + 1);
+        }
+
+        if (channels.includes('system')) {
+            showSystemNotification(message, actions, alert.level);
+        }
+
+        if (channels.includes('toast')) {
+            // O aviso na tela fica até ser usado quando o timer espera parado
+            // ou quando o alerta já foi repetido
+            dispatchCustomEvent('alertRaised', {
+                message,
+                actions,
+                level: alert.level,
+                persistent: !alert.isRunning || alert.level > 0
+            });
+        }
+
+        if (channels.includes('title')) {
+            startTitleFlash(message);
+        }
+
+        if (channels.includes('vibration')) {
+            vibrate(alert.level);
+        }
+    }
+
+    /**
+     * Toca o alarme escolhido uma ou mais vezes
+     * @param {number} times - Quantidade de toques
+     */
+    function playSound(times = 1) {
+        stopSound();
+
+        for (let i = 0; i < times; i++) {
+            soundTimeouts.push(setTimeout(() => SoundEngine.playAlarm(), i * SOUND_REPEAT_GAP_MS));
+        }
+    }
+
+    /**
+     * Cancela os toques de som agendados
+     */
+    function stopSound() {
+        soundTimeouts.forEach(clearTimeout);
+        soundTimeouts = [];
+    }
+
+    /**
+     * Mostra a notificação do sistema (pede permissão na primeira vez)
+     * @param {string} message - Texto da notificação
+     * @param {Array} actions - Ações { id, label }
+     * @param {number} level - Nível de insistência
+     */
+    function showSystemNotification(message, actions, level) {
+        if (!('Notification' in window)) return;
+
+        if (Notification.permission === 'granted') {
+            // Pelo service worker, a notificação aparece mesmo com a página em segundo plano
+            OfflineSupport.showNotification(ALERT_TITLE, {
+                body: message,
+                icon: 'icons/icon-192.png',
+                tag: 'focuslite-timer',
+                renotify: true,
+                requireInteraction: level > 0,
+                actions: actions.map(action => ({ action: action.id, title: action.label })),
+                data: { page: 'timer' }
+            });
+        } else if (Notification.permission !== 'denied') {
+            Notification.requestPermission().then(permission => {
+                if (permission === 'granted') {
+                    showSystemNotification(message, actions, level);
+                }
+            });
+        }
+    }
+
+    /**
+     * Faz o título da aba alternar com a mensagem do alerta
+     * @param {string} message - Mensagem exibida no título
+     */
+    function startTitleFlash(message) {
+        const originalTitle = titleFlash ? titleFlash.originalTitle : document.title;
+        stopTitleFlash();
+
+        let showingMessage = false;
+        titleFlash = {
+            originalTitle,
+            interval: setInterval(() => {
+                showingMessage = !showingMessage;
+                document.title = showingMessage ? `⏰ ${message}` : originalTitle;
+            }, TITLE_FLASH_INTERVAL_MS)
+        };
+    }
+
+    /**
+     * Para a alternância do título e restaura o original
+     */
+    function stopTitleFlash() {
+        if (!titleFlash) return;
+
+        clearInterval(titleFlash.interval);
+        document.title = titleFlash.originalTitle;
+        titleFlash = null;
+    }
+
+    /**
+     * Vibra o aparelho (quando suportado)
+     * @param {number} level - Nível de insistência
+     */
+    function vibrate(level) {
+        if (typeof navigator.vibrate !== 'function') return;
+
+        const pattern = VIBRATION_PATTERNS[Math.min(level, VIBRATION_PATTERNS.length - 1)];
+        navigator.vibrate(pattern);
+    }
+
+    /**
+     * Verifica se há um alerta aguardando interação
+     * @returns {boolean} True se há alerta ativo
+     */
+    function hasActiveAlert() {
+        return activeAlert !== null;
+    }
+
+    /**
+     * Dispara um evento customizado
+     * @param {string} eventName - Nome do evento
+     * @param {Object} detail - Dados do evento
+     */
+    function dispatchCustomEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        runAction,
+        acknowledge,
+        acknowledgeFromOtherTab,
+
+        // Funções utilitárias
+        playSound,
+        hasActiveAlert
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationService;
+}
@@ -0,0 +1,225 @@
+/**
+ * Módulo de Suporte Offline
+ * Registra o service worker que torna o FocusLite instalável e utilizável sem conexão
+ *
+ * Funcionalidades:
+ * - Registrar o service worker (sw.js) quando a página é servida por http(s)
+ * - Detectar uma nova versão baixada e avisar a aplicação (appUpdateAvailable)
+ * - Ativar a nova versão e recarregar a página quando o usuário confirmar
+ * - Mostrar notificações pelo service worker, que funcionam com a página em
+ *   segundo plano e em navegadores móveis (com fallback para new Notification)
+ * - Repassar à aplicação os cliques e botões das notificações (notificationClicked)
+ */
+
+const OfflineSupport = (function() {
+    'use strict';
+
+    // Caminho do service worker (na raiz, para controlar o app inteiro)
+    const SERVICE_WORKER_URL = 'sw.js';
+
+    // Mensagem que pede ao service worker em espera para assumir
+    const SKIP_WAITING_MESSAGE = 'skipWaiting';
+
+    // Registro do service worker
+    let registration = null;
+
+    // Indica se a página deve recarregar quando a nova versão assumir
+    let reloadOnControllerChange = false;
+
+    /**
+     * Inicializa o suporte offline
+     * @returns {Promise<boolean>} True se o service worker foi registrado
+     */
+    function init() {
+        if (!isSupported()) {
+            console.log('Service worker indisponível: o app funciona, mas sem instalação offline');
+            return Promise.resolve(false);
+        }
+
+        setupEventListeners();
+
+        return navigator.serviceWorker.register(SERVICE_WORKER_URL)
+            .then(result => {
+                registration = result;
+                watchForUpdates();
+                console.log('Módulo de suporte offline inicializado com sucesso');
+                return true;
+            })
+            .catch(error => {
+                console.error('Erro ao registrar o service worker:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Verifica se o navegador e o endereço permitem service workers
+     * (não funcionam com o index.html aberto direto do disco)
+     * @returns {boolean} True se há suporte
+     */
+    function isSupported() {
+        return 'serviceWorker' in navigator && /^https?:$/.test(window.location.protocol);
+    }
+
+    /**
+     * Configura os event listeners do service worker
+     */
+    function setupEventListeners() {
+        // A nova versão assumiu: recarrega para usar os arquivos novos
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloadOnControllerChange) {
+                reloadOnControllerChange = false;
+                window.location.reload();
+            }
+        });
+
+        // Clique numa notificação com o app aberto: vai à página indicada
+        // e repassa o botão escolhido (ex.: "+5 min")
+        navigator.serviceWorker.addEventListener('message', event => {
+            const message = event.data || {};
+            if (message.type !== 'notificationClick') return;
+
+            if (message.page) {
+                Router.navigateTo(message.page);
+            }
+            dispatchCustomEvent('notificationClicked', { action: message.action || null });
+        });
+
+        // Abas abertas por muito tempo procuram atualizações ao voltar
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                checkForUpdate();
+            }
+        });
+    }
+
+    /**
+     * Acompanha o download de novas versões do service worker
+     */
+    function watchForUpdates() {
+        // Uma versão já baixada pode estar esperando desde a última visita
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            notifyUpdateAvailable();
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Sem controlador é a primeira instalação, não uma atualização
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    notifyUpdateAvailable();
+                }
+            });
+        });
+    }
+
+    /**
+     * Pede ao navegador para verificar se há uma nova versão
+     */
+    function checkForUpdate() {
+        if (!registration) return;
+
+        registration.update().catch(error => {
+            console.warn('Erro ao procurar atualização:', error);
+        });
+    }
+
+    /**
+     * Avisa a aplicação que há uma nova versão pronta
+     */
+    function notifyUpdateAvailable() {
+        dispatchCustomEvent('appUpdateAvailable', {});
+    }
+
+    /**
+     * Verifica se há uma nova versão esperando para ser ativada
+     * @returns {boolean} True se há atualização pendente
+     */
+    function isUpdateAvailable() {
+        return Boolean(registration && registration.waiting);
+    }
+
+    /**
+     * Ativa a nova versão; a página recarrega quando ela assumir
+     * @returns {boolean} True se havia uma versão esperando
+     */
+    function applyUpdate() {
+        if (!isUpdateAvailable()) return false;
+
+        reloadOnControllerChange = true;
+        registration.waiting.postMessage({ type: SKIP_WAITING_MESSAGE });
+        return true;
+    }
+
+    /**
+     * Mostra uma notificação do sistema
+     * Pelo service worker quando possível; senão, direto pela página
+     * @param {string} title - Título da notificação
+     * @param {Object} options - Opções da notificação (body, icon, tag, actions, data...)
+     * @returns {Promise<boolean>} True se a notificação foi mostrada
+     */
+    function showNotification(title, options = {}) {
+        if (registration && registration.active) {
+            return registration.showNotification(title, options)
+                .then(() => true)
+                .catch(error => {
+                    console.warn('Erro ao notificar pelo service worker:', error);
+                    return showPageNotification(title, options);
+                });
+        }
+
+        return Promise.resolve(showPageNotification(title, options));
+    }
+
+    /**
+     * Mostra uma notificação criada pela própria página
+     * @param {string} title - Título da notificação
+     * @param {Object} options - Opções da notificação
+     * @returns {boolean} True se a notificação foi mostrada
+     */
+    function showPageNotification(title, options) {
+        // Botões só existem em notificações do service worker
+        const { actions, ...pageOptions } = options;
+
+        try {
+            new Notification(title, pageOptions);
+            return true;
+        } catch (error) {
+            // Navegadores móveis só aceitam notificações pelo service worker
+            console.warn('Erro ao mostrar notificação:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Dispara um evento customizado
+     * @param {string} eventName - Nome do evento
+     * @param {Object} detail - Dados do evento
+     */
+    function dispatchCustomEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        showNotification,
+        applyUpdate,
+
+        // Funções utilitárias
+        isSupported,
+        isUpdateAvailable,
+        checkForUpdate
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineSupport;
+}
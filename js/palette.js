@@ -0,0 +1,524 @@
+/**
+ * Módulo da Paleta de Comandos
+ * Busca rápida de tarefas e comandos, aberta com Ctrl/Cmd + K
+ *
+ * Funcionalidades:
+ * - Busca aproximada (fuzzy) em tarefas e comandos, com destaque dos trechos encontrados
+ * - Executar comandos: focar em uma tarefa, trocar o modo do timer, navegar,
+ *   alternar configurações, exportar dados...
+ * - Operação completa pelo teclado (↑/↓, Enter, Shift+Enter, Esc)
+ * - Registro extensível: cada módulo registra seus comandos e fontes de itens
+ */
+
+const CommandPalette = (function() {
+    'use strict';
+
+    // Quantidade máxima de resultados exibidos
+    const MAX_RESULTS = 50;
+
+    // Pontuação da busca aproximada
+    const SCORE = {
+        MATCH: 1,           // Cada caractere encontrado
+        CONSECUTIVE: 5,     // Caractere logo após o anterior
+        WORD_START: 8,      // Caractere no início de uma palavra
+        TEXT_START: 10,     // Busca casando desde o início do texto
+        GAP_PENALTY: 0.5    // Por caractere pulado entre dois encontrados
+    };
+
+    // Comandos fixos (id → comando) e fontes de itens dinâmicos (id → função)
+    const commands = new Map();
+    const providers = new Map();
+
+    // Estado interno do módulo
+    let results = [];
+    let activeIndex = 0;
+    let previousFocus = null;
+
+    // Elementos DOM
+    const elements = {
+        overlay: null,
+        input: null,
+        list: null
+    };
+
+    /**
+     * Inicializa a paleta de comandos
+     * @param {Object} domElements - Objeto com referências aos elementos DOM
+     */
+    function init(domElements) {
+        // Armazena referências aos elementos DOM
+        Object.assign(elements, domElements);
+
+        // Configura event listeners
+        setupEventListeners();
+
+        console.log('Paleta de comandos inicializada com sucesso');
+    }
+
+    /**
+     * Configura os event listeners do campo e da lista
+     */
+    function setupEventListeners() {
+        if (elements.input) {
+            elements.input.addEventListener('input', () => update(elements.input.value));
+        }
+
+        if (elements.overlay) {
+            // Os atalhos globais não devem agir enquanto a paleta está aberta
+            elements.overlay.addEventListener('keydown', handleKeydown);
+
+            // Clicar fora da caixa fecha a paleta
+            elements.overlay.addEventListener('mousedown', event => {
+                if (event.target === elements.overlay) {
+                    close();
+                }
+            });
+        }
+
+        if (elements.list) {
+            elements.list.addEventListener('click', event => {
+                const option = event.target.closest('.palette-option');
+                if (option) {
+                    execute(Number(option.dataset.index), event.shiftKey);
+                }
+            });
+
+            elements.list.addEventListener('mousemove', event => {
+                const option = event.target.closest('.palette-option');
+                if (option && Number(option.dataset.index) !== activeIndex) {
+                    setActive(Number(option.dataset.index));
+                }
+            });
+        }
+    }
+
+    /**
+     * Registra um comando
+     * @param {Object} command - Definição do comando
+     * @param {string} command.id - Identificador único (ex.: 'timer.start')
+     * @param {string|Function} command.title - Título exibido (ou função que o calcula)
+     * @param {Function} command.run - Ação executada
+     * @param {string} command.section - Grupo exibido ao lado do título (padrão: 'Comandos')
+     * @param {Array} command.keywords - Palavras extras para a busca
+     * @param {string} command.shortcut - Atalho de teclado exibido (opcional)
+     * @param {Function} command.isAvailable - Retorna false para ocultar o comando (opcional)
+     * @param {Function} command.altRun - Ação alternativa com Shift+Enter (opcional)
+     * @param {string} command.altLabel - Descrição da ação alternativa (opcional)
+     */
+    function registerCommand(command) {
+        if (!command || !command.id || typeof command.run !== 'function') {
+            console.error('Comando inválido para a paleta:', command);
+            return;
+        }
+
+        if (commands.has(command.id)) {
+            console.warn(`Comando ${command.id} substituído na paleta`);
+        }
+
+        commands.set(command.id, command);
+    }
+
+    /**
+     * Remove um comando registrado
+     * @param {string} id - Identificador do comando
+     */
+    function unregisterCommand(id) {
+        commands.delete(id);
+    }
+
+    /**
+     * Registra uma fonte de itens calculados a cada abertura (ex.: tarefas)
+     * @param {string} id - Identificador da fonte
+     * @param {Function} getItems - Retorna uma lista de itens no formato dos comandos
+     */
+    function registerProvider(id, getItems) {
+        if (typeof getItems !== 'function') {
+            console.error('Fonte inválida para a paleta:', id);
+            return;
+        }
+
+        providers.set(id, getItems);
+    }
+
+    /**
+     * Remove uma fonte de itens
+     * @param {string} id - Identificador da fonte
+     */
+    function unregisterProvider(id) {
+        providers.delete(id);
+    }
+
+    /**
+     * Reúne os comandos e os itens das fontes disponíveis no momento
+     * @returns {Array} Itens com título já calculado
+     */
+    function collectItems() {
+        const items = [...commands.values()];
+
+        providers.forEach((getItems, id) => {
+            try {
+                items.push(...(getItems() || []));
+            } catch (error) {
+                console.error(`Erro ao obter itens da fonte ${id}:`, error);
+            }
+        });
+
+        return items
+            .filter(item => !item.isAvailable || item.isAvailable())
+            .map(item => ({
+                ...item,
+                title: typeof item.title === 'function' ? item.title() : item.title,
+                section: item.section || 'Comandos'
+            }));
+    }
+
+    /**
+     * Busca aproximada: os caracteres da busca precisam aparecer em ordem no texto.
+     * Tenta cada ocorrência do primeiro caractere e fica com a melhor pontuação.
+     * @param {string} query - Texto buscado
+     * @param {string} text - Texto candidato
+     * @returns {Object|null} Objeto { score, indices } ou null se não casar
+     */
+    function fuzzyMatch(query, text) {
+        const needle = normalize(query).replace(/\s+/g, '');
+        if (!needle) return { score: 0, indices: [] };
+
+        const haystack = normalize(text);
+        let best = null;
+        let start = haystack.indexOf(needle[0]);
+
+        while (start !== -1) {
+            const match = matchFrom(needle, haystack, start);
+            if (!match) break; // Começando mais adiante também não casaria
+
+            if (!best || match.score > best.score) {
+                best = match;
+            }
+            start = haystack.indexOf(needle[0], start + 1);
+        }
+
+        // Letras muito espalhadas pelo texto não contam como resultado
+        return best && best.score >= needle.length ? best : null;
+    }
+
+    /**
+     * Casa a busca a partir de uma posição, sempre com a próxima ocorrência de cada caractere
+     * @param {string} needle - Busca normalizada
+     * @param {string} haystack - Texto normalizado
+     * @param {number} start - Posição do primeiro caractere
+     * @returns {Object|null} Objeto { score, indices } ou null se não casar
+     */
+    function matchFrom(needle, haystack, start) {
+        const indices = [];
+        let score = 0;
+        let position = start;
+
+        for (const char of needle) {
+            const found = haystack.indexOf(char, position);
+            if (found === -1) return null;
+
+            score += SCORE.MATCH;
+            if (indices.length > 0) {
+                const previous = indices[indices.length - 1];
+                score += found === previous + 1 ? SCORE.CONSECUTIVE : -SCORE.GAP_PENALTY * (found - previous - 1);
+            }
+            if (found === 0 || /[\s\-_/:+#]/.test(haystack[found - 1])) {
+                score += SCORE.WORD_START;
+            }
+
+            indices.push(found);
+            position = found + 1;
+        }
+
+        if (indices[0] === 0) {
+            score += SCORE.TEXT_START;
+        }
+
+        return { score, indices };
+    }
+
+    /**
+     * Remove acentos e maiúsculas (mantém o comprimento do texto)
+     * @param {string} text - Texto original
+     * @returns {string} Texto normalizado
+     */
+    function normalize(text) {
+        return String(text)
+            .split('')
+            .map(char => char.normalize('NFD').replace(/[\u0300-\u036f]/g, '') || char)
+            .join('')
+            .toLowerCase();
+    }
+
+    /**
+     * Busca itens pelo título e pelas palavras extras
+     * @param {string} query - Texto buscado
+     * @returns {Array} Lista de { item, score, indices } em ordem de relevância
+     */
+    function search(query) {
+        return collectItems()
+            .map(item => {
+                const titleMatch = fuzzyMatch(query, item.title);
+                if (titleMatch) {
+                    return { item, ...titleMatch };
+                }
+
+                // Casar só pelas palavras extras vale menos e não destaca o título
+                const keywordMatch = fuzzyMatch(query, [item.section, ...(item.keywords || [])].join(' '));
+                return keywordMatch ? { item, score: keywordMatch.score / 2, indices: [] } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS);
+    }
+
+    /**
+     * Abre a paleta
+     * @param {string} query - Texto inicial da busca (opcional)
+     */
+    function open(query = '') {
+        if (!elements.overlay || !elements.input) return;
+
+        if (!isOpen()) {
+            previousFocus = document.activeElement;
+        }
+
+        elements.overlay.hidden = false;
+        elements.input.setAttribute('aria-expanded', 'true');
+        elements.input.value = query;
+        update(query);
+        elements.input.focus();
+        elements.input.select();
+    }
+
+    /**
+     * Fecha a paleta e devolve o foco ao elemento anterior
+     */
+    function close() {
+        if (!isOpen()) return;
+
+        elements.overlay.hidden = true;
+        elements.input.setAttribute('aria-expanded', 'false');
+        results = [];
+
+        if (previousFocus && typeof previousFocus.focus === 'function' && document.contains(previousFocus)) {
+            previousFocus.focus();
+        }
+        previousFocus = null;
+    }
+
+    /**
+     * Abre ou fecha a paleta
+     */
+    function toggle() {
+        if (isOpen()) {
+            close();
+        } else {
+            open();
+        }
+    }
+
+    /**
+     * Verifica se a paleta está aberta
+     * @returns {boolean} True se estiver aberta
+     */
+    function isOpen() {
+        return Boolean(elements.overlay) && !elements.overlay.hidden;
+    }
+
+    /**
+     * Refaz a busca e a lista de resultados
+     * @param {string} query - Texto buscado
+     */
+    function update(query) {
+        results = search(query);
+        activeIndex = 0;
+        renderResults();
+    }
+
+    /**
+     * Renderiza a lista de resultados
+     */
+    function renderResults() {
+        if (!elements.list) return;
+
+        if (results.length === 0) {
+            elements.list.innerHTML = '<li class="palette-empty" role="presentation">Nada encontrado</li>';
+            elements.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        elements.list.innerHTML = results.map((result, index) => {
+            const { item } = result;
+            const hint = item.altRun && item.altLabel ? `<span class="palette-alt">Shift+Enter: ${escapeHtml(item.altLabel)}</span>` : '';
+            const shortcut = item.shortcut ? `<kbd class="palette-shortcut">${escapeHtml(item.shortcut)}</kbd>` : '';
+
+            return `
+                <li class="palette-option ${index === activeIndex ? 'active' : ''}"
+                    id="palette-option-${index}" role="option"
+                    aria-selected="${index === activeIndex}" data-index="${index}">
+                    <span class="palette-section">${escapeHtml(item.section)}</span>
+                    <span class="palette-title">${highlight(item.title, result.indices)}</span>
+                    ${hint}
+                    ${shortcut}
+                </li>
+            `;
+        }).join('');
+
+        elements.input.setAttribute('aria-activedescendant', `palette-option-${activeIndex}`);
+    }
+
+    /**
+     * Destaca os caracteres encontrados pela busca
+     * @param {string} text - Título do item
+     * @param {Array} indices - Posições encontradas
+     * @returns {string} HTML com os trechos em <mark>
+     */
+    function highlight(text, indices) {
+        const matched = new Set(indices);
+        return text.split('').map((char, index) => {
+            const safe = escapeHtml(char);
+            return matched.has(index) ? `<mark>${safe}</mark>` : safe;
+        }).join('');
+    }
+
+    /**
+     * Marca um resultado como ativo
+     * @param {number} index - Posição do resultado
+     */
+    function setActive(index) {
+        if (results.length === 0) return;
+
+        // Navegação circular
+        activeIndex = (index + results.length) % results.length;
+        renderResults();
+
+        const option = elements.list.querySelector(`[data-index="${activeIndex}"]`);
+        if (option && option.scrollIntoView) {
+            option.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Executa um resultado e fecha a paleta
+     * @param {number} index - Posição do resultado
+     * @param {boolean} alternate - Usar a ação alternativa (Shift+Enter)
+     */
+    function execute(index, alternate = false) {
+        const result = results[index];
+        if (!result) return;
+
+        const { item } = result;
+        const action = alternate && item.altRun ? item.altRun : item.run;
+
+        // Fecha antes, para que a ação possa mover o foco
+        close();
+
+        try {
+            action();
+            console.log('Comando executado:', item.id);
+
+            // Dispara evento customizado
+            dispatchCustomEvent('commandExecuted', { id: item.id, alternate: action === item.altRun });
+        } catch (error) {
+            console.error(`Erro ao executar o comando ${item.id}:`, error);
+        }
+    }
+
+    /**
+     * Trata as teclas dentro da paleta
+     * @param {KeyboardEvent} event - Evento de tecla pressionada
+     */
+    function handleKeydown(event) {
+        // Nenhuma tecla chega aos atalhos globais enquanto a paleta está aberta
+        event.stopPropagation();
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                setActive(activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                setActive(activeIndex - 1);
+                break;
+            case 'PageDown':
+            case 'End':
+                event.preventDefault();
+                setActive(results.length - 1);
+                break;
+            case 'PageUp':
+            case 'Home':
+                event.preventDefault();
+                setActive(0);
+                break;
+            case 'Enter':
+                event.preventDefault();
+                execute(activeIndex, event.shiftKey);
+                break;
+            case 'Escape':
+                event.preventDefault();
+                close();
+                break;
+            case 'Tab':
+                // Mantém o foco no campo de busca
+                event.preventDefault();
+                break;
+            default:
+                // Ctrl/Cmd + K também fecha
+                if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+                    event.preventDefault();
+                    close();
+                }
+        }
+    }
+
+    /**
+     * Escapa HTML para evitar XSS
+     * @param {string} text - Texto a ser escapado
+     * @returns {string} Texto escapado
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Dispara um evento customizado
+     * @param {string} eventName - Nome do evento
+     * @param {Object} detail - Dados do evento
+     */
+    function dispatchCustomEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        open,
+        close,
+        toggle,
+        isOpen,
+
+        // Registro de comandos
+        registerCommand,
+        unregisterCommand,
+        registerProvider,
+        unregisterProvider,
+
+        // Funções utilitárias
+        search,
+        fuzzyMatch
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandPalette;
+}
@@ -0,0 +1,679 @@
+/**
+ * Módulo de Perfis do Timer
+ * Guarda conjuntos nomeados de tempos (ex.: "Trabalho profundo 50/10")
+ *
+ * Funcionalidades:
+ * - Perfis com tempos de foco, pausa e pausa longa, focos até a pausa longa
+ *   e alternância automática próprios
+ * - Trocar de perfil rapidamente na página do timer e pela paleta de comandos
+ * - Criar, renomear e excluir perfis na página de configurações
+ * - Perfil padrão por projeto e por tarefa, ativado ao escolher a tarefa atual
+ * - Os tempos editados nas configurações são gravados no perfil ativo
+ *
+ * O timer continua lendo os tempos da sua configuração: ativar um perfil
+ * copia os valores dele para PomodoroTimer.updateConfig.
+ */
+
+const TimerProfiles = (function() {
+    'use strict';
+
+    // Campos da configuração do timer que pertencem ao perfil
+    const PROFILE_FIELDS = ['focusTime', 'breakTime', 'longBreakTime', 'longBreakInterval', 'autoSwitch'];
+
+    // Tamanho máximo do nome de um perfil
+    const MAX_NAME_LENGTH = 40;
+
+    // Perfis sugeridos na primeira execução (além do "Padrão", que usa os tempos já salvos)
+    const SUGGESTED_PROFILES = [
+        { id: 'deep-work', name: 'Trabalho profundo', focusTime: 50 * 60, breakTime: 10 * 60, longBreakTime: 30 * 60, longBreakInterval: 2, autoSwitch: true },
+        { id: 'email-triage', name: 'Triagem de e-mails', focusTime: 15 * 60, breakTime: 3 * 60, longBreakTime: 10 * 60, longBreakInterval: 4, autoSwitch: false }
+    ];
+
+    // Identificador do perfil criado a partir da configuração existente
+    const DEFAULT_PROFILE_ID = 'default';
+
+    // Estado interno do módulo
+    let profiles = [];
+    let activeProfileId = DEFAULT_PROFILE_ID;
+    let projectProfiles = {}; // projeto → id do perfil
+
+    // Elementos DOM
+    const elements = {
+        select: null,
+        hint: null,
+        list: null,
+        nameInput: null,
+        createBtn: null,
+        projectList: null,
+        status: null
+    };
+
+    /**
+     * Inicializa o módulo de perfis
+     * @param {Object} domElements - Objeto com referências aos elementos DOM
+     */
+    function init(domElements) {
+        // Armazena referências aos elementos DOM
+        Object.assign(elements, domElements);
+
+        // Carrega os perfis (ou cria os iniciais)
+        loadFromStorage();
+
+        // Configura event listeners
+        setupEventListeners();
+
+        // Registra a troca de perfil na paleta de comandos
+        registerCommands();
+
+        // Renderiza o seletor e a lista iniciais
+        render();
+
+        console.log('Módulo de perfis do timer inicializado com sucesso');
+    }
+
+    /**
+     * Configura os event listeners
+     */
+    function setupEventListeners() {
+        // Troca rápida na página do timer
+        if (elements.select) {
+            elements.select.addEventListener('change', event => activateProfile(event.target.value));
+        }
+
+        if (elements.createBtn) {
+            elements.createBtn.addEventListener('click', handleCreateClick);
+        }
+
+        if (elements.nameInput) {
+            elements.nameInput.addEventListener('keydown', event => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    handleCreateClick();
+                }
+            });
+        }
+
+        // Botões "Usar", "Renomear" e "Excluir" da lista
+        if (elements.list) {
+            elements.list.addEventListener('click', handleListClick);
+        }
+
+        // Perfil padrão de cada projeto
+        if (elements.projectList) {
+            elements.projectList.addEventListener('change', event => {
+                const select = event.target.closest('[data-project]');
+                if (select) {
+                    setProjectProfile(select.dataset.project, select.value || null);
+                }
+            });
+        }
+
+        // Tempos salvos nas configurações pertencem ao perfil ativo
+        document.addEventListener('settingsChanged', handleSettingsChanged);
+
+        // A tarefa escolhida pode trazer o seu perfil (ou o do projeto)
+        document.addEventListener('currentTaskChanged', handleCurrentTaskChanged);
+
+        // Os projetos mudam junto com as tarefas
+        document.addEventListener('pageChanged', event => {
+            if (event.detail.currentPage === 'settings') {
+                renderProjectList();
+            }
+        });
+    }
+
+    /**
+     * Registra a troca de perfil na paleta de comandos
+     */
+    function registerCommands() {
+        CommandPalette.registerProvider('profiles', () => profiles
+            .filter(profile => profile.id !== activeProfileId)
+            .map(profile => ({
+                id: `profiles.activate.${profile.id}`,
+                title: `Perfil do timer: ${profile.name} (${describeProfile(profile)})`,
+                section: 'Timer',
+                keywords: ['perfil', 'predefinição', 'tempos'],
+                run: () => activateProfile(profile.id)
+            })));
+    }
+
+    /**
+     * Carrega os perfis salvos; na primeira execução cria o "Padrão"
+     * com os tempos atuais do timer e os perfis sugeridos
+     */
+    function loadFromStorage() {
+        try {
+            const saved = Storage.loadTimerProfiles();
+            applyData(saved || createInitialData(PomodoroTimer.getConfig()));
+
+            if (!saved) {
+                saveToStorage();
+            }
+        } catch (error) {
+            console.error('Erro ao carregar perfis do timer:', error);
+            applyData(createInitialData(PomodoroTimer.getConfig()));
+        }
+    }
+
+    /**
+     * Salva os perfis no localStorage
+     */
+    function saveToStorage() {
+        try {
+            Storage.saveTimerProfiles({ profiles, activeProfileId, projectProfiles });
+        } catch (error) {
+            console.error('Erro ao salvar perfis do timer:', error);
+        }
+    }
+
+    /**
+     * Recarrega os perfis do localStorage (após importar dados ou mudança em outra aba)
+     */
+    function reloadFromStorage() {
+        loadFromStorage();
+        render();
+    }
+
+    /**
+     * Cria os perfis da primeira execução
+     * @param {Object} config - Configuração atual do timer
+     * @returns {Object} Objeto { profiles, activeProfileId, projectProfiles }
+     */
+    function createInitialData(config) {
+        return {
+            profiles: [
+                { id: DEFAULT_PROFILE_ID, name: 'Padrão', ...pickProfileFields(config) },
+                ...SUGGESTED_PROFILES.map(profile => ({ ...profile }))
+            ],
+            activeProfileId: DEFAULT_PROFILE_ID,
+            projectProfiles: {}
+        };
+    }
+
+    /**
+     * Aplica os dados carregados, descartando perfis e vínculos inválidos
+     * @param {Object} data - Objeto { profiles, activeProfileId, projectProfiles }
+     */
+    function applyData(data) {
+        // Tempos fora das regras das configurações (ex.: backup editado) voltam ao padrão
+        const valid = (Array.isArray(data.profiles) ? data.profiles : [])
+            .filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+            .map(profile => ({
+                id: profile.id,
+                name: profile.name,
+                ...pickProfileFields(SettingsManager.normalizeConfig(profile))
+            }));
+
+        profiles = valid.length > 0 ? valid : createInitialData(Storage.getDefaultTimerConfig()).profiles;
+        activeProfileId = findProfile(data.activeProfileId) ? data.activeProfileId : profiles[0].id;
+
+        // Projetos são minúsculos nas tarefas; "+Trabalho" e "+trabalho" são o mesmo
+        projectProfiles = {};
+        Object.entries(data.projectProfiles || {}).forEach(([project, profileId]) => {
+            const key = project.toLowerCase();
+            if (findProfile(profileId) && !projectProfiles[key]) {
+                projectProfiles[key] = profileId;
+            }
+        });
+    }
+
+    /**
+     * Copia os campos de perfil de uma configuração do timer
+     * @param {Object} config - Configuração do timer
+     * @returns {Object} Tempos e alternância automática
+     */
+    function pickProfileFields(config) {
+        const fields = {};
+        PROFILE_FIELDS.forEach(field => {
+            fields[field] = config[field];
+        });
+        return fields;
+    }
+
+    /**
+     * Obtém todos os perfis
+     * @returns {Array} Cópia da lista de perfis
+     */
+    function getProfiles() {
+        return profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * Busca um perfil pelo ID (o próprio objeto da lista)
+     * @param {string} profileId - ID do perfil
+     * @returns {Object|null} Perfil ou null
+     */
+    function findProfile(profileId) {
+        return profiles.find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Obtém um perfil pelo ID
+     * @param {string} profileId - ID do perfil
+     * @returns {Object|null} Cópia do perfil ou null
+     */
+    function getProfile(profileId) {
+        const profile = findProfile(profileId);
+        return profile ? { ...profile } : null;
+    }
+
+    /**
+     * Obtém o perfil ativo
+     * @returns {Object} Perfil ativo
+     */
+    function getActiveProfile() {
+        return getProfile(activeProfileId);
+    }
+
+    /**
+     * Ativa um perfil: o timer passa a usar os tempos dele
+     * @param {string} profileId - ID do perfil
+     * @param {string} reason - Motivo da troca ('manual', 'task' ou 'project')
+     * @returns {boolean} True se o perfil foi ativado
+     */
+    function activateProfile(profileId, reason = 'manual') {
+        const profile = findProfile(profileId);
+        if (!profile) return false;
+
+        if (profileId === activeProfileId) {
+            render();
+            return true;
+        }
+
+        activeProfileId = profileId;
+        saveToStorage();
+
+        PomodoroTimer.updateConfig(pickProfileFields(profile));
+        SettingsManager.fillForm(PomodoroTimer.getConfig());
+        render();
+
+        console.log('Perfil do timer ativado:', profile.name);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('timerProfileChanged', { profile: { ...profile }, reason });
+
+        return true;
+    }
+
+    /**
+     * Cria um perfil com os tempos atuais do timer e o ativa
+     * @param {string} name - Nome do perfil
+     * @returns {Object|null} Perfil criado ou null se o nome for inválido
+     */
+    function createProfile(name) {
+        const error = validateName(name);
+        if (error) {
+            setStatus(error);
+            return null;
+        }
+
+        const profile = {
+            id: generateProfileId(),
+            name: name.trim(),
+            ...pickProfileFields(PomodoroTimer.getConfig())
+        };
+
+        profiles.push(profile);
+        saveToStorage();
+        activateProfile(profile.id);
+
+        setStatus(`Perfil "${profile.name}" criado. Ajuste os tempos acima e salve.`);
+        return { ...profile };
+    }
+
+    /**
+     * Renomeia um perfil
+     * @param {string} profileId - ID do perfil
+     * @param {string} name - Novo nome
+     * @returns {boolean} True se o perfil foi renomeado
+     */
+    function renameProfile(profileId, name) {
+        const profile = findProfile(profileId);
+        if (!profile) return false;
+
+        const error = validateName(name, profileId);
+        if (error) {
+            setStatus(error);
+            return false;
+        }
+
+        profile.name = name.trim();
+        saveToStorage();
+        render();
+
+        setStatus(`Perfil renomeado para "${profile.name}".`);
+        return true;
+    }
+
+    /**
+     * Exclui um perfil (o último perfil não pode ser excluído)
+     * Projetos que o usavam deixam de ter perfil padrão; tarefas que o usavam
+     * passam a seguir o perfil do projeto
+     * @param {string} profileId - ID do perfil
+     * @returns {boolean} True se o perfil foi excluído
+     */
+    function deleteProfile(profileId) {
+        const profile = findProfile(profileId);
+        if (!profile) return false;
+
+        if (profiles.length === 1) {
+            setStatus('É preciso manter pelo menos um perfil.');
+            return false;
+        }
+
+        profiles = profiles.filter(p => p.id !== profileId);
+        Object.keys(projectProfiles).forEach(project => {
+            if (projectProfiles[project] === profileId) {
+                delete projectProfiles[project];
+            }
+        });
+        saveToStorage();
+
+        // Excluir o perfil ativo ativa o primeiro da lista
+        if (profileId === activeProfileId) {
+            activateProfile(profiles[0].id);
+        } else {
+            render();
+        }
+
+        setStatus(`Perfil "${profile.name}" excluído.`);
+        return true;
+    }
+
+    /**
+     * Valida o nome de um perfil
+     * @param {string} name - Nome informado
+     * @param {string} ignoreId - Perfil ignorado na verificação de duplicidade
+     * @returns {string|null} Mensagem de erro ou null se o nome for válido
+     */
+    function validateName(name, ignoreId = null) {
+        const trimmed = (name || '').trim();
+
+        if (!trimmed) {
+            return 'Informe um nome para o perfil.';
+        }
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            return `O nome do perfil deve ter até ${MAX_NAME_LENGTH} caracteres.`;
+        }
+        if (profiles.some(profile => profile.id !== ignoreId && profile.name.toLowerCase() === trimmed.toLowerCase())) {
+            return `Já existe um perfil chamado "${trimmed}".`;
+        }
+        return null;
+    }
+
+    /**
+     * Gera um ID único para um perfil
+     * @returns {string} ID único
+     */
+    function generateProfileId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Define o perfil padrão de um projeto
+     * @param {string} project - Nome do projeto
+     * @param {string|null} profileId - ID do perfil (null remove o padrão)
+     * @returns {boolean} True se o padrão foi alterado
+     */
+    function setProjectProfile(project, profileId) {
+        if (!project || (profileId && !findProfile(profileId))) return false;
+        const key = project.toLowerCase(); // Como nas tarefas
+
+        if (profileId) {
+            projectProfiles[key] = profileId;
+        } else {
+            delete projectProfiles[key];
+        }
+        saveToStorage();
+
+        setStatus(profileId
+            ? `Tarefas de +${project} usam o perfil "${findProfile(profileId).name}".`
+            : `+${project} não tem mais perfil padrão.`);
+        return true;
+    }
+
+    /**
+     * Obtém o perfil padrão de um projeto
+     * @param {string} project - Nome do projeto
+     * @returns {Object|null} Perfil ou null
+     */
+    function getProjectProfile(project) {
+        return project ? getProfile(projectProfiles[project.toLowerCase()]) : null;
+    }
+
+    /**
+     * Obtém o perfil de uma tarefa: o da própria tarefa ou, sem ele, o do projeto
+     * @param {Object} task - Tarefa
+     * @returns {Object|null} Objeto { profile, source } ou null se a tarefa não tiver perfil
+     */
+    function getTaskProfile(task) {
+        if (!task) return null;
+
+        const own = getProfile(task.profileId);
+        if (own) return { profile: own, source: 'task' };
+
+        const fromProject = getProjectProfile(task.project);
+        return fromProject ? { profile: fromProject, source: 'project' } : null;
+    }
+
+    /**
+     * Ativa o perfil da tarefa escolhida para o timer
+     * @param {CustomEvent} event - Evento de mudança de tarefa
+     */
+    function handleCurrentTaskChanged(event) {
+        const taskProfile = getTaskProfile(event.detail.task);
+        if (taskProfile) {
+            activateProfile(taskProfile.profile.id, taskProfile.source);
+        }
+    }
+
+    /**
+     * Grava no perfil ativo os tempos salvos nas configurações
+     * @param {CustomEvent} event - Evento de configurações alteradas
+     */
+    function handleSettingsChanged(event) {
+        const profile = findProfile(activeProfileId);
+        const fields = pickProfileFields(event.detail.config);
+        if (!profile || PROFILE_FIELDS.every(field => profile[field] === fields[field])) return;
+
+        Object.assign(profile, fields);
+        saveToStorage();
+        render();
+    }
+
+    /**
+     * Manipula o botão de criar perfil
+     */
+    function handleCreateClick() {
+        if (!elements.nameInput) return;
+
+        if (createProfile(elements.nameInput.value)) {
+            elements.nameInput.value = '';
+        }
+    }
+
+    /**
+     * Manipula os botões da lista de perfis
+     * @param {Event} event - Evento de clique
+     */
+    function handleListClick(event) {
+        const button = event.target.closest('[data-action]');
+        const item = button && button.closest('[data-profile-id]');
+        if (!item) return;
+
+        const profile = findProfile(item.dataset.profileId);
+        if (!profile) return;
+
+        switch (button.dataset.action) {
+            case 'activate':
+                activateProfile(profile.id);
+                setStatus(`Perfil "${profile.name}" ativado.`);
+                break;
+            case 'rename': {
+                const name = prompt('Novo nome do perfil:', profile.name);
+                if (name !== null) {
+                    renameProfile(profile.id, name);
+                }
+                break;
+            }
+            case 'delete':
+                if (confirm(`Excluir o perfil "${profile.name}"?`)) {
+                    deleteProfile(profile.id);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Descreve os tempos de um perfil (ex.: "50/10 · pausa longa 30 min a cada 2")
+     * @param {Object} profile - Perfil
+     * @returns {string} Descrição curta
+     */
+    function describeProfile(profile) {
+        const minutes = seconds => Math.round(seconds / 60);
+        return `${minutes(profile.focusTime)}/${minutes(profile.breakTime)} · ` +
+            `pausa longa ${minutes(profile.longBreakTime)} min a cada ${profile.longBreakInterval}`;
+    }
+
+    /**
+     * Cria as opções de perfil de um select
+     * @param {string|null} selectedId - Perfil selecionado
+     * @returns {string} HTML das opções
+     */
+    function createOptionsHtml(selectedId) {
+        return profiles.map(profile => `
+            <option value="${escapeHtml(profile.id)}"${profile.id === selectedId ? ' selected' : ''}>${escapeHtml(profile.name)}</option>
+        `).join('');
+    }
+
+    /**
+     * Atualiza o seletor do timer, o aviso das configurações e as listas
+     */
+    function render() {
+        const active = findProfile(activeProfileId);
+
+        if (elements.select) {
+            elements.select.innerHTML = createOptionsHtml(activeProfileId);
+            elements.select.title = describeProfile(active);
+        }
+
+        if (elements.hint) {
+            elements.hint.textContent = `Os tempos abaixo são os do perfil ativo: ${active.name}.`;
+        }
+
+        renderList();
+        renderProjectList();
+    }
+
+    /**
+     * Renderiza a lista de perfis nas configurações
+     */
+    function renderList() {
+        if (!elements.list) return;
+
+        elements.list.innerHTML = profiles.map(profile => {
+            const isActive = profile.id === activeProfileId;
+            return `
+                <li class="profile-item${isActive ? ' active' : ''}" data-profile-id="${escapeHtml(profile.id)}">
+                    <span class="profile-name">${escapeHtml(profile.name)}</span>
+                    <span class="profile-summary">
+                        ${describeProfile(profile)} · alternância ${profile.autoSwitch ? 'automática' : 'manual'}
+                    </span>
+                    <span class="profile-actions">
+                        ${isActive
+                            ? '<span class="profile-badge">Ativo</span>'
+                            : '<button type="button" class="btn btn-secondary" data-action="activate">Usar</button>'}
+                        <button type="button" class="btn btn-secondary" data-action="rename">Renomear</button>
+                        <button type="button" class="btn btn-secondary" data-action="delete"
+                                ${profiles.length === 1 ? 'disabled' : ''}>Excluir</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Renderiza o perfil padrão de cada projeto nas configurações
+     */
+    function renderProjectList() {
+        if (!elements.projectList) return;
+
+        const projects = TaskManager.getProjects();
+        if (projects.length === 0) {
+            elements.projectList.innerHTML = '<p class="preview-text">Use +projeto nas tarefas para definir um perfil por projeto.</p>';
+            return;
+        }
+
+        elements.projectList.innerHTML = projects.map(project => `
+            <label class="settings-field">
+                <span class="task-project">+${escapeHtml(project)}</span>
+                <select data-project="${escapeHtml(project)}" aria-label="Perfil do projeto ${escapeHtml(project)}">
+                    <option value="">Perfil ativo</option>
+                    ${createOptionsHtml(projectProfiles[project] || null)}
+                </select>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Atualiza a mensagem de status da seção de perfis
+     * @param {string} message - Mensagem a ser exibida
+     */
+    function setStatus(message) {
+        if (elements.status) {
+            elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Escapa HTML para prevenir XSS
+     * @param {string} text - Texto a ser escapado
+     * @returns {string} Texto escapado
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Dispara um evento customizado
+     * @param {string} eventName - Nome do evento
+     * @param {Object} detail - Dados do evento
+     */
+    function dispatchCustomEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        activateProfile,
+        createProfile,
+        renameProfile,
+        deleteProfile,
+        setProjectProfile,
+        reloadFromStorage,
+
+        // Funções utilitárias
+        getProfiles,
+        getProfile,
+        getActiveProfile,
+        getProjectProfile,
+        getTaskProfile,
+        describeProfile,
+
+        // Constantes
+        PROFILE_FIELDS
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimerProfiles;
+}
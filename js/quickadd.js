@@ -0,0 +1,536 @@
+/**
+ * Módulo de Adição Rápida
+ * Interpreta o texto digitado no campo de tarefa em português ou inglês
+ *
+ * Funcionalidades:
+ * - Vencimento: hoje, amanhã, depois de amanhã, dias da semana, "em 3 dias",
+ *   "semana que vem", "dia 15", "15/10", "15 de outubro", "2026-10-15" (e os equivalentes em inglês)
+ * - Horário: 14h, 14h30, 14:30, "às 9", 2pm, meio-dia
+ * - Prioridade: !alta, !média, !baixa (!high, !medium, !low ou !1, !2, !3)
+ * - Estimativa de pomodoros: ~3, ~3 pomodoros, 3 pomodoros
+ * - Projeto e tags: +projeto #tag
+ * - Texto literal: trechos entre aspas ficam no texto como foram escritos
+ *   e \palavra mantém a palavra (sem a barra), ex.: "Revisar \segunda versão"
+ * - Expressões ambíguas sem preposição (dia da semana, 10/12, "may 5",
+ *   "as 9" sem acento) só valem no fim do texto: "Fazer a segunda revisão" não vence
+ *   segunda-feira, "Entregar na segunda" e "Entregar segunda" vencem
+ * - Não depende do DOM nem de outros módulos (pode ser testado isoladamente,
+ *   ver tests/quickadd.test.js)
+ *
+ * Exemplo: "Revisar PR amanhã 14h !alta #trabalho ~3 pomodoros"
+ *   → texto "Revisar PR", vencimento amanhã às 14:00, prioridade alta,
+ *     tag "trabalho" e estimativa de 3 pomodoros
+ */
+
+const QuickAddParser = (function() {
+    'use strict';
+
+    // Maior estimativa aceita, em pomodoros
+    const MAX_ESTIMATE = 20;
+
+    // Início e fim de uma expressão (\b não reconhece letras acentuadas)
+    const START = '(^|\\s)';
+    const END = '(?=$|[\\s,.;!?])';
+
+    // Preposições que acompanham datas e horários e saem do texto junto com eles
+    const DATE_PREFIX_WORDS = '(?:em|no|na|para|pra|até|ate|on|by|due|until|this)\\s+';
+    const DATE_PREFIX = `(?:${DATE_PREFIX_WORDS})?`;
+    const DATE_PREFIX_GROUP = `(${DATE_PREFIX_WORDS})?`; // Capturada nas regras ambíguas
+    const TIME_PREFIX = '(?:(?:às|as|a partir das|at|@)\\s*)?';
+
+    // Dias da semana (0 = domingo, como em Date.getDay)
+    const WEEKDAYS = {
+        domingo: 0, sunday: 0,
+        segunda: 1, 'segunda-feira': 1, monday: 1,
+        'terça': 2, terca: 2, 'terça-feira': 2, 'terca-feira': 2, tuesday: 2,
+        quarta: 3, 'quarta-feira': 3, wednesday: 3,
+        quinta: 4, 'quinta-feira': 4, thursday: 4,
+        sexta: 5, 'sexta-feira': 5, friday: 5,
+        'sábado': 6, sabado: 6, saturday: 6
+    };
+
+    // Meses (1 = janeiro)
+    const MONTHS = {
+        janeiro: 1, january: 1, fevereiro: 2, february: 2, 'março': 3, marco: 3, march: 3,
+        abril: 4, april: 4, maio: 5, may: 5, junho: 6, june: 6, julho: 7, july: 7,
+        agosto: 8, august: 8, setembro: 9, september: 9, outubro: 10, october: 10,
+        novembro: 11, november: 11, dezembro: 12, december: 12
+    };
+
+    // Prioridades escritas após "!"
+    const PRIORITY_WORDS = {
+        alta: 'high', high: 'high', 1: 'high',
+        'média': 'medium', media: 'medium', medium: 'medium', 2: 'medium',
+        baixa: 'low', low: 'low', 3: 'low'
+    };
+
+    // Dias a somar para as datas relativas
+    const RELATIVE_DAYS = {
+        hoje: 0, today: 0, tonight: 0,
+        'amanhã': 1, amanha: 1, tomorrow: 1,
+        'depois de amanhã': 2, 'depois de amanha': 2, 'day after tomorrow': 2
+    };
+
+    /**
+     * Monta uma alternância de palavras para expressão regular (as mais longas primeiro)
+     * @param {Array} words - Palavras aceitas
+     * @returns {string} Grupo de alternância
+     */
+    function alternation(words) {
+        return words
+            .slice()
+            .sort((a, b) => b.length - a.length)
+            .map(word => word.replace(/\s+/g, '\\s+'))
+            .join('|');
+    }
+
+    const WEEKDAY_NAMES = alternation(Object.keys(WEEKDAYS));
+    const MONTH_NAMES = alternation(Object.keys(MONTHS));
+
+    // Marca os caracteres protegidos (aspas e \palavra) enquanto as regras rodam
+    const PROTECTED_CHAR = '\uE000';
+
+    // Trechos escritos para ficar no texto: "entre aspas" e \palavra
+    const LITERAL_TOKEN = /"[^"]*"|“[^”]*”|\\\S+/g;
+
+    /**
+     * Regras aplicadas em ordem; a primeira ocorrência reconhecida preenche o campo
+     * e o trecho reconhecido sai do texto. Cada regra recebe o resultado da
+     * expressão e o momento de referência e devolve os campos reconhecidos
+     * (ou null para deixar o trecho no texto). Regras com isAmbiguous só valem
+     * quando o trecho tem preposição ou termina o texto (ver parse).
+     */
+    const RULES = [
+        {
+            field: 'priority',
+            pattern: new RegExp(`${START}!(${alternation(Object.keys(PRIORITY_WORDS))})${END}`, 'giu'),
+            parse: match => ({ priority: PRIORITY_WORDS[match[2].toLowerCase()] })
+        },
+        {
+            field: 'estimate',
+            pattern: new RegExp(`${START}~\\s*(\\d{1,2})(?:\\s*(?:pomodoros?|pomos?|p))?${END}`, 'giu'),
+            parse: match => parseEstimate(match[2])
+        },
+        {
+            field: 'estimate',
+            pattern: new RegExp(`${START}(\\d{1,2})\\s*(?:pomodoros?|pomos?)${END}`, 'giu'),
+            parse: match => parseEstimate(match[2])
+        },
+        {
+            field: 'dueDate',
+            pattern: new RegExp(`${START}${DATE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})${END}`, 'giu'),
+            parse: match => dateResult(buildDate(match[2], match[3], match[4]))
+        },
+        {
+            field: 'dueDate',
+            pattern: new RegExp(`${START}${DATE_PREFIX_GROUP}(\\d{1,2})\\/(\\d{1,2})(?:\\/(\\d{2}|\\d{4}))?${END}`, 'giu'),
+            // "cap 10/12", "1/2": sem preposição nem ano pode ser só um número
+            isAmbiguous: match => !match[2] && !match[5],
+            parse: (match, now) => dateResult(resolveDayMonth(match[3], match[4], match[5], now))
+        },
+        {
+            field: 'dueDate',
+            pattern: new RegExp(`${START}${DATE_PREFIX}(\\d{1,2})\\s+(?:de\\s+)?(${MONTH_NAMES})(?:\\s+(?:de\\s+)?(\\d{4}))?${END}`, 'giu'),
+            parse: (match, now) => dateResult(resolveDayMonth(match[2], MONTHS[normalizeWord(match[3])], match[4], now))
+        },
+        {
+            field: 'dueDate',
+            pattern: new RegExp(`${START}${DATE_PREFIX_GROUP}(${MONTH_NAMES})\\s+(\\d{1,2})(?:,?\\s+(\\d{4}))?${END}`, 'giu'),
+            // "may 5", "march 3": o mês pode ser um verbo
+            isAmbiguous: match => !match[2] && !match[5],
+            parse: (match, now) => dateResult(resolveDayMonth(match[4], MONTHS[normalizeWord(match[3])], match[5], now))
+        },
+        {
+            field: 'dueDate',
+            pattern: new RegExp(`${START}${DATE_PREFIX}(${alternation(Object.keys(RELATIVE_DAYS))})${END}`, 'giu'),
+            parse: (match, now) => dateResult(addDays(now, RELATIVE_DAYS[normalizeWord(match[2])]))
+        },
+        {
+            field: 'dueDate',
+            pattern: new RegExp(`${START}(?:em|daqui\\s+a|in)\\s+(\\d{1,3})\\s+(dias?|semanas?|days?|weeks?)${END}`, 'giu'),
+            parse: (match, now) => {
+                const weeks = /^(semana|week)/i.test(match[3]);
+                return dateResult(addDays(now, Number(match[2]) * (weeks ? 7 : 1)));
+            }
+        },
+        {
+            field: 'dueDate',
+            pattern: new RegExp(`${START}(?:(?:na\\s+)?semana\\s+que\\s+vem|(?:na\\s+)?pr[óo]xima\\s+semana|next\\s+week)${END}`, 'giu'),
+            parse: (match, now) => dateResult(addDays(now, 7))
+        },
+        {
+            field: 'dueDate',
+            pattern: new RegExp(`${START}${DATE_PREFIX_GROUP}(?:(pr[óo]xim[ao]|next)\\s+)?(${WEEKDAY_NAMES})(?:\\s+(que\\s+vem))?${END}`, 'giu'),
+            // "a segunda revisão": sozinho, o dia da semana pode ser só uma palavra
+            isAmbiguous: match => !match[2] && !match[3] && !match[5],
+            parse: (match, now) => {
+                // "sexta" pode ser hoje; "próxima sexta" e "sexta que vem" são sempre depois de hoje
+                const strictlyAfter = Boolean(match[3] || match[5]);
+                return dateResult(nextWeekday(now, WEEKDAYS[normalizeWord(match[4])], strictlyAfter));
+            }
+        },
+        {
+            field: 'dueDate',
+            pattern: new RegExp(`${START}${DATE_PREFIX}dia\\s+(\\d{1,2})${END}`, 'giu'),
+            parse: (match, now) => dateResult(resolveMonthDay(match[2], now))
+        },
+        {
+            field: 'dueTime',
+            pattern: new RegExp(`${START}${TIME_PREFIX}(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)${END}`, 'giu'),
+            parse: match => timeResult(to24Hours(Number(match[2]), match[4]), match[3])
+        },
+        {
+            field: 'dueTime',
+            pattern: new RegExp(`${START}${TIME_PREFIX}(\\d{1,2})h(\\d{2})?${END}`, 'giu'),
+            parse: match => timeResult(match[2], match[3])
+        },
+        {
+            field: 'dueTime',
+            pattern: new RegExp(`${START}${TIME_PREFIX}(\\d{1,2}):(\\d{2})${END}`, 'giu'),
+            parse: match => timeResult(match[2], match[3])
+        },
+        {
+            field: 'dueTime',
+            pattern: new RegExp(`${START}(às|as|at)\\s+(\\d{1,2})${END}`, 'giu'),
+            // "as 9 pessoas": sem acento, "as" também é artigo
+            isAmbiguous: match => match[2].toLowerCase() !== 'às',
+            parse: match => timeResult(match[3])
+        },
+        {
+            field: 'dueTime',
+            pattern: new RegExp(`${START}(?:(?:ao|at)\\s+)?(meio-dia|noon|midday)${END}`, 'giu'),
+            parse: () => timeResult(12)
+        }
+    ];
+
+    // Marcações de projeto e tags, no mesmo formato aceito pelas tarefas
+    const PROJECT_TOKEN = /(^|\s)\+(\p{L}[\p{L}\p{N}_-]*)(?=\s|$)/gu;
+    const TAG_TOKEN = /(^|\s)#(\p{L}[\p{L}\p{N}_-]*)(?=\s|$)/gu;
+
+    /**
+     * Interpreta o texto de uma nova tarefa
+     * @param {string} input - Texto digitado
+     * @param {Date} now - Momento de referência para as datas relativas (padrão: agora)
+     * @returns {Object} { text, dueDate, dueTime, priority, estimate, project, tags, matches }
+     *   onde matches lista os trechos reconhecidos ({ field, text, index }), na ordem do texto;
+     *   index é a posição do trecho no texto digitado (sem os espaços das pontas)
+     */
+    function parse(input, now = new Date()) {
+        const original = String(input || '').trim();
+        const literal = protectLiterals(original);
+        const result = createResult(literal.text);
+
+        // Os trechos reconhecidos viram espaços do mesmo tamanho, mantendo as posições
+        let text = literal.masked;
+        const matches = [];
+
+        /**
+         * Registra um trecho reconhecido e devolve o que fica no lugar dele
+         * @param {string} field - Campo preenchido
+         * @param {string} space - Espaço que antecede o trecho
+         * @param {string} matched - Trecho completo, com o espaço
+         * @param {number} offset - Posição do trecho completo
+         * @returns {string} Espaços do tamanho do trecho
+         */
+        function consume(field, space, matched, offset) {
+            matches.push({ field, text: matched.slice(space.length), index: offset + space.length });
+            return ' '.repeat(matched.length);
+        }
+
+        text = text
+            .replace(PROJECT_TOKEN, (match, space, name, offset) => {
+                result.project = name.toLowerCase(); // Vale o último projeto escrito
+                return consume('project', space, match, offset);
+            })
+            .replace(TAG_TOKEN, (match, space, name, offset) => {
+                if (!result.tags.includes(name.toLowerCase())) {
+                    result.tags.push(name.toLowerCase());
+                }
+                return consume('tags', space, match, offset);
+            });
+
+        // Repete enquanto algo for reconhecido: tirar "às 9" do fim pode deixar
+        // um dia da semana ambíguo no fim do texto ("Reunião sexta às 9")
+        let found = true;
+        while (found) {
+            found = false;
+
+            RULES.forEach(rule => {
+                text = text.replace(rule.pattern, (...match) => {
+                    const offset = match[match.length - 2];
+                    const source = match[match.length - 1];
+                    if (result[rule.field] !== null) return match[0];
+                    if (rule.isAmbiguous && rule.isAmbiguous(match) &&
+                        !isEndOfText(source, offset + match[0].length)) {
+                        return match[0];
+                    }
+
+                    const fields = rule.parse(match, now);
+                    if (!fields) return match[0];
+
+                    Object.assign(result, fields);
+                    found = true;
+                    return consume(rule.field, match[1], match[0], offset);
+                });
+            });
+        }
+
+        // Horário sem data: hoje, ou amanhã se o horário já passou
+        if (result.dueTime && !result.dueDate) {
+            const [hours, minutes] = result.dueTime.split(':').map(Number);
+            const passed = hours * 60 + minutes <= now.getHours() * 60 + now.getMinutes();
+            result.dueDate = toDateKey(addDays(now, passed ? 1 : 0));
+        }
+
+        const cleanText = restoreLiterals(text, original, literal.escapes).replace(/\s+/g, ' ').trim();
+
+        // Só marcações: o texto fica como foi digitado, sem nada reconhecido
+        if (!cleanText) {
+            return createResult(literal.text);
+        }
+
+        result.text = cleanText;
+        result.matches = matches.sort((a, b) => a.index - b.index);
+
+        return result;
+    }
+
+    /**
+     * Protege os trechos literais ("entre aspas" e \palavra) das regras
+     * @param {string} text - Texto digitado
+     * @returns {Object} { masked, text, escapes } com o texto mascarado, o texto
+     *   literal (sem as barras de escape) e as posições das barras
+     */
+    function protectLiterals(text) {
+        const escapes = new Set();
+
+        const masked = text.replace(LITERAL_TOKEN, (token, offset) => {
+            if (token.startsWith('\\')) {
+                escapes.add(offset);
+            }
+            return PROTECTED_CHAR.repeat(token.length);
+        });
+
+        return {
+            masked,
+            text: restoreLiterals(masked, text, escapes).replace(/\s+/g, ' ').trim(),
+            escapes
+        };
+    }
+
+    /**
+     * Devolve os trechos protegidos ao texto, sem as barras de escape
+     * @param {string} masked - Texto com os trechos protegidos mascarados
+     * @param {string} original - Texto digitado
+     * @param {Set} escapes - Posições das barras de escape
+     * @returns {string} Texto final
+     */
+    function restoreLiterals(masked, original, escapes) {
+        let text = '';
+        for (let i = 0; i < masked.length; i++) {
+            if (escapes.has(i)) continue;
+            text += masked[i] === PROTECTED_CHAR ? original[i] : masked[i];
+        }
+        return text;
+    }
+
+    /**
+     * Verifica se depois da posição só há espaços e pontuação
+     * @param {string} text - Texto com os trechos já reconhecidos apagados
+     * @param {number} position - Posição logo após o trecho
+     * @returns {boolean} True se o trecho termina o texto
+     */
+    function isEndOfText(text, position) {
+        return /^[\s,.;!?]*$/.test(text.slice(position));
+    }
+
+    /**
+     * Cria um resultado sem nenhum campo reconhecido
+     * @param {string} text - Texto da tarefa
+     * @returns {Object} Resultado vazio
+     */
+    function createResult(text) {
+        return {
+            text,
+            dueDate: null,
+            dueTime: null,
+            priority: null,
+            estimate: null,
+            project: null,
+            tags: [],
+            matches: []
+        };
+    }
+
+    /**
+     * Indica se algum campo foi reconhecido no texto
+     * @param {Object} result - Resultado de parse()
+     * @returns {boolean} True se há algo além do texto
+     */
+    function hasMatches(result) {
+        return Boolean(result && result.matches.length > 0);
+    }
+
+    /**
+     * Valida a estimativa de pomodoros
+     * @param {string} value - Quantidade escrita
+     * @returns {Object|null} { estimate } ou null se inválida
+     */
+    function parseEstimate(value) {
+        const estimate = Number(value);
+        return estimate >= 1 && estimate <= MAX_ESTIMATE ? { estimate } : null;
+    }
+
+    /**
+     * Resultado de uma regra de data
+     * @param {Date|null} date - Data reconhecida
+     * @returns {Object|null} { dueDate } ou null se a data for inválida
+     */
+    function dateResult(date) {
+        return date ? { dueDate: toDateKey(date) } : null;
+    }
+
+    /**
+     * Resultado de uma regra de horário
+     * @param {number|string|null} hours - Horas (0-23)
+     * @param {string} minutes - Minutos (opcional)
+     * @returns {Object|null} { dueTime } ou null se o horário for inválido
+     */
+    function timeResult(hours, minutes = '0') {
+        const h = Number(hours);
+        const m = Number(minutes || 0);
+        if (hours === null || !Number.isInteger(h) || h > 23 || !Number.isInteger(m) || m > 59) return null;
+
+        return { dueTime: `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}` };
+    }
+
+    /**
+     * Converte um horário de 12 horas (am/pm) para 24 horas
+     * @param {number} hours - Horas (1-12)
+     * @param {string} period - "am" ou "pm"
+     * @returns {number|null} Horas (0-23) ou null se inválido
+     */
+    function to24Hours(hours, period) {
+        if (hours < 1 || hours > 12) return null;
+        const isPm = period.toLowerCase() === 'pm';
+        return (hours % 12) + (isPm ? 12 : 0);
+    }
+
+    /**
+     * Monta uma data validando dia e mês
+     * @param {number|string} year - Ano
+     * @param {number|string} month - Mês (1-12)
+     * @param {number|string} day - Dia
+     * @returns {Date|null} Data local ou null se não existir (ex.: 31/02)
+     */
+    function buildDate(year, month, day) {
+        const date = new Date(Number(year), Number(month) - 1, Number(day));
+        const valid = date.getFullYear() === Number(year) &&
+            date.getMonth() === Number(month) - 1 &&
+            date.getDate() === Number(day);
+        return valid ? date : null;
+    }
+
+    /**
+     * Resolve dia/mês com ano opcional; sem ano, usa a próxima vez que a data ocorre
+     * @param {string} day - Dia
+     * @param {number|string} month - Mês (1-12)
+     * @param {string} year - Ano com 2 ou 4 dígitos (opcional)
+     * @param {Date} now - Momento de referência
+     * @returns {Date|null} Data local ou null se inválida
+     */
+    function resolveDayMonth(day, month, year, now) {
+        if (year) {
+            return buildDate(year.length === 2 ? 2000 + Number(year) : year, month, day);
+        }
+
+        const date = buildDate(now.getFullYear(), month, day);
+        if (date && date < startOfDay(now)) {
+            return buildDate(now.getFullYear() + 1, month, day);
+        }
+        return date;
+    }
+
+    /**
+     * Resolve "dia N": neste mês, ou no próximo se o dia já passou
+     * @param {string} day - Dia do mês
+     * @param {Date} now - Momento de referência
+     * @returns {Date|null} Data local ou null se inválida
+     */
+    function resolveMonthDay(day, now) {
+        const date = buildDate(now.getFullYear(), now.getMonth() + 1, day);
+        if (date && date >= startOfDay(now)) return date;
+
+        const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+        return buildDate(nextMonth.getFullYear(), nextMonth.getMonth() + 1, day);
+    }
+
+    /**
+     * Próxima data com o dia da semana informado
+     * @param {Date} now - Momento de referência
+     * @param {number} weekday - Dia da semana (0 = domingo)
+     * @param {boolean} strictlyAfter - Se true, nunca retorna hoje
+     * @returns {Date} Data local
+     */
+    function nextWeekday(now, weekday, strictlyAfter) {
+        let days = (weekday - now.getDay() + 7) % 7;
+        if (days === 0 && strictlyAfter) {
+            days = 7;
+        }
+        return addDays(now, days);
+    }
+
+    /**
+     * Soma dias a uma data
+     * @param {Date} date - Data de referência
+     * @param {number} days - Dias a somar
+     * @returns {Date} Nova data local (meia-noite)
+     */
+    function addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    /**
+     * Início do dia de uma data
+     * @param {Date} date - Data de referência
+     * @returns {Date} Meia-noite do mesmo dia
+     */
+    function startOfDay(date) {
+        return addDays(date, 0);
+    }
+
+    /**
+     * Normaliza uma palavra reconhecida para consultar as tabelas
+     * @param {string} word - Palavra como foi escrita
+     * @returns {string} Palavra em minúsculas com espaços simples
+     */
+    function normalizeWord(word) {
+        return word.toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Converte uma data em chave local no formato AAAA-MM-DD
+     * @param {Date} date - Data a ser convertida
+     * @returns {string} Data formatada
+     */
+    function toDateKey(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        parse,
+        hasMatches,
+
+        // Constantes
+        MAX_ESTIMATE
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuickAddParser;
+}
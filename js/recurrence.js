@@ -0,0 +1,183 @@
+/**
+ * Módulo de Recorrência de Tarefas
+ * Regras de repetição e cálculo do vencimento da próxima ocorrência
+ *
+ * Funcionalidades:
+ * - Regras diária, dias úteis, semanal (em dias escolhidos), mensal e a cada N dias
+ * - Validar e normalizar regras vindas do formulário, do armazenamento ou de backups
+ * - Calcular a data da próxima ocorrência
+ * - Descrever a regra em texto ("Semanal: seg, qua")
+ */
+
+const Recurrence = (function() {
+    'use strict';
+
+    // Tipos de regra e seus nomes
+    const TYPES = {
+        daily: 'Diária',
+        weekdays: 'Dias úteis',
+        weekly: 'Semanal',
+        monthly: 'Mensal',
+        interval: 'A cada N dias'
+    };
+
+    // Abreviações dos dias da semana (0 = domingo, como em Date.getDay)
+    const WEEKDAY_NAMES = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb'];
+
+    // Limite do intervalo em dias da regra "a cada N dias"
+    const MAX_INTERVAL = 365;
+
+    /**
+     * Valida e normaliza uma regra de recorrência
+     * @param {Object|null} rule - Regra { type, days, interval, monthDay }
+     * @param {string|null} dueDate - Vencimento da tarefa (AAAA-MM-DD), usado como referência
+     * @returns {Object|null} Regra válida, ou null se não houver recorrência
+     */
+    function normalizeRule(rule, dueDate = null) {
+        if (!rule || !TYPES[rule.type]) return null;
+
+        const reference = dueDate ? parseDateKey(dueDate) : null;
+
+        switch (rule.type) {
+            case 'weekly': {
+                const days = [...new Set((Array.isArray(rule.days) ? rule.days : [])
+                    .map(Number)
+                    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6))]
+                    .sort((a, b) => a - b);
+
+                // Sem dias escolhidos: repete no mesmo dia da semana do vencimento (ou de hoje)
+                return { type: 'weekly', days: days.length > 0 ? days : [(reference || new Date()).getDay()] };
+            }
+            case 'monthly': {
+                const monthDay = Number(rule.monthDay);
+                const validDay = Number.isInteger(monthDay) && monthDay >= 1 && monthDay <= 31;
+                return { type: 'monthly', monthDay: validDay ? monthDay : (reference || new Date()).getDate() };
+            }
+            case 'interval': {
+                const interval = Math.round(Number(rule.interval));
+                if (!Number.isFinite(interval) || interval < 1) return null;
+                return { type: 'interval', interval: Math.min(interval, MAX_INTERVAL) };
+            }
+            default:
+                return { type: rule.type };
+        }
+    }
+
+    /**
+     * Calcula o vencimento da próxima ocorrência.
+     * Parte do vencimento atual (ou de hoje, sem vencimento); se a próxima data
+     * já tiver passado, avança até hoje ou depois.
+     * @param {Object} rule - Regra normalizada
+     * @param {string|null} dueDate - Vencimento da ocorrência concluída (AAAA-MM-DD)
+     * @param {Date} now - Momento de referência (padrão: agora)
+     * @returns {string|null} Próximo vencimento (AAAA-MM-DD), ou null se a regra for inválida
+     */
+    function getNextDueDate(rule, dueDate, now = new Date()) {
+        const normalized = normalizeRule(rule, dueDate);
+        if (!normalized) return null;
+
+        const today = toDateKey(now);
+        let current = dueDate || today;
+
+        do {
+            current = toDateKey(advance(normalized, parseDateKey(current)));
+        } while (current < today);
+
+        return current;
+    }
+
+    /**
+     * Avança uma data para a próxima ocorrência da regra
+     * @param {Object} rule - Regra normalizada
+     * @param {Date} date - Data da ocorrência atual
+     * @returns {Date} Data da próxima ocorrência
+     */
+    function advance(rule, date) {
+        const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+        switch (rule.type) {
+            case 'weekdays':
+                do {
+                    next.setDate(next.getDate() + 1);
+                } while (next.getDay() === 0 || next.getDay() === 6);
+                return next;
+            case 'weekly':
+                do {
+                    next.setDate(next.getDate() + 1);
+                } while (!rule.days.includes(next.getDay()));
+                return next;
+            case 'monthly': {
+                // Meses mais curtos usam o último dia (31 → 30, 28 ou 29)
+                const year = next.getFullYear();
+                const month = next.getMonth() + 1;
+                const lastDay = new Date(year, month + 1, 0).getDate();
+                return new Date(year, month, Math.min(rule.monthDay, lastDay));
+            }
+            case 'interval':
+                next.setDate(next.getDate() + rule.interval);
+                return next;
+            default:
+                next.setDate(next.getDate() + 1);
+                return next;
+        }
+    }
+
+    /**
+     * Descreve a regra em texto curto
+     * @param {Object|null} rule - Regra de recorrência
+     * @returns {string} Descrição (vazia se não houver recorrência)
+     */
+    function describe(rule) {
+        const normalized = normalizeRule(rule);
+        if (!normalized) return '';
+
+        switch (normalized.type) {
+            case 'weekly':
+                return `${TYPES.weekly}: ${normalized.days.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+            case 'monthly':
+                return `${TYPES.monthly}: dia ${normalized.monthDay}`;
+            case 'interval':
+                return normalized.interval === 1 ? TYPES.daily : `A cada ${normalized.interval} dias`;
+            default:
+                return TYPES[normalized.type];
+        }
+    }
+
+    /**
+     * Converte uma chave AAAA-MM-DD em data local
+     * @param {string} dateKey - Data no formato AAAA-MM-DD
+     * @returns {Date} Data local (meia-noite)
+     */
+    function parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Converte uma data em chave local no formato AAAA-MM-DD
+     * @param {Date} date - Data a ser convertida
+     * @returns {string} Data formatada
+     */
+    function toDateKey(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        normalizeRule,
+        getNextDueDate,
+        describe,
+
+        // Constantes
+        TYPES,
+        WEEKDAY_NAMES
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Recurrence;
+}
@@ -66,8 +66,10 @@ const Router = (function() {
     function setupHistory() {
         // Adiciona estado inicial ao histórico se não existir
         if (!window.history.state) {
-            const state = { page: currentPage };
-            const url = `#${currentPage}`;
+            const page = getPageFromURL() || currentPage;
+            const state = { page };
+            // Preserva o hash atual: páginas registradas depois do init ainda podem ser restauradas
+            const url = window.location.hash || `#${page}`;
             window.history.replaceState(state, '', url);
         }
     }
@@ -267,6 +269,13 @@ const Router = (function() {
 
         pages[pageName] = pageConfig;
         console.log(`Página adicionada: ${pageName}`);
+
+        // Páginas registradas após o init também podem ser abertas pela URL
+        if (getPageFromURL() === pageName && currentPage !== pageName) {
+            navigateTo(pageName, false);
+            updateURL(pageName);
+        }
+
         return true;
     }
 
@@ -0,0 +1,557 @@
+/**
+ * Módulo de Configurações
+ * Gerencia a página de preferências do timer, som e notificações
+ *
+ * Funcionalidades:
+ * - Editar tempos de foco, pausa e pausa longa (gravados no perfil ativo do timer)
+ * - Definir quantos focos antecedem a pausa longa
+ * - Ativar/desativar alternância automática e cada canal de alerta
+ *   (som, notificação do sistema, aviso na tela, título piscando e vibração)
+ * - Definir de quanto em quanto tempo um alerta ignorado é repetido
+ * - Escolher o alarme, o tique-taque e o som ambiente, com volume e pré-visualização
+ * - Definir após quantos dias as tarefas concluídas são arquivadas
+ * - Validar os valores informados (inclusive os de backups importados)
+ * - Pré-visualizar o ritmo de uma rodada completa
+ * - Restaurar as configurações padrão
+ * - Alternar som, notificações e alternância automática pela paleta de comandos
+ */
+
+const SettingsManager = (function() {
+    'use strict';
+
+    // Regras de validação dos campos numéricos (tempos em minutos)
+    const FIELD_RULES = {
+        focusTime: { label: 'Tempo de foco', min: 1, max: 180, toConfig: minutesToSeconds, fromConfig: secondsToMinutes },
+        breakTime: { label: 'Tempo de pausa', min: 1, max: 60, toConfig: minutesToSeconds, fromConfig: secondsToMinutes },
+        longBreakTime: { label: 'Tempo de pausa longa', min: 1, max: 120, toConfig: minutesToSeconds, fromConfig: secondsToMinutes },
+        longBreakInterval: { label: 'Focos até a pausa longa', min: 1, max: 12, toConfig: value => value, fromConfig: value => value },
+        alertRepeatMinutes: { label: 'Intervalo de repetição do alerta', min: 0, max: 30, toConfig: value => value, fromConfig: value => value },
+        alarmVolume: { label: 'Volume do alarme', min: 0, max: 100, toConfig: value => value, fromConfig: value => value },
+        tickingVolume: { label: 'Volume do tique-taque', min: 0, max: 100, toConfig: value => value, fromConfig: value => value },
+        ambientVolume: { label: 'Volume do som ambiente', min: 0, max: 100, toConfig: value => value, fromConfig: value => value },
+        autoArchiveDays: { label: 'Dias até arquivar', min: 0, max: 365, toConfig: value => value, fromConfig: value => value }
+    };
+
+    // Campos booleanos (checkboxes)
+    const TOGGLE_FIELDS = ['autoSwitch', 'soundEnabled', 'notificationsEnabled', 'toastEnabled', 'titleFlashEnabled', 'vibrationEnabled', 'tickingEnabled'];
+
+    // Campos de escolha (selects); as opções válidas são as do próprio select
+    const SELECT_FIELDS = ['alarmSound', 'ambientNoise'];
+
+    // Som e volume usados pela pré-visualização de cada tipo
+    const PREVIEW_FIELDS = {
+        alarm: { sound: 'alarmSound', volume: 'alarmVolume' },
+        ticking: { sound: null, volume: 'tickingVolume' },
+        ambient: { sound: 'ambientNoise', volume: 'ambientVolume' }
+    };
+
+    // Nomes dos campos booleanos na paleta de comandos
+    const TOGGLE_LABELS = {
+        autoSwitch: 'Alternância automática entre foco e pausa',
+        soundEnabled: 'Som ao fim de cada fase',
+        notificationsEnabled: 'Notificações do navegador',
+        toastEnabled: 'Aviso na tela ao fim de cada fase',
+        titleFlashEnabled: 'Título da aba piscando',
+        vibrationEnabled: 'Vibração',
+        tickingEnabled: 'Tique-taque durante o foco'
+    };
+
+    // Elementos DOM
+    const elements = {
+        form: null,
+        preview: null,
+        resetBtn: null,
+        status: null
+    };
+
+    /**
+     * Inicializa o módulo de configurações
+     * @param {Object} domElements - Objeto com referências aos elementos DOM
+     */
+    function init(domElements) {
+        // Armazena referências aos elementos DOM
+        Object.assign(elements, domElements);
+
+        // Configura event listeners
+        setupEventListeners();
+
+        // Preenche o formulário com a configuração atual
+        fillForm(PomodoroTimer.getConfig());
+
+        // Registra os comandos de configuração na paleta
+        registerCommands();
+
+        console.log('Módulo de configurações inicializado com sucesso');
+    }
+
+    /**
+     * Configura os event listeners do formulário
+     */
+    function setupEventListeners() {
+        if (elements.form) {
+            elements.form.addEventListener('submit', handleSubmit);
+            elements.form.addEventListener('input', handleInput);
+        }
+
+        if (elements.resetBtn) {
+            elements.resetBtn.addEventListener('click', resetToDefaults);
+        }
+
+        // Botões "Ouvir" de cada som
+        if (elements.form) {
+            elements.form.addEventListener('click', event => {
+                const button = event.target.closest('[data-preview]');
+                if (button) {
+                    previewSound(button.dataset.preview);
+                }
+            });
+        }
+
+        // Sair da página interrompe a pré-visualização
+        document.addEventListener('pageChanged', () => SoundEngine.stopPreview());
+    }
+
+    /**
+     * Pré-visualiza um som com os valores do formulário (mesmo sem salvar)
+     * @param {string} kind - 'alarm', 'ticking' ou 'ambient'
+     * @returns {boolean} True se o som foi tocado
+     */
+    function previewSound(kind) {
+        const fields = PREVIEW_FIELDS[kind];
+        if (!fields) return false;
+
+        const soundField = fields.sound ? getField(fields.sound) : null;
+        const volumeField = getField(fields.volume);
+        const played = SoundEngine.previewSound(kind, {
+            sound: soundField ? soundField.value : null,
+            volume: volumeField ? Number(volumeField.value) : 50
+        });
+
+        if (!played) {
+            setStatus(kind === 'ambient' && soundField && soundField.value === 'off'
+                ? 'Escolha um som ambiente para ouvir.'
+                : 'Este navegador não consegue tocar os sons.');
+        }
+        return played;
+    }
+
+    /**
+     * Converte minutos em segundos
+     * @param {number} minutes - Valor em minutos
+     * @returns {number} Valor em segundos
+     */
+    function minutesToSeconds(minutes) {
+        return Math.round(minutes * 60);
+    }
+
+    /**
+     * Converte segundos em minutos
+     * @param {number} seconds - Valor em segundos
+     * @returns {number} Valor em minutos
+     */
+    function secondsToMinutes(seconds) {
+        return Math.round(seconds / 60);
+    }
+
+    /**
+     * Obtém o campo do formulário pelo nome
+     * @param {string} name - Nome do campo
+     * @returns {HTMLInputElement|null} Campo ou null
+     */
+    function getField(name) {
+        return elements.form ? elements.form.elements.namedItem(name) : null;
+    }
+
+    /**
+     * Preenche o formulário com uma configuração
+     * @param {Object} config - Configuração do timer
+     */
+    function fillForm(config) {
+        Object.entries(FIELD_RULES).forEach(([name, rule]) => {
+            const field = getField(name);
+            if (field && config[name] !== undefined) {
+                field.value = rule.fromConfig(config[name]);
+            }
+        });
+
+        TOGGLE_FIELDS.forEach(name => {
+            const field = getField(name);
+            if (field) {
+                field.checked = Boolean(config[name]);
+            }
+        });
+
+        SELECT_FIELDS.forEach(name => {
+            const field = getField(name);
+            if (field && config[name] !== undefined) {
+                field.value = config[name];
+            }
+        });
+
+        clearErrors();
+        updatePreview(config);
+    }
+
+    /**
+     * Lê e valida os valores do formulário
+     * @returns {Object} Objeto com a configuração e os erros encontrados
+     */
+    function readForm() {
+        const config = {};
+        const errors = {};
+
+        Object.entries(FIELD_RULES).forEach(([name, rule]) => {
+            const field = getField(name);
+            if (!field) return;
+
+            const value = Number(field.value);
+            if (field.value.trim() === '' || !Number.isInteger(value)) {
+                errors[name] = `${rule.label} deve ser um número inteiro`;
+            } else if (value < rule.min || value > rule.max) {
+                errors[name] = `${rule.label} deve estar entre ${rule.min} e ${rule.max}`;
+            } else {
+                config[name] = rule.toConfig(value);
+            }
+        });
+
+        TOGGLE_FIELDS.forEach(name => {
+            const field = getField(name);
+            if (field) {
+                config[name] = field.checked;
+            }
+        });
+
+        SELECT_FIELDS.forEach(name => {
+            const field = getField(name);
+            if (field && Array.from(field.options).some(option => option.value === field.value)) {
+                config[name] = field.value;
+            }
+        });
+
+        return { config, errors };
+    }
+
+    /**
+     * Normaliza uma configuração vinda de fora do formulário (ex.: backup importado)
+     * com as mesmas regras dele; valores inválidos voltam ao padrão
+     * @param {Object} config - Configuração do timer (ou perfil)
+     * @returns {Object} Configuração completa e válida
+     */
+    function normalizeConfig(config) {
+        const normalized = Storage.getDefaultTimerConfig();
+
+        Object.entries(FIELD_RULES).forEach(([name, rule]) => {
+            const value = config[name];
+            if (Number.isInteger(value) && rule.fromConfig(value) >= rule.min && rule.fromConfig(value) <= rule.max) {
+                normalized[name] = value;
+            }
+        });
+
+        TOGGLE_FIELDS.forEach(name => {
+            if (typeof config[name] === 'boolean') {
+                normalized[name] = config[name];
+            }
+        });
+
+        SELECT_FIELDS.forEach(name => {
+            if (getSelectOptions(name).includes(config[name])) {
+                normalized[name] = config[name];
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Obtém as opções válidas de um select sem depender do formulário
+     * @param {string} name - Nome do campo
+     * @returns {Array} Valores aceitos
+     */
+    function getSelectOptions(name) {
+        return name === 'alarmSound'
+            ? Object.keys(SoundEngine.ALARMS)
+            : ['off', ...Object.keys(SoundEngine.AMBIENT_NOISES)];
+    }
+
+    /**
+     * Manipula alterações nos campos (validação e pré-visualização ao vivo)
+     */
+    function handleInput() {
+        const { config, errors } = readForm();
+        showErrors(errors);
+
+        if (Object.keys(errors).length === 0) {
+            updatePreview(config);
+        }
+        setStatus('');
+    }
+
+    /**
+     * Manipula o envio do formulário de configurações
+     * @param {Event} event - Evento de submit do formulário
+     */
+    function handleSubmit(event) {
+        event.preventDefault();
+
+        const { config, errors } = readForm();
+        showErrors(errors);
+
+        if (Object.keys(errors).length > 0) {
+            setStatus('Corrija os campos destacados antes de salvar.');
+            return;
+        }
+
+        applyConfig(config);
+        setStatus(getAppliedMessage());
+    }
+
+    /**
+     * Registra os comandos de configuração na paleta de comandos
+     */
+    function registerCommands() {
+        TOGGLE_FIELDS.forEach(field => {
+            CommandPalette.registerCommand({
+                id: `settings.toggle.${field}`,
+                title: () => `${TOGGLE_LABELS[field]}: ${PomodoroTimer.getConfig()[field] ? 'desligar' : 'ligar'}`,
+                section: 'Configurações',
+                keywords: ['alternar', 'ativar', 'desativar'],
+                run: () => toggleSetting(field)
+            });
+        });
+
+        CommandPalette.registerCommand({
+            id: 'settings.reset',
+            title: 'Restaurar configurações padrão',
+            section: 'Configurações',
+            run: resetToDefaults
+        });
+    }
+
+    /**
+     * Liga ou desliga uma configuração booleana
+     * @param {string} field - Nome do campo booleano (ex.: 'autoSwitch', 'soundEnabled')
+     */
+    function toggleSetting(field) {
+        if (!TOGGLE_FIELDS.includes(field)) return;
+
+        const config = { ...PomodoroTimer.getConfig() };
+        config[field] = !config[field];
+
+        fillForm(config);
+        applyConfig(config);
+        setStatus(`${TOGGLE_LABELS[field]}: ${config[field] ? 'ligado' : 'desligado'}.`);
+    }
+
+    /**
+     * Restaura as configurações padrão
+     */
+    function resetToDefaults() {
+        const defaults = Storage.getDefaultTimerConfig();
+        fillForm(defaults);
+        applyConfig(defaults);
+        setStatus('Configurações padrão restauradas. ' + getAppliedMessage());
+    }
+
+    /**
+     * Aplica a configuração no timer (que a salva no localStorage)
+     * @param {Object} config - Nova configuração
+     */
+    function applyConfig(config) {
+        const previousConfig = PomodoroTimer.getConfig();
+        PomodoroTimer.updateConfig(config);
+
+        // Solicita permissão quando as notificações são ativadas
+        if (config.notificationsEnabled && !previousConfig.notificationsEnabled &&
+            'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+
+        dispatchCustomEvent('settingsChanged', { config: PomodoroTimer.getConfig() });
+        console.log('Configurações aplicadas:', config);
+    }
+
+    /**
+     * Monta a mensagem exibida após salvar
+     * @returns {string} Mensagem de status
+     */
+    function getAppliedMessage() {
+        return PomodoroTimer.getTimerState().isRunning
+            ? 'Salvo! Os novos tempos valem a partir da próxima fase.'
+            : 'Salvo! O timer já está usando os novos tempos.';
+    }
+
+    /**
+     * Atualiza a pré-visualização de uma rodada completa
+     * @param {Object} config - Configuração a ser exibida
+     */
+    function updatePreview(config) {
+        if (!elements.preview) return;
+
+        const focus = secondsToMinutes(config.focusTime);
+        const shortBreak = secondsToMinutes(config.breakTime);
+        const longBreak = secondsToMinutes(config.longBreakTime);
+        const rounds = config.longBreakInterval;
+
+        // Monta a sequência foco → pausa → ... → pausa longa
+        const segments = [];
+        for (let i = 1; i <= rounds; i++) {
+            segments.push({ type: 'focus', minutes: focus });
+            segments.push(i < rounds
+                ? { type: 'break', minutes: shortBreak }
+                : { type: 'longBreak', minutes: longBreak });
+        }
+
+        const totalMinutes = segments.reduce((sum, segment) => sum + segment.minutes, 0);
+
+        const bar = segments.map(segment => {
+            const width = (segment.minutes / totalMinutes) * 100;
+            return `<span class="preview-segment ${segment.type}" style="width: ${width}%" title="${segment.minutes} min"></span>`;
+        }).join('');
+
+        elements.preview.innerHTML = `
+            <div class="preview-bar">${bar}</div>
+            <p class="preview-text">
+                ${rounds} × ${focus} min de foco com pausas de ${shortBreak} min,
+                seguidos de ${longBreak} min de pausa longa
+                (${formatDuration(totalMinutes)} por rodada).
+            </p>
+            <p class="preview-text">
+                Alternância automática: ${config.autoSwitch ? 'ativada' : 'desativada'} ·
+                Alertas: ${describeAlertChannels(config)}
+            </p>
+            <p class="preview-text">
+                ${config.alertRepeatMinutes
+                    ? `Alerta ignorado: repetido a cada ${config.alertRepeatMinutes} min, com mais insistência`
+                    : 'Alerta ignorado não é repetido'}
+            </p>
+            <p class="preview-text">
+                Alarme: ${describeSound(SoundEngine.ALARMS[config.alarmSound] && SoundEngine.ALARMS[config.alarmSound].name, config.alarmVolume)} ·
+                Tique-taque: ${config.tickingEnabled ? describeSound('ligado', config.tickingVolume) : 'desligado'} ·
+                Som ambiente: ${describeSound(SoundEngine.AMBIENT_NOISES[config.ambientNoise], config.ambientVolume)}
+            </p>
+            <p class="preview-text">
+                Tarefas concluídas: ${config.autoArchiveDays
+                    ? `arquivadas após ${config.autoArchiveDays} dia(s)`
+                    : 'ficam na lista até serem arquivadas manualmente'}
+            </p>
+        `;
+    }
+
+    /**
+     * Lista os canais de alerta ligados
+     * @param {Object} config - Configuração a ser exibida
+     * @returns {string} Canais separados por vírgula ou "nenhum"
+     */
+    function describeAlertChannels(config) {
+        const channels = [
+            config.soundEnabled && 'som',
+            config.notificationsEnabled && 'notificação',
+            config.toastEnabled && 'aviso na tela',
+            config.titleFlashEnabled && 'título piscando',
+            config.vibrationEnabled && 'vibração'
+        ].filter(Boolean);
+
+        return channels.length > 0 ? channels.join(', ') : 'nenhum';
+    }
+
+    /**
+     * Descreve um som e seu volume (ex.: "Chuva (40%)")
+     * @param {string} name - Nome do som (vazio quando desligado)
+     * @param {number} volume - Volume de 0 a 100
+     * @returns {string} Descrição do som
+     */
+    function describeSound(name, volume) {
+        return name ? `${name} (${volume}%)` : 'desligado';
+    }
+
+    /**
+     * Formata uma duração em minutos como "1h 30min"
+     * @param {number} totalMinutes - Duração em minutos
+     * @returns {string} Duração formatada
+     */
+    function formatDuration(totalMinutes) {
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+
+        if (hours === 0) return `${minutes} min`;
+        return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}min`;
+    }
+
+    /**
+     * Exibe as mensagens de erro ao lado dos campos
+     * @param {Object} errors - Mapa de campo para mensagem de erro
+     */
+    function showErrors(errors) {
+        clearErrors();
+
+        Object.entries(errors).forEach(([name, message]) => {
+            const field = getField(name);
+            if (!field) return;
+
+            field.classList.add('invalid');
+            field.setAttribute('aria-invalid', 'true');
+
+            const errorElement = elements.form.querySelector(`[data-error-for="${name}"]`);
+            if (errorElement) {
+                errorElement.textContent = message;
+            }
+        });
+    }
+
+    /**
+     * Remove as mensagens de erro do formulário
+     */
+    function clearErrors() {
+        if (!elements.form) return;
+
+        elements.form.querySelectorAll('.invalid').forEach(field => {
+            field.classList.remove('invalid');
+            field.removeAttribute('aria-invalid');
+        });
+        elements.form.querySelectorAll('[data-error-for]').forEach(errorElement => {
+            errorElement.textContent = '';
+        });
+    }
+
+    /**
+     * Atualiza a mensagem de status do formulário
+     * @param {string} message - Mensagem a ser exibida
+     */
+    function setStatus(message) {
+        if (elements.status) {
+            elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Dispara um evento customizado
+     * @param {string} eventName - Nome do evento
+     * @param {Object} detail - Dados do evento
+     */
+    function dispatchCustomEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        resetToDefaults,
+        toggleSetting,
+
+        // Funções utilitárias
+        fillForm,
+        readForm,
+        normalizeConfig,
+        previewSound
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsManager;
+}
@@ -0,0 +1,468 @@
+/**
+ * Módulo de Sons
+ * Sintetiza com a Web Audio API os alarmes, o tique-taque e os sons ambientes
+ *
+ * Funcionalidades:
+ * - Alarmes sintetizados para o fim de fase (sino, digital, carrilhão, suave)
+ * - Volume separado para alarme, tique-taque e som ambiente
+ * - Tique-taque opcional enquanto o foco está rodando
+ * - Som ambiente gerado (ruído branco, rosa, marrom ou chuva) só durante o foco
+ * - Pré-visualização de cada som com os valores ainda não salvos das configurações
+ *
+ * Só a aba dona do timer toca o tique-taque e o som ambiente, para que
+ * várias abas abertas não somem o mesmo som.
+ */
+
+const SoundEngine = (function() {
+    'use strict';
+
+    // Alarmes disponíveis: nome exibido e notas (tempos em segundos)
+    const ALARMS = {
+        bell: {
+            name: 'Sino',
+            notes: [
+                { type: 'sine', frequency: 880, start: 0, duration: 1.6, peak: 0.6 },
+                { type: 'sine', frequency: 1760, start: 0, duration: 1.0, peak: 0.25 },
+                { type: 'sine', frequency: 2640, start: 0, duration: 0.6, peak: 0.12 },
+                { type: 'sine', frequency: 880, start: 0.9, duration: 1.6, peak: 0.5 },
+                { type: 'sine', frequency: 1760, start: 0.9, duration: 1.0, peak: 0.2 }
+            ]
+        },
+        digital: {
+            name: 'Digital',
+            notes: [0, 0.2, 0.4, 0.8, 1.0, 1.2].map(start => (
+                { type: 'square', frequency: 1000, start, duration: 0.12, peak: 0.25, attack: 0.005 }
+            ))
+        },
+        chime: {
+            name: 'Carrilhão',
+            notes: [1046.5, 1318.5, 1568, 2093].map((frequency, index) => (
+                { type: 'triangle', frequency, start: index * 0.25, duration: 0.9, peak: 0.5 }
+            ))
+        },
+        soft: {
+            name: 'Suave',
+            notes: [
+                { type: 'sine', frequency: 523.25, start: 0, duration: 1.4, peak: 0.5, attack: 0.3 },
+                { type: 'sine', frequency: 659.25, start: 0.7, duration: 1.6, peak: 0.5, attack: 0.3 }
+            ]
+        }
+    };
+
+    // Sons ambientes disponíveis
+    const AMBIENT_NOISES = {
+        white: 'Ruído branco',
+        pink: 'Ruído rosa',
+        brown: 'Ruído marrom',
+        rain: 'Chuva'
+    };
+
+    // Duração (em segundos) do trecho de ruído repetido em loop
+    const NOISE_BUFFER_SECONDS = 4;
+
+    // Intervalo do tique-taque
+    const TICK_INTERVAL_MS = 1000;
+
+    // Duração das transições de volume do som ambiente
+    const FADE_SECONDS = 0.5;
+
+    // Duração das pré-visualizações de tique-taque e som ambiente
+    const PREVIEW_MS = 4000;
+
+    // Contexto de áudio (criado no primeiro som, após uma interação)
+    let context = null;
+
+    // Ganho de cada canal: { alarm, ticking, ambient }
+    let channels = null;
+
+    // Trechos de ruído já gerados, por tipo
+    const noiseBuffers = {};
+
+    // Sons de foco em andamento
+    let tickInterval = null;
+    let ambient = null; // { type, source, gain }
+
+    // Pré-visualização em andamento: { stop, timeout }
+    let preview = null;
+
+    /**
+     * Inicializa o módulo de sons
+     */
+    function init() {
+        setupEventListeners();
+
+        console.log(isSupported()
+            ? 'Módulo de sons inicializado com sucesso'
+            : 'Web Audio indisponível: os sons ficam desativados');
+    }
+
+    /**
+     * Configura os event listeners
+     */
+    function setupEventListeners() {
+        // Início, pausa e troca de fase ligam ou desligam os sons de foco
+        document.addEventListener('timerStateChanged', updateFocusSounds);
+
+        // Volumes e sons escolhidos nas configurações
+        document.addEventListener('settingsChanged', handleSettingsChanged);
+
+        // Navegadores só liberam o áudio depois de uma interação com a página
+        document.addEventListener('click', resumeContext);
+        document.addEventListener('keydown', resumeContext);
+    }
+
+    /**
+     * Verifica se o navegador suporta a Web Audio API
+     * @returns {boolean} True se há suporte
+     */
+    function isSupported() {
+        return typeof (window.AudioContext || window.webkitAudioContext) === 'function';
+    }
+
+    /**
+     * Cria (uma vez) o contexto de áudio e os canais
+     * @returns {AudioContext|null} Contexto ou null sem suporte
+     */
+    function getContext() {
+        if (context) return context;
+        if (!isSupported()) return null;
+
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            context = new AudioContextClass();
+
+            channels = {
+                alarm: context.createGain(),
+                ticking: context.createGain(),
+                ambient: context.createGain()
+            };
+            Object.values(channels).forEach(gain => gain.connect(context.destination));
+            applyVolumes(getConfig());
+        } catch (error) {
+            console.error('Erro ao criar o contexto de áudio:', error);
+            context = null;
+            channels = null;
+        }
+
+        return context;
+    }
+
+    /**
+     * Retoma o contexto de áudio suspenso pela política de reprodução automática
+     */
+    function resumeContext() {
+        if (context && context.state === 'suspended') {
+            context.resume().catch(error => {
+                console.warn('Erro ao retomar o áudio:', error);
+            });
+        }
+    }
+
+    /**
+     * Obtém a configuração atual dos sons
+     * @returns {Object} Configuração do timer
+     */
+    function getConfig() {
+        return PomodoroTimer.getConfig();
+    }
+
+    /**
+     * Converte um volume de 0 a 100 em ganho
+     * @param {number} volume - Volume de 0 a 100
+     * @returns {number} Ganho de 0 a 1
+     */
+    function volumeToGain(volume) {
+        const value = Math.min(100, Math.max(0, Number(volume) || 0)) / 100;
+        // Curva quadrática: a percepção de volume não é linear
+        return value * value;
+    }
+
+    /**
+     * Aplica os volumes da configuração nos canais
+     * @param {Object} config - Configuração do timer
+     */
+    function applyVolumes(config) {
+        if (!channels) return;
+
+        channels.alarm.gain.value = volumeToGain(config.alarmVolume);
+        channels.ticking.gain.value = volumeToGain(config.tickingVolume);
+        channels.ambient.gain.value = volumeToGain(config.ambientVolume);
+    }
+
+    /**
+     * Manipula alterações nas configurações
+     * @param {CustomEvent} event - Evento com a nova configuração
+     */
+    function handleSettingsChanged(event) {
+        applyVolumes(event.detail.config);
+        updateFocusSounds();
+    }
+
+    /**
+     * Toca uma nota com envelope de ataque e decaimento
+     * @param {AudioNode} destination - Nó de saída
+     * @param {Object} note - Nota { type, frequency, start, duration, peak, attack }
+     * @param {number} startTime - Instante de referência no contexto
+     */
+    function playNote(destination, note, startTime) {
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        const start = startTime + note.start;
+        const attack = note.attack || 0.01;
+
+        oscillator.type = note.type;
+        oscillator.frequency.value = note.frequency;
+
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.linearRampToValueAtTime(note.peak, start + attack);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + note.duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(start);
+        oscillator.stop(start + note.duration + 0.05);
+    }
+
+    /**
+     * Toca um alarme
+     * @param {AudioNode} destination - Nó de saída
+     * @param {string} alarmId - Alarme a ser tocado
+     * @returns {boolean} True se o alarme foi tocado
+     */
+    function playAlarmOn(destination, alarmId) {
+        const alarm = ALARMS[alarmId] || ALARMS.bell;
+        const startTime = context.currentTime + 0.05;
+
+        alarm.notes.forEach(note => playNote(destination, note, startTime));
+        return true;
+    }
+
+    /**
+     * Toca o alarme de fim de fase escolhido nas configurações
+     * @returns {boolean} True se o alarme foi tocado
+     */
+    function playAlarm() {
+        if (!getContext()) return false;
+
+        resumeContext();
+        return playAlarmOn(channels.alarm, getConfig().alarmSound);
+    }
+
+    /**
+     * Toca um tique do relógio
+     * @param {AudioNode} destination - Nó de saída
+     */
+    function playTick(destination) {
+        playNote(destination, { type: 'triangle', frequency: 1800, start: 0, duration: 0.04, peak: 0.6, attack: 0.002 }, context.currentTime);
+    }
+
+    /**
+     * Gera (uma vez) o trecho de ruído de um tipo
+     * @param {string} type - 'white', 'pink', 'brown' ou 'rain'
+     * @returns {AudioBuffer} Trecho de ruído
+     */
+    function getNoiseBuffer(type) {
+        if (noiseBuffers[type]) return noiseBuffers[type];
+
+        const length = Math.floor(context.sampleRate * NOISE_BUFFER_SECONDS);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        if (type === 'white') {
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * 0.5;
+            }
+        } else if (type === 'brown') {
+            // Integra o ruído branco: graves predominam
+            let last = 0;
+            for (let i = 0; i < length; i++) {
+                last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+                data[i] = last * 3.5;
+            }
+        } else {
+            // Ruído rosa (filtro de Paul Kellet)
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+            for (let i = 0; i < length; i++) {
+                const white = Math.random() * 2 - 1;
+                b0 = 0.99886 * b0 + white * 0.0555179;
+                b1 = 0.99332 * b1 + white * 0.0750759;
+                b2 = 0.96900 * b2 + white * 0.1538520;
+                b3 = 0.86650 * b3 + white * 0.3104856;
+                b4 = 0.55000 * b4 + white * 0.5329522;
+                b5 = -0.7616 * b5 - white * 0.0168980;
+                data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+                b6 = white * 0.115926;
+            }
+
+            // Chuva: ruído rosa com gotas curtas espalhadas
+            if (type === 'rain') {
+                addRainDrops(data, context.sampleRate);
+            }
+        }
+
+        noiseBuffers[type] = buffer;
+        return buffer;
+    }
+
+    /**
+     * Acrescenta gotas (estalos curtos com decaimento) ao ruído
+     * @param {Float32Array} data - Amostras do trecho
+     * @param {number} sampleRate - Taxa de amostragem
+     */
+    function addRainDrops(data, sampleRate) {
+        const drops = NOISE_BUFFER_SECONDS * 60;
+        const dropLength = Math.floor(sampleRate * 0.015);
+
+        for (let drop = 0; drop < drops; drop++) {
+            const start = Math.floor(Math.random() * (data.length - dropLength));
+            const strength = 0.1 + Math.random() * 0.3;
+            for (let i = 0; i < dropLength; i++) {
+                const decay = 1 - i / dropLength;
+                data[start + i] += (Math.random() * 2 - 1) * strength * decay * decay;
+            }
+        }
+    }
+
+    /**
+     * Inicia um som ambiente em loop com entrada suave
+     * @param {AudioNode} destination - Nó de saída
+     * @param {string} type - Tipo de ruído
+     * @returns {Object} Som em andamento { type, source, gain }
+     */
+    function startNoise(destination, type) {
+        const source = context.createBufferSource();
+        const gain = context.createGain();
+
+        source.buffer = getNoiseBuffer(type);
+        source.loop = true;
+
+        gain.gain.setValueAtTime(0.0001, context.currentTime);
+        gain.gain.exponentialRampToValueAtTime(1, context.currentTime + FADE_SECONDS);
+
+        source.connect(gain);
+        gain.connect(destination);
+        source.start();
+
+        return { type, source, gain };
+    }
+
+    /**
+     * Encerra um som ambiente com saída suave
+     * @param {Object} noise - Som em andamento
+     */
+    function stopNoise(noise) {
+        const now = context.currentTime;
+        noise.gain.gain.setValueAtTime(noise.gain.gain.value, now);
+        noise.gain.gain.exponentialRampToValueAtTime(0.0001, now + FADE_SECONDS);
+        noise.source.stop(now + FADE_SECONDS + 0.05);
+    }
+
+    /**
+     * Verifica se o foco está rodando nesta aba
+     * @returns {boolean} True se os sons de foco devem tocar
+     */
+    function isFocusRunning() {
+        const state = PomodoroTimer.getTimerState();
+        return state.isRunning && !state.isPaused && state.currentMode === 'focus' && PomodoroTimer.isTimerOwner();
+    }
+
+    /**
+     * Liga ou desliga o tique-taque e o som ambiente conforme o timer
+     */
+    function updateFocusSounds() {
+        const config = getConfig();
+        const focusRunning = isFocusRunning();
+        const wantsTicking = focusRunning && config.tickingEnabled;
+        const ambientType = focusRunning && AMBIENT_NOISES[config.ambientNoise] ? config.ambientNoise : null;
+
+        // Nada a tocar e nada tocando: não cria o contexto de áudio
+        if (!wantsTicking && !ambientType && !tickInterval && !ambient) return;
+        if (!getContext()) return;
+
+        if (wantsTicking && !tickInterval) {
+            tickInterval = setInterval(() => playTick(channels.ticking), TICK_INTERVAL_MS);
+        } else if (!wantsTicking && tickInterval) {
+            clearInterval(tickInterval);
+            tickInterval = null;
+        }
+
+        if (ambient && ambient.type !== ambientType) {
+            stopNoise(ambient);
+            ambient = null;
+        }
+        if (ambientType && !ambient) {
+            ambient = startNoise(channels.ambient, ambientType);
+        }
+    }
+
+    /**
+     * Pré-visualiza um som com os valores informados (ainda não salvos)
+     * @param {string} kind - 'alarm', 'ticking' ou 'ambient'
+     * @param {Object} options - { sound, volume }
+     * @returns {boolean} True se o som foi tocado
+     */
+    function previewSound(kind, options = {}) {
+        if (!getContext()) return false;
+
+        resumeContext();
+        stopPreview();
+
+        const gain = context.createGain();
+        gain.gain.value = volumeToGain(options.volume);
+        gain.connect(context.destination);
+
+        if (kind === 'alarm') {
+            playAlarmOn(gain, options.sound);
+            preview = { stop: () => gain.disconnect(), timeout: null };
+        } else if (kind === 'ticking') {
+            playTick(gain);
+            const interval = setInterval(() => playTick(gain), TICK_INTERVAL_MS);
+            preview = { stop: () => { clearInterval(interval); gain.disconnect(); }, timeout: null };
+        } else if (kind === 'ambient' && AMBIENT_NOISES[options.sound]) {
+            const noise = startNoise(gain, options.sound);
+            preview = { stop: () => stopNoise(noise), timeout: null };
+        } else {
+            gain.disconnect();
+            return false;
+        }
+
+        // O alarme termina sozinho; os sons contínuos param após alguns segundos
+        if (kind !== 'alarm') {
+            preview.timeout = setTimeout(stopPreview, PREVIEW_MS);
+        }
+        return true;
+    }
+
+    /**
+     * Interrompe a pré-visualização em andamento
+     */
+    function stopPreview() {
+        if (!preview) return;
+
+        clearTimeout(preview.timeout);
+        preview.stop();
+        preview = null;
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        playAlarm,
+        previewSound,
+        stopPreview,
+
+        // Funções utilitárias
+        isSupported,
+        updateFocusSounds,
+
+        // Constantes
+        ALARMS,
+        AMBIENT_NOISES
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SoundEngine;
+}
@@ -0,0 +1,519 @@
+/**
+ * Módulo de Estatísticas
+ * Calcula e exibe indicadores de produtividade a partir dos dados locais
+ *
+ * Funcionalidades:
+ * - Minutos de foco por dia e por semana
+ * - Tarefas concluídas ao longo do tempo
+ * - Taxa de conclusão de tarefas
+ * - Precisão das estimativas de pomodoros (geral e por semana)
+ * - Melhor horário do dia para foco
+ * - Sequência atual e maior sequência de dias com foco
+ * - Interrupções: internas/externas, por foco, por dia, horário com mais
+ *   interrupções e pomodoros anulados
+ * - Gráficos em SVG (funcionam offline)
+ */
+
+const StatsDashboard = (function() {
+    'use strict';
+
+    // Quantidade de períodos exibidos nos gráficos
+    const DAYS_IN_CHART = 14;
+    const WEEKS_IN_CHART = 8;
+
+    // Dimensões dos gráficos (unidades do viewBox)
+    const CHART_WIDTH = 600;
+    const CHART_HEIGHT = 200;
+    const CHART_PADDING = { top: 20, right: 10, bottom: 30, left: 10 };
+
+    // Nomes abreviados dos dias da semana
+    const WEEKDAY_NAMES = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+    // Elementos DOM
+    const elements = {
+        summary: null,
+        dailyChart: null,
+        weeklyChart: null,
+        tasksChart: null,
+        accuracyChart: null,
+        interruptionsChart: null,
+        emptyState: null
+    };
+
+    /**
+     * Inicializa o módulo de estatísticas
+     * @param {Object} domElements - Objeto com referências aos elementos DOM
+     */
+    function init(domElements) {
+        // Armazena referências aos elementos DOM
+        Object.assign(elements, domElements);
+
+        // Configura event listeners
+        setupEventListeners();
+
+        // Renderiza o painel inicial
+        render();
+
+        console.log('Módulo de estatísticas inicializado com sucesso');
+    }
+
+    /**
+     * Configura os event listeners que mantêm o painel atualizado
+     */
+    function setupEventListeners() {
+        document.addEventListener('pageChanged', handlePageChanged);
+        document.addEventListener('sessionRecorded', renderIfVisible);
+        document.addEventListener('historyCleared', renderIfVisible);
+        document.addEventListener('taskToggled', renderIfVisible);
+        document.addEventListener('taskDeleted', renderIfVisible);
+        document.addEventListener('taskEdited', renderIfVisible);
+        document.addEventListener('taskPomodorosCredited', renderIfVisible);
+        document.addEventListener('subtaskChanged', renderIfVisible);
+        document.addEventListener('tasksReloaded', renderIfVisible);
+        document.addEventListener('taskChangeUndone', renderIfVisible);
+        document.addEventListener('taskChangeRedone', renderIfVisible);
+        document.addEventListener('historyReloaded', renderIfVisible);
+    }
+
+    /**
+     * Atualiza o painel ao entrar na página de estatísticas
+     * @param {CustomEvent} event - Evento de mudança de página
+     */
+    function handlePageChanged(event) {
+        if (event.detail.currentPage === 'stats') {
+            render();
+        }
+    }
+
+    /**
+     * Atualiza o painel apenas se a página estiver visível
+     */
+    function renderIfVisible() {
+        if (Router.isPageActive('stats')) {
+            render();
+        }
+    }
+
+    /**
+     * Converte uma data em chave local no formato AAAA-MM-DD
+     * @param {Date} date - Data a ser convertida
+     * @returns {string} Chave do dia
+     */
+    function toDateKey(date) {
+        const year = date.getFullYear();
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Obtém o início do dia (meia-noite local) de uma data
+     * @param {Date} date - Data de referência
+     * @returns {Date} Nova data à meia-noite
+     */
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * Obtém a segunda-feira da semana de uma data
+     * @param {Date} date - Data de referência
+     * @returns {Date} Segunda-feira à meia-noite
+     */
+    function startOfWeek(date) {
+        const day = startOfDay(date);
+        const offset = (day.getDay() + 6) % 7; // Segunda = 0
+        day.setDate(day.getDate() - offset);
+        return day;
+    }
+
+    /**
+     * Obtém as sessões de foco registradas no histórico
+     * @returns {Array} Sessões de foco
+     */
+    function getFocusSessions() {
+        return SessionHistory.getAllSessions().filter(session => session.mode === 'focus');
+    }
+
+    /**
+     * Soma os minutos de foco agrupados por uma chave de período
+     * @param {Function} keyFn - Função que recebe a data e retorna a chave
+     * @returns {Object} Mapa de chave para minutos
+     */
+    function sumFocusMinutesBy(keyFn) {
+        return getFocusSessions().reduce((totals, session) => {
+            const key = keyFn(new Date(session.startedAt));
+            totals[key] = (totals[key] || 0) + session.actualDuration / 60;
+            return totals;
+        }, {});
+    }
+
+    /**
+     * Calcula os minutos de foco dos últimos dias
+     * @param {number} days - Quantidade de dias (incluindo hoje)
+     * @returns {Array} Lista de { date, label, value }
+     */
+    function getDailyFocus(days = DAYS_IN_CHART) {
+        const totals = sumFocusMinutesBy(toDateKey);
+        const today = startOfDay(new Date());
+
+        return Array.from({ length: days }, (_, index) => {
+            const date = new Date(today);
+            date.setDate(today.getDate() - (days - 1 - index));
+            return {
+                date: toDateKey(date),
+                label: `${WEEKDAY_NAMES[date.getDay()]} ${date.getDate()}`,
+                value: Math.round(totals[toDateKey(date)] || 0)
+            };
+        });
+    }
+
+    /**
+     * Calcula os minutos de foco das últimas semanas
+     * @param {number} weeks - Quantidade de semanas (incluindo a atual)
+     * @returns {Array} Lista de { date, label, value }
+     */
+    function getWeeklyFocus(weeks = WEEKS_IN_CHART) {
+        const totals = sumFocusMinutesBy(date => toDateKey(startOfWeek(date)));
+        const currentWeek = startOfWeek(new Date());
+
+        return Array.from({ length: weeks }, (_, index) => {
+            const date = new Date(currentWeek);
+            date.setDate(currentWeek.getDate() - (weeks - 1 - index) * 7);
+            return {
+                date: toDateKey(date),
+                label: `${date.getDate()}/${date.getMonth() + 1}`,
+                value: Math.round(totals[toDateKey(date)] || 0)
+            };
+        });
+    }
+
+    /**
+     * Calcula as tarefas concluídas por dia
+     * @param {number} days - Quantidade de dias (incluindo hoje)
+     * @returns {Array} Lista de { date, label, value }
+     */
+    function getTasksCompletedPerDay(days = DAYS_IN_CHART) {
+        const totals = TaskManager.getAllTasks().reduce((counts, task) => {
+            if (task.completed && task.completedAt) {
+                const key = toDateKey(new Date(task.completedAt));
+                counts[key] = (counts[key] || 0) + 1;
+            }
+            return counts;
+        }, {});
+
+        return getDailyFocus(days).map(day => ({ ...day, value: totals[day.date] || 0 }));
+    }
+
+    /**
+     * Calcula a precisão da estimativa de uma tarefa concluída:
+     * 100% quando os pomodoros feitos batem com a estimativa, caindo
+     * proporcionalmente ao erro (nunca abaixo de 0%)
+     * @param {Object} task - Tarefa com estimatedPomodoros
+     * @returns {number} Precisão de 0 a 100
+     */
+    function getTaskAccuracy(task) {
+        const error = Math.abs((task.actualPomodoros || 0) - task.estimatedPomodoros) / task.estimatedPomodoros;
+        return Math.max(0, 100 - error * 100);
+    }
+
+    /**
+     * Obtém as tarefas concluídas que tinham estimativa de pomodoros
+     * @returns {Array} Tarefas estimadas e concluídas
+     */
+    function getEstimatedTasks() {
+        return TaskManager.getAllTasks()
+            .filter(task => task.completed && task.completedAt && task.estimatedPomodoros);
+    }
+
+    /**
+     * Resume a precisão das estimativas das tarefas concluídas
+     * @returns {Object} Objeto { tasks, accuracy, underestimated, overestimated }
+     *   (accuracy em %, ou null sem tarefas estimadas)
+     */
+    function getEstimationAccuracy() {
+        const estimated = getEstimatedTasks();
+        if (estimated.length === 0) {
+            return { tasks: 0, accuracy: null, underestimated: 0, overestimated: 0 };
+        }
+
+        const total = estimated.reduce((sum, task) => sum + getTaskAccuracy(task), 0);
+        return {
+            tasks: estimated.length,
+            accuracy: Math.round(total / estimated.length),
+            underestimated: estimated.filter(task => (task.actualPomodoros || 0) > task.estimatedPomodoros).length,
+            overestimated: estimated.filter(task => (task.actualPomodoros || 0) < task.estimatedPomodoros).length
+        };
+    }
+
+    /**
+     * Calcula a precisão média das estimativas por semana de conclusão
+     * @param {number} weeks - Quantidade de semanas (incluindo a atual)
+     * @returns {Array} Lista de { date, label, value } (value null na semana sem tarefas estimadas)
+     */
+    function getWeeklyEstimationAccuracy(weeks = WEEKS_IN_CHART) {
+        const totals = getEstimatedTasks().reduce((groups, task) => {
+            const key = toDateKey(startOfWeek(new Date(task.completedAt)));
+            groups[key] = groups[key] || { sum: 0, count: 0 };
+            groups[key].sum += getTaskAccuracy(task);
+            groups[key].count++;
+            return groups;
+        }, {});
+
+        return getWeeklyFocus(weeks).map(week => {
+            const group = totals[week.date];
+            return { ...week, value: group ? Math.round(group.sum / group.count) : null };
+        });
+    }
+
+    /**
+     * Descobre o horário do dia com mais minutos de foco
+     * @returns {Object|null} Objeto { hour, minutes } ou null sem dados
+     */
+    function getBestHour() {
+        const totals = sumFocusMinutesBy(date => date.getHours());
+        const hours = Object.keys(totals);
+        if (hours.length === 0) return null;
+
+        const bestHour = hours.reduce((best, hour) => totals[hour] > totals[best] ? hour : best);
+        return { hour: Number(bestHour), minutes: Math.round(totals[bestHour]) };
+    }
+
+    /**
+     * Calcula as interrupções anotadas por dia
+     * @param {number} days - Quantidade de dias (incluindo hoje)
+     * @returns {Array} Lista de { date, label, value }
+     */
+    function getInterruptionsPerDay(days = DAYS_IN_CHART) {
+        const totals = getFocusSessions().reduce((counts, session) => {
+            (session.interruptions || []).forEach(interruption => {
+                const key = toDateKey(new Date(interruption.at));
+                counts[key] = (counts[key] || 0) + 1;
+            });
+            return counts;
+        }, {});
+
+        return getDailyFocus(days).map(day => ({ ...day, value: totals[day.date] || 0 }));
+    }
+
+    /**
+     * Descobre o horário do dia com mais interrupções
+     * @param {Object} byHour - Mapa de hora para quantidade de interrupções
+     * @returns {Object|null} Objeto { hour, count } ou null sem dados
+     */
+    function getMostInterruptedHour(byHour) {
+        const hours = Object.keys(byHour);
+        if (hours.length === 0) return null;
+
+        const worstHour = hours.reduce((worst, hour) => byHour[hour] > byHour[worst] ? hour : worst);
+        return { hour: Number(worstHour), count: byHour[worstHour] };
+    }
+
+    /**
+     * Calcula a sequência atual e a maior sequência de dias com foco concluído
+     * @returns {Object} Objeto { current, longest } em dias
+     */
+    function getStreaks() {
+        const focusDays = new Set(getFocusSessions()
+            .filter(session => session.status === 'completed')
+            .map(session => toDateKey(new Date(session.startedAt))));
+
+        if (focusDays.size === 0) {
+            return { current: 0, longest: 0 };
+        }
+
+        // Maior sequência: percorre os dias em ordem contando dias consecutivos
+        const sortedDays = [...focusDays].sort();
+        let longest = 1;
+        let run = 1;
+        for (let i = 1; i < sortedDays.length; i++) {
+            const previous = new Date(`${sortedDays[i - 1]}T00:00:00`);
+            previous.setDate(previous.getDate() + 1);
+            run = toDateKey(previous) === sortedDays[i] ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        }
+
+        // Sequência atual: conta para trás a partir de hoje (ou de ontem,
+        // se ainda não houve foco hoje)
+        const cursor = startOfDay(new Date());
+        if (!focusDays.has(toDateKey(cursor))) {
+            cursor.setDate(cursor.getDate() - 1);
+        }
+        let current = 0;
+        while (focusDays.has(toDateKey(cursor))) {
+            current++;
+            cursor.setDate(cursor.getDate() - 1);
+        }
+
+        return { current, longest };
+    }
+
+    /**
+     * Reúne todos os indicadores do painel
+     * @returns {Object} Estatísticas calculadas
+     */
+    function getStats() {
+        const daily = getDailyFocus();
+        const interruptions = SessionHistory.getInterruptionSummary();
+
+        return {
+            focusToday: daily[daily.length - 1].value,
+            totalFocusMinutes: Math.round(getFocusSessions()
+                .reduce((sum, session) => sum + session.actualDuration, 0) / 60),
+            completedPomodoros: getFocusSessions().filter(session => session.status === 'completed').length,
+            taskStats: TaskManager.getTaskStats(),
+            bestHour: getBestHour(),
+            streaks: getStreaks(),
+            estimation: getEstimationAccuracy(),
+            weeklyAccuracy: getWeeklyEstimationAccuracy(),
+            interruptions: { ...interruptions, worstHour: getMostInterruptedHour(interruptions.byHour) },
+            interruptionsPerDay: getInterruptionsPerDay(),
+            daily,
+            weekly: getWeeklyFocus(),
+            tasksCompleted: getTasksCompletedPerDay()
+        };
+    }
+
+    /**
+     * Renderiza o painel de estatísticas
+     */
+    function render() {
+        const stats = getStats();
+        const hasData = SessionHistory.getAllSessions().length > 0 || stats.taskStats.total > 0;
+
+        if (elements.emptyState) {
+            elements.emptyState.style.display = hasData ? 'none' : 'block';
+        }
+
+        renderSummary(stats);
+        renderChart(elements.dailyChart, stats.daily, { unit: 'min', color: '#667eea' });
+        renderChart(elements.weeklyChart, stats.weekly, { unit: 'min', color: '#764ba2' });
+        renderChart(elements.tasksChart, stats.tasksCompleted, { unit: '', color: '#28a745' });
+        renderChart(elements.accuracyChart, stats.weeklyAccuracy, { unit: '%', color: '#f0ad4e', emptyText: 'sem tarefas estimadas' });
+        renderChart(elements.interruptionsChart, stats.interruptionsPerDay, { unit: '', color: '#dc3545' });
+    }
+
+    /**
+     * Renderiza os cartões de resumo
+     * @param {Object} stats - Estatísticas calculadas
+     */
+    function renderSummary(stats) {
+        if (!elements.summary) return;
+
+        const bestHourText = stats.bestHour
+            ? `${stats.bestHour.hour.toString().padStart(2, '0')}h`
+            : '—';
+        const { interruptions } = stats;
+
+        const cards = [
+            { label: 'Foco hoje', value: `${stats.focusToday} min` },
+            { label: 'Foco total', value: `${stats.totalFocusMinutes} min` },
+            { label: 'Pomodoros', value: stats.completedPomodoros },
+            { label: 'Conclusão', value: `${stats.taskStats.completionRate}%` },
+            ...(stats.taskStats.subtasksTotal > 0 ? [
+                { label: 'Progresso (com checklists)', value: `${stats.taskStats.progressRate}%` },
+                { label: 'Itens de checklist', value: `${stats.taskStats.subtasksCompleted}/${stats.taskStats.subtasksTotal}` }
+            ] : []),
+            ...(stats.estimation.tasks > 0 ? [
+                { label: 'Precisão das estimativas', value: `${stats.estimation.accuracy}%` },
+                { label: 'Estimativas estouradas', value: `${stats.estimation.underestimated}/${stats.estimation.tasks}` }
+            ] : []),
+            ...(interruptions.total > 0 || interruptions.voided > 0 ? [
+                { label: 'Interrupções', value: interruptions.total },
+                { label: 'Internas / externas', value: `${interruptions.internal}/${interruptions.external}` },
+                { label: 'Interrupções por foco', value: interruptions.perSession.toString().replace('.', ',') },
+                { label: 'Pomodoros anulados', value: interruptions.voided },
+                ...(interruptions.worstHour ? [
+                    { label: 'Horário com mais interrupções', value: `${interruptions.worstHour.hour.toString().padStart(2, '0')}h` }
+                ] : [])
+            ] : []),
+            { label: 'Melhor horário', value: bestHourText },
+            { label: 'Sequência atual', value: `${stats.streaks.current} dia(s)` },
+            { label: 'Maior sequência', value: `${stats.streaks.longest} dia(s)` }
+        ];
+
+        elements.summary.innerHTML = cards.map(card => `
+            <div class="stats-card">
+                <span class="stat-number">${card.value}</span>
+                <span class="stat-label">${card.label}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Renderiza um gráfico de barras em SVG
+     * @param {HTMLElement} container - Elemento que recebe o gráfico
+     * @param {Array} data - Lista de { label, value } (value null: sem dados, a barra não é desenhada)
+     * @param {Object} options - Opções { unit, color, emptyText }
+     */
+    function renderChart(container, data, options) {
+        if (!container) return;
+
+        const maxValue = Math.max(1, ...data.map(item => item.value || 0));
+        const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+        const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+        const slotWidth = plotWidth / data.length;
+        const barWidth = slotWidth * 0.6;
+
+        const bars = data.map((item, index) => {
+            const height = (item.value / maxValue) * plotHeight;
+            const x = CHART_PADDING.left + index * slotWidth + (slotWidth - barWidth) / 2;
+            const y = CHART_PADDING.top + plotHeight - height;
+            const centerX = x + barWidth / 2;
+
+            // Sem dados é diferente de zero: só um traço no lugar da barra
+            if (item.value === null) {
+                return `
+                    <g>
+                        <title>${item.label}: ${options.emptyText || 'sem dados'}</title>
+                        <text x="${centerX}" y="${CHART_PADDING.top + plotHeight - 4}" class="chart-value chart-empty">–</text>
+                        <text x="${centerX}" y="${CHART_HEIGHT - 10}" class="chart-label">${item.label}</text>
+                    </g>
+                `;
+            }
+
+            const valueText = item.value > 0 ? `${item.value}${options.unit ? ' ' + options.unit : ''}` : '';
+
+            return `
+                <g>
+                    <title>${item.label}: ${item.value} ${options.unit}</title>
+                    <rect x="${x}" y="${y}" width="${barWidth}" height="${height}" rx="3" fill="${options.color}"></rect>
+                    <text x="${centerX}" y="${y - 4}" class="chart-value">${valueText}</text>
+                    <text x="${centerX}" y="${CHART_HEIGHT - 10}" class="chart-label">${item.label}</text>
+                </g>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" preserveAspectRatio="xMidYMid meet">
+                <line x1="${CHART_PADDING.left}" y1="${CHART_PADDING.top + plotHeight}"
+                      x2="${CHART_WIDTH - CHART_PADDING.right}" y2="${CHART_PADDING.top + plotHeight}"
+                      class="chart-axis"></line>
+                ${bars}
+            </svg>
+        `;
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+        render,
+        getStats,
+
+        // Funções de cálculo
+        getDailyFocus,
+        getWeeklyFocus,
+        getTasksCompletedPerDay,
+        getBestHour,
+        getStreaks,
+        getEstimationAccuracy,
+        getWeeklyEstimationAccuracy,
+        getInterruptionsPerDay
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatsDashboard;
+}
@@ -0,0 +1,467 @@
+/**
+ * Módulo de Backends de Armazenamento
+ * Implementações intercambiáveis usadas pelo módulo Storage
+ *
+ * Funcionalidades:
+ * - Backend localStorage (síncrono, padrão e fallback)
+ * - Backend IndexedDB com cache em memória e gravações assíncronas
+ * - Gravação por registro para coleções (tarefas e histórico)
+ * - Migração automática dos dados do localStorage para o IndexedDB
+ *
+ * Todos os backends expõem a mesma interface:
+ * - init(): Promise
+ * - has(key), get(key), getRaw(key), keys()
+ * - set(key, value), remove(key), putRecord(key, record)
+ *   (no IndexedDB, set devolve a Promise da gravação)
+ * - flush(): Promise que resolve quando as gravações pendentes terminam
+ * - reload(keys): Promise que relê chaves alteradas por outra aba
+ */
+
+const StorageBackends = (function() {
+    'use strict';
+
+    // Prefixo de todas as chaves do FocusLite
+    const KEY_PREFIX = 'focuslite_';
+
+    // Configuração do banco IndexedDB
+    const DB_NAME = 'focuslite';
+    const DB_VERSION = 1;
+    const KV_STORE = 'kv';
+
+    // Chave que marca a migração do localStorage como concluída
+    const LOCAL_STORAGE_MIGRATED_KEY = 'focuslite_idb_migrated';
+
+    // Prefixo das cópias de valores corrompidos encontrados na migração
+    const CORRUPTED_BACKUP_PREFIX = 'focuslite_backup_localstorage_';
+
+    /**
+     * Cria uma cópia profunda de um valor serializável
+     * @param {any} value - Valor a ser copiado
+     * @returns {any} Cópia do valor
+     */
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Cria o backend baseado em localStorage
+     * @returns {Object} Backend localStorage
+     */
+    function createLocalStorageBackend() {
+        const backend = {
+            name: 'localStorage',
+
+            init() {
+                return Promise.resolve();
+            },
+
+            has(key) {
+                return localStorage.getItem(key) !== null;
+            },
+
+            get(key) {
+                const raw = localStorage.getItem(key);
+                return raw === null ? undefined : JSON.parse(raw);
+            },
+
+            getRaw(key) {
+                return localStorage.getItem(key);
+            },
+
+            keys() {
+                return Object.keys(localStorage).filter(key => key.startsWith(KEY_PREFIX));
+            },
+
+            set(key, value) {
+                localStorage.setItem(key, JSON.stringify(value));
+            },
+
+            remove(key) {
+                localStorage.removeItem(key);
+            },
+
+            putRecord(key, record) {
+                // Sem suporte a registros: regrava a coleção inteira
+                const records = backend.get(key) || [];
+                const index = records.findIndex(item => item.id === record.id);
+                if (index === -1) {
+                    records.push(record);
+                } else {
+                    records[index] = record;
+                }
+                backend.set(key, records);
+            },
+
+            flush() {
+                return Promise.resolve();
+            },
+
+            reload() {
+                // As leituras já vão direto ao localStorage
+                return Promise.resolve();
+            }
+        };
+
+        return backend;
+    }
+
+    /**
+     * Verifica se o IndexedDB existe neste navegador
+     * @returns {boolean} True se disponível
+     */
+    function isIndexedDBAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Converte uma requisição IndexedDB em Promise
+     * @param {IDBRequest} request - Requisição
+     * @returns {Promise} Promise com o resultado
+     */
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Cria o backend baseado em IndexedDB.
+     * Leituras são síncronas a partir de um cache carregado no init; gravações
+     * atualizam o cache na hora e são persistidas em fila, de forma assíncrona.
+     * @param {Object} options - Opções do backend
+     * @param {Object} options.recordStores - Mapa de chave para object store de registros
+     * @returns {Object} Backend IndexedDB
+     */
+    function createIndexedDBBackend(options) {
+        const recordStores = options.recordStores;
+        const cache = new Map();
+        const orders = new Map(); // Ordem dos ids de cada coleção
+        let db = null;
+        let pendingWrites = Promise.resolve();
+
+        /**
+         * Chave (no store kv) onde fica a ordem dos ids de uma coleção
+         * @param {string} key - Chave da coleção
+         * @returns {string} Chave da ordem
+         */
+        function orderKey(key) {
+            return `${key}__order`;
+        }
+
+        /**
+         * Abre (e cria, se preciso) o banco de dados
+         * @returns {Promise} Promise com o IDBDatabase
+         */
+        function openDatabase() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+                    if (!database.objectStoreNames.contains(KV_STORE)) {
+                        database.createObjectStore(KV_STORE);
+                    }
+                    Object.values(recordStores).forEach(storeName => {
+                        if (!database.objectStoreNames.contains(storeName)) {
+                            database.createObjectStore(storeName, { keyPath: 'id' });
+                        }
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Abertura do IndexedDB bloqueada'));
+            });
+        }
+
+        /**
+         * Carrega todo o conteúdo do banco para o cache
+         * @returns {Promise} Promise resolvida ao fim da leitura
+         */
+        function loadCache() {
+            const storeNames = [KV_STORE, ...Object.values(recordStores)];
+            const tx = db.transaction(storeNames, 'readonly');
+            const kv = tx.objectStore(KV_STORE);
+
+            const kvLoaded = Promise.all([
+                requestToPromise(kv.getAllKeys()),
+                requestToPromise(kv.getAll())
+            ]).then(([keys, values]) => {
+                keys.forEach((key, index) => cache.set(key, values[index]));
+            });
+
+            const recordsLoaded = Object.entries(recordStores).map(([key, storeName]) =>
+                requestToPromise(tx.objectStore(storeName).getAll()).then(records => ({ key, records }))
+            );
+
+            return Promise.all([kvLoaded, ...recordsLoaded]).then(([, ...collections]) => {
+                collections.forEach(({ key, records }) => {
+                    const order = cache.get(orderKey(key)) || [];
+                    cache.delete(orderKey(key));
+                    cacheRecords(key, records, order);
+                });
+            });
+        }
+
+        /**
+         * Coloca uma coleção no cache, na ordem salva
+         * @param {string} key - Chave da coleção
+         * @param {Array} records - Registros lidos do banco
+         * @param {Array} order - Ordem salva dos ids
+         */
+        function cacheRecords(key, records, order) {
+            // Registros fora da ordem salva vão para o fim
+            const position = new Map(order.map((id, index) => [id, index]));
+            records.sort((a, b) =>
+                (position.has(a.id) ? position.get(a.id) : Infinity) -
+                (position.has(b.id) ? position.get(b.id) : Infinity));
+
+            orders.set(key, records.map(record => record.id));
+            if (records.length > 0 || order.length > 0) {
+                cache.set(key, records);
+            } else {
+                cache.delete(key);
+            }
+        }
+
+        /**
+         * Relê do banco as chaves informadas, substituindo o cache
+         * @param {Array} keys - Chaves a serem relidas
+         * @returns {Promise} Promise resolvida ao fim da leitura
+         */
+        function reloadKeys(keys) {
+            // Aguarda as gravações desta aba para não ler um estado anterior a elas
+            return pendingWrites.then(() => {
+                const storeNames = [KV_STORE, ...keys.filter(key => recordStores[key]).map(key => recordStores[key])];
+                const tx = db.transaction(storeNames, 'readonly');
+                const kv = tx.objectStore(KV_STORE);
+
+                return Promise.all(keys.map(key => {
+                    if (recordStores[key]) {
+                        return Promise.all([
+                            requestToPromise(tx.objectStore(recordStores[key]).getAll()),
+                            requestToPromise(kv.get(orderKey(key)))
+                        ]).then(([records, order]) => cacheRecords(key, records, order || []));
+                    }
+
+                    return requestToPromise(kv.get(key)).then(value => {
+                        if (value === undefined) {
+                            cache.delete(key);
+                        } else {
+                            cache.set(key, value);
+                        }
+                    });
+                }));
+            });
+        }
+
+        /**
+         * Enfileira uma transação de escrita
+         * @param {Array} storeNames - Object stores envolvidos
+         * @param {Function} operation - Recebe a transação e agenda as operações
+         * @returns {Promise} Promise resolvida quando a transação for confirmada
+         *   e rejeitada se ela falhar ou for abortada
+         */
+        function enqueueWrite(storeNames, operation) {
+            const write = pendingWrites.then(() => new Promise((resolve, reject) => {
+                const tx = db.transaction(storeNames, 'readwrite');
+                operation(tx);
+                tx.oncomplete = () => resolve();
+                tx.onerror = tx.onabort = () => reject(tx.error || new Error('Transação do IndexedDB abortada'));
+            }));
+
+            // Uma falha não interrompe a fila; quem precisa saber usa a Promise retornada
+            pendingWrites = write.catch(error => {
+                console.error('Erro ao gravar no IndexedDB:', error);
+            });
+
+            return write;
+        }
+
+        /**
+         * Grava uma coleção registro a registro, apenas com o que mudou
+         * @param {string} key - Chave da coleção
+         * @param {Array} records - Nova lista de registros
+         * @returns {Promise} Promise da gravação (ver enqueueWrite)
+         */
+        function setRecords(key, records) {
+            const storeName = recordStores[key];
+            const previous = new Map((cache.get(key) || []).map(record => [record.id, JSON.stringify(record)]));
+            const ids = records.map(record => record.id);
+            const idSet = new Set(ids);
+
+            const changed = records.filter(record => previous.get(record.id) !== JSON.stringify(record));
+            const removed = [...previous.keys()].filter(id => !idSet.has(id));
+            const previousOrder = orders.get(key) || [];
+            const orderChanged = ids.length !== previousOrder.length ||
+                ids.some((id, index) => id !== previousOrder[index]);
+
+            cache.set(key, clone(records));
+            orders.set(key, ids);
+
+            if (changed.length === 0 && removed.length === 0 && !orderChanged) return Promise.resolve();
+
+            const snapshot = clone(changed);
+            return enqueueWrite([storeName, KV_STORE], tx => {
+                const store = tx.objectStore(storeName);
+                snapshot.forEach(record => store.put(record));
+                removed.forEach(id => store.delete(id));
+                if (orderChanged) {
+                    tx.objectStore(KV_STORE).put(ids, orderKey(key));
+                }
+            });
+        }
+
+        /**
+         * Copia os dados do localStorage para o IndexedDB (uma única vez).
+         * O localStorage só é apagado (e a migração marcada como feita) depois
+         * que todas as gravações forem confirmadas; se alguma falhar, a Promise
+         * é rejeitada com os dados do localStorage intactos.
+         * @returns {Promise} Promise resolvida ao fim da migração
+         */
+        function migrateFromLocalStorage() {
+            if (cache.has(LOCAL_STORAGE_MIGRATED_KEY)) {
+                return Promise.resolve();
+            }
+
+            let legacyKeys = [];
+            try {
+                legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(KEY_PREFIX));
+            } catch (error) {
+                console.warn('localStorage indisponível para migração:', error);
+            }
+
+            const writes = legacyKeys.map(key => {
+                const raw = localStorage.getItem(key);
+                let value;
+                try {
+                    value = JSON.parse(raw);
+                } catch (error) {
+                    // Valor corrompido: guarda o texto original em vez de descartá-lo
+                    console.error(`Valor inválido em ${key}; guardando cópia:`, error);
+                    return backend.set(`${CORRUPTED_BACKUP_PREFIX}${key}`, { raw, error: error.message });
+                }
+                return backend.set(key, value);
+            });
+
+            return Promise.all(writes).then(() => {
+                return backend.set(LOCAL_STORAGE_MIGRATED_KEY, new Date().toISOString());
+            }).then(() => {
+                legacyKeys.forEach(key => localStorage.removeItem(key));
+                if (legacyKeys.length > 0) {
+                    console.log(`${legacyKeys.length} chaves migradas do localStorage para o IndexedDB`);
+                }
+            });
+        }
+
+        const backend = {
+            name: 'indexedDB',
+
+            init() {
+                return openDatabase()
+                    .then(database => {
+                        db = database;
+                        return loadCache();
+                    })
+                    .then(migrateFromLocalStorage);
+            },
+
+            has(key) {
+                return cache.has(key);
+            },
+
+            get(key) {
+                return clone(cache.get(key));
+            },
+
+            getRaw(key) {
+                return cache.has(key) ? JSON.stringify(cache.get(key)) : null;
+            },
+
+            keys() {
+                return [...cache.keys()];
+            },
+
+            set(key, value) {
+                if (recordStores[key]) {
+                    return setRecords(key, Array.isArray(value) ? value : []);
+                }
+
+                cache.set(key, clone(value));
+                const snapshot = clone(value);
+                return enqueueWrite([KV_STORE], tx => tx.objectStore(KV_STORE).put(snapshot, key));
+            },
+
+            remove(key) {
+                cache.delete(key);
+
+                if (recordStores[key]) {
+                    orders.delete(key);
+                    enqueueWrite([recordStores[key], KV_STORE], tx => {
+                        tx.objectStore(recordStores[key]).clear();
+                        tx.objectStore(KV_STORE).delete(orderKey(key));
+                    });
+                    return;
+                }
+
+                enqueueWrite([KV_STORE], tx => tx.objectStore(KV_STORE).delete(key));
+            },
+
+            putRecord(key, record) {
+                if (!recordStores[key]) {
+                    throw new Error(`A chave ${key} não é uma coleção de registros`);
+                }
+
+                const records = cache.get(key) || [];
+                const index = records.findIndex(item => item.id === record.id);
+                if (index === -1) {
+                    records.push(clone(record));
+                } else {
+                    records[index] = clone(record);
+                }
+                cache.set(key, records);
+
+                const ids = records.map(item => item.id);
+                const isNew = index === -1;
+                orders.set(key, ids);
+
+                const snapshot = clone(record);
+                enqueueWrite([recordStores[key], KV_STORE], tx => {
+                    tx.objectStore(recordStores[key]).put(snapshot);
+                    if (isNew) {
+                        tx.objectStore(KV_STORE).put(ids, orderKey(key));
+                    }
+                });
+            },
+
+            flush() {
+                // Também aguarda gravações enfileiradas enquanto esperava
+                const current = pendingWrites;
+                return current.then(() => (current === pendingWrites ? undefined : backend.flush()));
+            },
+
+            reload(keys) {
+                return keys.length > 0 ? reloadKeys(keys) : Promise.resolve();
+            }
+        };
+
+        return backend;
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        createLocalStorageBackend,
+        createIndexedDBBackend,
+        isIndexedDBAvailable
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageBackends;
+}
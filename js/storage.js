@@ -1,34 +1,291 @@
 /**
  * Módulo de Armazenamento Local
- * Gerencia o salvamento e carregamento de dados no localStorage do navegador
+ * Gerencia o salvamento e carregamento de dados no navegador
  * 
  * Funcionalidades:
- * - Salvar tarefas no localStorage
- * - Carregar tarefas do localStorage
+ * - Escolher o backend (IndexedDB, com fallback para localStorage)
+ * - Avisar (evento storageChanged) cada chave gravada, para sincronizar abas
+ * - Salvar tarefas (registro a registro no IndexedDB)
+ * - Carregar tarefas
  * - Salvar configurações do timer
  * - Carregar configurações do timer
+ * - Salvar e restaurar a sessão do timer em andamento
+ * - Salvar e carregar o histórico de sessões
+ * - Versionar o esquema dos dados e executar migrações na inicialização
+ *   (uma migração que falhou só é tentada de novo quando o usuário pedir)
  * - Limpar dados armazenados
  */
 
 const Storage = (function() {
     'use strict';
 
-    // Chaves para o localStorage
+    // Chaves dos dados armazenados
     const STORAGE_KEYS = {
         TASKS: 'focuslite_tasks',
         TIMER_CONFIG: 'focuslite_timer_config',
-        CYCLES: 'focuslite_cycles'
+        CYCLES: 'focuslite_cycles',
+        TIMER_STATE: 'focuslite_timer_state',
+        HISTORY: 'focuslite_history',
+        TASK_SORT: 'focuslite_task_sort',
+        TIMER_PROFILES: 'focuslite_timer_profiles',
+        SCHEMA_VERSION: 'focuslite_schema_version',
+        FAILED_MIGRATION: 'focuslite_failed_migration'
     };
 
+    // Prefixo das cópias de segurança criadas quando uma migração falha
+    const MIGRATION_BACKUP_PREFIX = 'focuslite_backup_';
+
+    // Chaves de dados que passam pelas migrações (a sessão do timer é transitória)
+    const MIGRATED_KEYS = {
+        tasks: STORAGE_KEYS.TASKS,
+        timerConfig: STORAGE_KEYS.TIMER_CONFIG,
+        cycles: STORAGE_KEYS.CYCLES,
+        history: STORAGE_KEYS.HISTORY
+    };
+
+    /**
+     * Migrações do esquema, em ordem crescente de versão.
+     * Cada migração recebe { tasks, timerConfig, cycles, history } e retorna
+     * os dados no formato da sua versão. Nunca altere uma migração publicada:
+     * adicione uma nova com a versão seguinte.
+     */
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Adiciona updatedAt às tarefas',
+            migrate(data) {
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    updatedAt: task.updatedAt || task.completedAt || task.createdAt
+                }));
+                return data;
+            }
+        },
+        {
+            version: 2,
+            description: 'Completa a configuração do timer com os campos padrão',
+            migrate(data) {
+                if (data.timerConfig) {
+                    data.timerConfig = { ...getDefaultTimerConfig(), ...data.timerConfig };
+                }
+                return data;
+            }
+        },
+        {
+            version: 3,
+            description: 'Adiciona prioridade e vencimento às tarefas',
+            migrate(data) {
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    priority: task.priority || null,
+                    dueDate: task.dueDate || null,
+                    dueTime: task.dueTime || null
+                }));
+                return data;
+            }
+        },
+        {
+            version: 4,
+            description: 'Adiciona checklist (subtarefas) às tarefas',
+            migrate(data) {
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
+                    autoComplete: Boolean(task.autoComplete)
+                }));
+                return data;
+            }
+        },
+        {
+            version: 5,
+            description: 'Adiciona projeto e tags às tarefas',
+            migrate(data) {
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    project: task.project || null,
+                    tags: Array.isArray(task.tags) ? task.tags : []
+                }));
+                return data;
+            }
+        },
+        {
+            version: 6,
+            description: 'Adiciona regra de recorrência às tarefas',
+            migrate(data) {
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    recurrence: Recurrence.normalizeRule(task.recurrence, task.dueDate)
+                }));
+                return data;
+            }
+        },
+        {
+            version: 7,
+            description: 'Adiciona estimativa de pomodoros às tarefas',
+            migrate(data) {
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    estimatedPomodoros: Number.isInteger(task.estimatedPomodoros) ? task.estimatedPomodoros : null
+                }));
+                return data;
+            }
+        },
+        {
+            version: 8,
+            description: 'Registra nas tarefas os pomodoros já concluídos no histórico',
+            migrate(data) {
+                const completed = {};
+                (data.history || []).forEach(session => {
+                    if (session.taskId && session.mode === 'focus' && session.status === 'completed') {
+                        completed[session.taskId] = (completed[session.taskId] || 0) + 1;
+                    }
+                });
+
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    actualPomodoros: Number.isInteger(task.actualPomodoros) ? task.actualPomodoros : (completed[task.id] || 0)
+                }));
+                return data;
+            }
+        },
+        {
+            version: 9,
+            description: 'Adiciona a data de arquivamento às tarefas',
+            migrate(data) {
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    archivedAt: task.archivedAt || null
+                }));
+                return data;
+            }
+        },
+        {
+            version: 10,
+            description: 'Adiciona o perfil do timer às tarefas',
+            migrate(data) {
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    profileId: task.profileId || null
+                }));
+                return data;
+            }
+        },
+        {
+            version: 11,
+            description: 'Adiciona a lista de interrupções às sessões do histórico',
+            migrate(data) {
+                data.history = (data.history || []).map(session => ({
+                    ...session,
+                    interruptions: Array.isArray(session.interruptions) ? session.interruptions : []
+                }));
+                return data;
+            }
+        },
+        {
+            version: 12,
+            description: 'Padroniza os projetos em minúsculas, como as tags',
+            migrate(data) {
+                data.tasks = data.tasks.map(task => ({
+                    ...task,
+                    project: task.project ? String(task.project).toLowerCase() : null
+                }));
+                return data;
+            }
+        }
+    ];
+
+    // Versão atual do esquema (a da última migração)
+    const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    // Coleções gravadas registro a registro no IndexedDB (chave → object store)
+    const RECORD_STORES = {
+        [STORAGE_KEYS.TASKS]: 'tasks',
+        [STORAGE_KEYS.HISTORY]: 'history'
+    };
+
+    // Backend ativo (localStorage até que init escolha outro)
+    let backend = StorageBackends.createLocalStorageBackend();
+
+    /**
+     * Inicializa o armazenamento, preferindo o IndexedDB.
+     * Na primeira execução com IndexedDB, os dados do localStorage são migrados;
+     * se a migração falhar, os dados continuam no localStorage, que segue em uso.
+     * @param {Object} options - Opções de inicialização
+     * @param {boolean} options.preferIndexedDB - Usar IndexedDB se disponível (padrão: true)
+     * @returns {Promise} Promise com o nome do backend escolhido
+     */
+    function init(options = {}) {
+        const preferIndexedDB = options.preferIndexedDB !== false;
+
+        if (!preferIndexedDB || !StorageBackends.isIndexedDBAvailable()) {
+            return useLocalStorage();
+        }
+
+        const indexedDBBackend = StorageBackends.createIndexedDBBackend({ recordStores: RECORD_STORES });
+
+        return indexedDBBackend.init()
+            .then(() => {
+                backend = indexedDBBackend;
+                console.log('Armazenamento usando IndexedDB');
+                return backend.name;
+            })
+            .catch(error => {
+                console.warn('IndexedDB indisponível, usando localStorage:', error);
+                return useLocalStorage();
+            });
+    }
+
+    /**
+     * Ativa o backend localStorage
+     * @returns {Promise} Promise com o nome do backend
+     */
+    function useLocalStorage() {
+        backend = StorageBackends.createLocalStorageBackend();
+        return backend.init().then(() => backend.name);
+    }
+
+    /**
+     * Obtém o nome do backend ativo
+     * @returns {string} 'indexedDB' ou 'localStorage'
+     */
+    function getBackendName() {
+        return backend.name;
+    }
+
+    /**
+     * Aguarda a conclusão das gravações pendentes
+     * @returns {Promise} Promise resolvida quando tudo estiver persistido
+     */
+    function flush() {
+        return backend.flush();
+    }
+
+    /**
+     * Relê chaves alteradas por outra aba (o localStorage não precisa)
+     * @param {Array} keys - Chaves alteradas
+     * @returns {Promise} Promise resolvida quando o cache estiver atualizado
+     */
+    function refresh(keys) {
+        return backend.reload(keys);
+    }
+
+    /**
+     * Avisa os demais módulos que uma chave foi gravada nesta aba
+     * @param {string} key - Chave alterada
+     */
+    function notifyChange(key) {
+        dispatchCustomEvent('storageChanged', { key });
+    }
+
     /**
-     * Salva dados no localStorage
+     * Salva dados no backend ativo
      * @param {string} key - Chave para armazenar os dados
      * @param {any} data - Dados a serem salvos
      */
     function saveData(key, data) {
         try {
-            const serializedData = JSON.stringify(data);
-            localStorage.setItem(key, serializedData);
+            backend.set(key, data);
+            notifyChange(key);
             console.log(`Dados salvos com sucesso na chave: ${key}`);
         } catch (error) {
             console.error(`Erro ao salvar dados na chave ${key}:`, error);
@@ -36,20 +293,19 @@ const Storage = (function() {
     }
 
     /**
-     * Carrega dados do localStorage
+     * Carrega dados do backend ativo
      * @param {string} key - Chave dos dados a serem carregados
      * @param {any} defaultValue - Valor padrão caso não encontre dados
      * @returns {any} Dados carregados ou valor padrão
      */
     function loadData(key, defaultValue = null) {
         try {
-            const data = localStorage.getItem(key);
-            if (data === null) {
+            const parsedData = backend.get(key);
+            if (parsedData === undefined) {
                 console.log(`Nenhum dado encontrado para a chave: ${key}`);
                 return defaultValue;
             }
             
-            const parsedData = JSON.parse(data);
             console.log(`Dados carregados com sucesso da chave: ${key}`);
             return parsedData;
         } catch (error) {
@@ -59,12 +315,13 @@ const Storage = (function() {
     }
 
     /**
-     * Remove dados específicos do localStorage
+     * Remove dados específicos do backend ativo
      * @param {string} key - Chave dos dados a serem removidos
      */
     function removeData(key) {
         try {
-            localStorage.removeItem(key);
+            backend.remove(key);
+            notifyChange(key);
             console.log(`Dados removidos com sucesso da chave: ${key}`);
         } catch (error) {
             console.error(`Erro ao remover dados da chave ${key}:`, error);
@@ -87,6 +344,22 @@ const Storage = (function() {
         return loadData(STORAGE_KEYS.TASKS, []);
     }
 
+    /**
+     * Salva o modo de ordenação da lista de tarefas
+     * @param {string} sortMode - 'manual', 'priority', 'dueDate' ou 'created'
+     */
+    function saveTaskSort(sortMode) {
+        saveData(STORAGE_KEYS.TASK_SORT, sortMode);
+    }
+
+    /**
+     * Carrega o modo de ordenação da lista de tarefas
+     * @returns {string} Modo salvo ou 'manual'
+     */
+    function loadTaskSort() {
+        return loadData(STORAGE_KEYS.TASK_SORT, 'manual');
+    }
+
     /**
      * Salva as configurações do timer no localStorage
      * @param {Object} config - Configurações do timer
@@ -96,18 +369,55 @@ const Storage = (function() {
     }
 
     /**
-     * Carrega as configurações do timer do localStorage
-     * @returns {Object} Configurações do timer ou configurações padrão
+     * Obtém as configurações padrão do timer
+     * @returns {Object} Nova cópia das configurações padrão
      */
-    function loadTimerConfig() {
-        const defaultConfig = {
+    function getDefaultTimerConfig() {
+        return {
             focusTime: 25 * 60, // 25 minutos em segundos
             breakTime: 5 * 60,  // 5 minutos em segundos
+            longBreakTime: 15 * 60, // 15 minutos em segundos
+            longBreakInterval: 4,   // Focos antes de uma pausa longa
             autoSwitch: true,   // Alternar automaticamente entre foco e pausa
-            soundEnabled: true  // Som habilitado
+            soundEnabled: true, // Som habilitado
+            notificationsEnabled: true, // Notificações do navegador habilitadas
+            toastEnabled: true, // Aviso na tela com as ações do alerta
+            titleFlashEnabled: true, // Título da aba piscando no fim da fase
+            vibrationEnabled: true, // Vibração em celulares
+            alertRepeatMinutes: 2, // Intervalo para repetir o alerta ignorado (0 = não repetir)
+            alarmSound: 'bell', // Alarme de fim de fase
+            alarmVolume: 80,    // Volumes de 0 a 100
+            tickingEnabled: false, // Tique-taque durante o foco
+            tickingVolume: 30,
+            ambientNoise: 'off', // Som ambiente durante o foco ('white', 'pink', 'brown', 'rain')
+            ambientVolume: 40,
+            autoArchiveDays: 0  // Dias até arquivar as tarefas concluídas (0 = nunca; o usuário escolhe ativar)
         };
-        
-        return loadData(STORAGE_KEYS.TIMER_CONFIG, defaultConfig);
+    }
+
+    /**
+     * Carrega as configurações do timer do localStorage
+     * @returns {Object} Configurações do timer ou configurações padrão
+     */
+    function loadTimerConfig() {
+        // Campos novos ausentes na configuração salva recebem o valor padrão
+        return { ...getDefaultTimerConfig(), ...loadData(STORAGE_KEYS.TIMER_CONFIG, {}) };
+    }
+
+    /**
+     * Salva os perfis do timer no localStorage
+     * @param {Object} data - Objeto { profiles, activeProfileId, projectProfiles }
+     */
+    function saveTimerProfiles(data) {
+        saveData(STORAGE_KEYS.TIMER_PROFILES, data);
+    }
+
+    /**
+     * Carrega os perfis do timer do localStorage
+     * @returns {Object|null} Perfis salvos ou null na primeira execução
+     */
+    function loadTimerProfiles() {
+        return loadData(STORAGE_KEYS.TIMER_PROFILES, null);
     }
 
     /**
@@ -127,13 +437,283 @@ const Storage = (function() {
     }
 
     /**
-     * Limpa todos os dados do FocusLite do localStorage
+     * Salva o estado da sessão do timer (modo, início e prazo final)
+     * @param {Object} state - Estado serializável do timer
      */
-    function clearAllData() {
+    function saveTimerState(state) {
+        saveData(STORAGE_KEYS.TIMER_STATE, state);
+    }
+
+    /**
+     * Carrega o estado da sessão do timer salvo anteriormente
+     * @returns {Object|null} Estado do timer ou null
+     */
+    function loadTimerState() {
+        return loadData(STORAGE_KEYS.TIMER_STATE, null);
+    }
+
+    /**
+     * Remove o estado da sessão do timer
+     */
+    function clearTimerState() {
+        removeData(STORAGE_KEYS.TIMER_STATE);
+    }
+
+    /**
+     * Salva o histórico de sessões no localStorage
+     * @param {Array} sessions - Array de sessões registradas
+     */
+    function saveHistory(sessions) {
+        saveData(STORAGE_KEYS.HISTORY, sessions);
+    }
+
+    /**
+     * Acrescenta ou atualiza uma única sessão do histórico
+     * (no IndexedDB grava só esse registro, sem regravar o histórico inteiro)
+     * @param {Object} session - Sessão registrada
+     */
+    function saveSession(session) {
+        try {
+            backend.putRecord(STORAGE_KEYS.HISTORY, session);
+            notifyChange(STORAGE_KEYS.HISTORY);
+        } catch (error) {
+            console.error('Erro ao salvar sessão:', error);
+        }
+    }
+
+    /**
+     * Carrega o histórico de sessões do localStorage
+     * @returns {Array} Array de sessões ou array vazio
+     */
+    function loadHistory() {
+        return loadData(STORAGE_KEYS.HISTORY, []);
+    }
+
+    /**
+     * Obtém a versão do esquema dos dados salvos
+     * @returns {number} Versão salva (0 para dados anteriores ao versionamento)
+     */
+    function getSchemaVersion() {
+        return loadData(STORAGE_KEYS.SCHEMA_VERSION, 0);
+    }
+
+    /**
+     * Aplica as migrações pendentes a um conjunto de dados
+     * @param {Object} data - Objeto { tasks, timerConfig, cycles, history }
+     * @param {number} fromVersion - Versão em que os dados estão
+     * @returns {Object} Dados migrados para a versão atual
+     * @throws {Error} Se alguma migração falhar
+     */
+    function migrateData(data, fromVersion) {
+        let migrated = normalizeSnapshot(JSON.parse(JSON.stringify(data)));
+
+        MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                try {
+                    migrated = migration.migrate(migrated);
+                } catch (error) {
+                    throw new Error(`Migração v${migration.version} (${migration.description}) falhou: ${error.message}`);
+                }
+            });
+
+        return migrated;
+    }
+
+    /**
+     * Executa as migrações pendentes sobre os dados do localStorage.
+     * Se uma migração falhar, os dados originais são guardados em uma cópia de
+     * segurança, apenas as migrações anteriores à falha são aplicadas e a falha
+     * fica registrada: nas próximas inicializações a migração não roda de novo
+     * sozinha, só quando o usuário pedir (ver retryMigrations).
+     * @returns {Object} Resultado { fromVersion, toVersion, applied, failed, skipped }
+     *   (skipped indica que a migração que falhou antes não foi tentada de novo)
+     */
+    function runMigrations() {
+        const fromVersion = getSchemaVersion();
+        const result = { fromVersion, toVersion: fromVersion, applied: [], failed: null, skipped: false };
+
+        const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+        if (pending.length === 0) {
+            return result;
+        }
+
+        // Instalação nova: não há dados antigos para migrar
+        if (!hasMigratedData()) {
+            saveData(STORAGE_KEYS.SCHEMA_VERSION, CURRENT_SCHEMA_VERSION);
+            result.toVersion = CURRENT_SCHEMA_VERSION;
+            return result;
+        }
+
+        // A mesma falha, sobre os mesmos dados, se repetiria a cada inicialização
+        const failedMigration = getFailedMigration();
+        if (failedMigration && failedMigration.fromVersion === fromVersion) {
+            console.warn(`Migração v${failedMigration.version} não executada: falhou em ${failedMigration.failedAt}`);
+            result.failed = failedMigration;
+            result.skipped = true;
+            return result;
+        }
+
+        const rawSnapshot = readRawSnapshot();
+        let data;
+
         try {
-            Object.values(STORAGE_KEYS).forEach(key => {
-                localStorage.removeItem(key);
+            data = parseRawSnapshot(rawSnapshot);
+        } catch (error) {
+            result.failed = backupFailedMigration(pending[0], rawSnapshot, error);
+        }
+
+        for (const migration of result.failed ? [] : pending) {
+            try {
+                data = migration.migrate(data);
+                result.toVersion = migration.version;
+                result.applied.push(migration.version);
+                console.log(`Migração v${migration.version} aplicada: ${migration.description}`);
+            } catch (error) {
+                result.failed = backupFailedMigration(migration, rawSnapshot, error);
+                break;
+            }
+        }
+
+        if (result.applied.length > 0) {
+            writeSnapshot(data);
+            saveData(STORAGE_KEYS.SCHEMA_VERSION, result.toVersion);
+        }
+
+        if (result.failed) {
+            result.failed = { ...result.failed, fromVersion: result.toVersion, failedAt: new Date().toISOString() };
+            saveData(STORAGE_KEYS.FAILED_MIGRATION, result.failed);
+        } else if (failedMigration) {
+            removeData(STORAGE_KEYS.FAILED_MIGRATION);
+        }
+
+        return result;
+    }
+
+    /**
+     * Tenta de novo as migrações pendentes, inclusive a que falhou antes
+     * @returns {Object} Resultado de runMigrations
+     */
+    function retryMigrations() {
+        removeData(STORAGE_KEYS.FAILED_MIGRATION);
+        return runMigrations();
+    }
+
+    /**
+     * Obtém o registro da última migração que falhou
+     * @returns {Object|null} { version, error, backupKey, fromVersion, failedAt } ou null
+     */
+    function getFailedMigration() {
+        return loadData(STORAGE_KEYS.FAILED_MIGRATION, null);
+    }
+
+    /**
+     * Verifica se existe algum dado do FocusLite a ser migrado
+     * @returns {boolean} True se houver dados salvos
+     */
+    function hasMigratedData() {
+        return Object.values(MIGRATED_KEYS).some(key => backend.has(key));
+    }
+
+    /**
+     * Lê os valores brutos (texto) das chaves migradas
+     * @returns {Object} Mapa de nome do dado para texto salvo (ou null)
+     */
+    function readRawSnapshot() {
+        const raw = {};
+        Object.entries(MIGRATED_KEYS).forEach(([name, key]) => {
+            raw[name] = backend.getRaw(key);
+        });
+        return raw;
+    }
+
+    /**
+     * Converte os valores brutos em dados, sem engolir JSON corrompido
+     * @param {Object} rawSnapshot - Valores brutos lidos do localStorage
+     * @returns {Object} Dados { tasks, timerConfig, cycles, history }
+     * @throws {SyntaxError} Se algum valor não for JSON válido
+     */
+    function parseRawSnapshot(rawSnapshot) {
+        const data = {};
+        Object.entries(rawSnapshot).forEach(([name, raw]) => {
+            data[name] = raw === null ? undefined : JSON.parse(raw);
+        });
+        return normalizeSnapshot(data);
+    }
+
+    /**
+     * Preenche os valores ausentes de um conjunto de dados
+     * @param {Object} data - Dados possivelmente incompletos
+     * @returns {Object} Dados com todos os campos
+     */
+    function normalizeSnapshot(data) {
+        return {
+            tasks: Array.isArray(data.tasks) ? data.tasks : [],
+            timerConfig: data.timerConfig || null,
+            cycles: typeof data.cycles === 'number' ? data.cycles : 0,
+            history: Array.isArray(data.history) ? data.history : []
+        };
+    }
+
+    /**
+     * Grava os dados migrados no localStorage
+     * @param {Object} data - Dados { tasks, timerConfig, cycles, history }
+     */
+    function writeSnapshot(data) {
+        saveData(STORAGE_KEYS.TASKS, data.tasks);
+        saveData(STORAGE_KEYS.CYCLES, data.cycles);
+        saveData(STORAGE_KEYS.HISTORY, data.history);
+        if (data.timerConfig) {
+            saveData(STORAGE_KEYS.TIMER_CONFIG, data.timerConfig);
+        }
+    }
+
+    /**
+     * Guarda uma cópia dos dados originais quando uma migração falha
+     * @param {Object} migration - Migração que falhou
+     * @param {Object} rawSnapshot - Valores brutos anteriores às migrações
+     * @param {Error} error - Erro ocorrido
+     * @returns {Object} Detalhes da falha { version, error, backupKey }
+     */
+    function backupFailedMigration(migration, rawSnapshot, error) {
+        const backupKey = `${MIGRATION_BACKUP_PREFIX}v${migration.version}`;
+
+        console.error(`Erro na migração v${migration.version} (${migration.description}):`, error);
+
+        // Mantém a primeira cópia: execuções seguintes veem os mesmos dados originais
+        if (!backend.has(backupKey)) {
+            saveData(backupKey, {
+                failedVersion: migration.version,
+                fromVersion: getSchemaVersion(),
+                error: error.message,
+                createdAt: new Date().toISOString(),
+                raw: rawSnapshot
             });
+        }
+
+        return { version: migration.version, error: error.message, backupKey };
+    }
+
+    /**
+     * Lista as cópias de segurança criadas por migrações que falharam
+     * @returns {Array} Chaves das cópias de segurança
+     */
+    function getMigrationBackupKeys() {
+        return backend.keys().filter(key => key.startsWith(MIGRATION_BACKUP_PREFIX));
+    }
+
+    /**
+     * Limpa todos os dados do FocusLite
+     */
+    function clearAllData() {
+        try {
+            // A versão do esquema é mantida: os dados gravados depois já seguem o formato atual
+            Object.values(STORAGE_KEYS)
+                .filter(key => key !== STORAGE_KEYS.SCHEMA_VERSION)
+                .forEach(key => {
+                    backend.remove(key);
+                    notifyChange(key);
+                });
             console.log('Todos os dados do FocusLite foram removidos');
         } catch (error) {
             console.error('Erro ao limpar dados:', error);
@@ -141,10 +721,14 @@ const Storage = (function() {
     }
 
     /**
-     * Verifica se o localStorage está disponível no navegador
+     * Verifica se há armazenamento disponível no navegador
      * @returns {boolean} True se disponível, false caso contrário
      */
     function isStorageAvailable() {
+        if (backend.name === 'indexedDB') {
+            return true;
+        }
+
         try {
             const test = '__storage_test__';
             localStorage.setItem(test, test);
@@ -157,7 +741,7 @@ const Storage = (function() {
     }
 
     /**
-     * Obtém informações sobre o uso do localStorage
+     * Obtém informações sobre o uso do armazenamento
      * @returns {Object} Informações sobre o uso do storage
      */
     function getStorageInfo() {
@@ -165,6 +749,17 @@ const Storage = (function() {
             return { available: false };
         }
 
+        if (backend.name === 'indexedDB') {
+            const keys = backend.keys();
+            return {
+                available: true,
+                backend: backend.name,
+                totalSize: keys.reduce((sum, key) => sum + (backend.getRaw(key) || '').length, 0),
+                itemCount: keys.length,
+                maxSize: null // Definido pela cota do navegador (ver estimateStorage)
+            };
+        }
+
         try {
             let totalSize = 0;
             let itemCount = 0;
@@ -179,6 +774,7 @@ const Storage = (function() {
 
             return {
                 available: true,
+                backend: backend.name,
                 totalSize: totalSize,
                 itemCount: itemCount,
                 maxSize: 5 * 1024 * 1024 // 5MB (estimativa)
@@ -189,20 +785,78 @@ const Storage = (function() {
         }
     }
 
+    /**
+     * Estima o espaço usado e a cota disponível no navegador
+     * @returns {Promise} Promise com { usage, quota } em bytes (ou null)
+     */
+    function estimateStorage() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return Promise.resolve(null);
+        }
+
+        return navigator.storage.estimate()
+            .then(({ usage, quota }) => ({ usage, quota }))
+            .catch(error => {
+                console.warn('Não foi possível estimar o armazenamento:', error);
+                return null;
+            });
+    }
+
+    /**
+     * Dispara um evento customizado
+     * @param {string} eventName - Nome do evento
+     * @param {Object} detail - Dados do evento
+     */
+    function dispatchCustomEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
     // Retorna a API pública do módulo
     return {
+        // Inicialização e backend
+        init,
+        getBackendName,
+        flush,
+        refresh,
+
         // Funções principais
         saveTasks,
         loadTasks,
+        saveTaskSort,
+        loadTaskSort,
         saveTimerConfig,
         loadTimerConfig,
+        getDefaultTimerConfig,
+        saveTimerProfiles,
+        loadTimerProfiles,
         saveCycles,
         loadCycles,
+        saveTimerState,
+        loadTimerState,
+        clearTimerState,
+        saveHistory,
+        saveSession,
+        loadHistory,
+        
+        // Versionamento e migrações
+        getSchemaVersion,
+        runMigrations,
+        migrateData,
+        getMigrationBackupKeys,
+        getFailedMigration,
+        retryMigrations,
+        CURRENT_SCHEMA_VERSION,
+        STORAGE_KEYS,
         
         // Funções utilitárias
         clearAllData,
         isStorageAvailable,
         getStorageInfo,
+        estimateStorage,
         
         // Funções genéricas
         saveData,
@@ -0,0 +1,325 @@
+/**
+ * Módulo de Sincronização entre Abas
+ * Mantém tarefas, histórico e timer consistentes com o FocusLite aberto em várias abas
+ *
+ * Funcionalidades:
+ * - Avisar as outras abas sobre cada chave gravada (BroadcastChannel, com
+ *   fallback para eventos "storage" do localStorage)
+ * - Recarregar tarefas, histórico, configurações e timer alterados em outra aba
+ * - Manter a tarefa atual igual em todas as abas
+ * - Garantir uma única aba dona do timer em andamento: se ela for fechada,
+ *   outra aba assume a sessão e dispara as notificações (entre as abas
+ *   candidatas, assume a de menor identificador)
+ * - Encerrar em todas as abas o alerta de fim de fase visto em uma delas
+ */
+
+const TabSync = (function() {
+    'use strict';
+
+    // Nome do canal de comunicação entre abas
+    const CHANNEL_NAME = 'focuslite_sync';
+
+    // Chave usada para trocar mensagens quando não há BroadcastChannel
+    const FALLBACK_MESSAGE_KEY = 'focuslite_sync_message';
+
+    // Tempo de espera pela resposta da aba dona do timer
+    const OWNER_REPLY_TIMEOUT_MS = 500;
+
+    // Tempo para as abas candidatas a dona do timer se anunciarem antes da escolha
+    const CLAIM_WINDOW_MS = 300;
+
+    // Tipos de mensagem trocados entre as abas
+    const MESSAGE_TYPES = {
+        DATA_CHANGED: 'dataChanged',
+        OWNER_QUERY: 'timerOwnerQuery',
+        OWNER_ALIVE: 'timerOwnerAlive',
+        OWNER_LEFT: 'timerOwnerLeft',
+        OWNER_CANDIDATE: 'timerOwnerCandidate',
+        ALERT_ACKNOWLEDGED: 'alertAcknowledged'
+    };
+
+    // Canal ativo e estado da sincronização
+    let channel = null;
+    let pendingKeys = new Set();
+    let isFlushScheduled = false;
+    let pendingOwnerCheck = null; // { ownerTabId, timeout }
+
+    /**
+     * Inicializa a sincronização entre abas
+     */
+    function init() {
+        openChannel();
+
+        // Chaves gravadas nesta aba são repassadas às demais
+        document.addEventListener('storageChanged', handleLocalChange);
+
+        // O timer pede para confirmar se a aba dona ainda está aberta
+        document.addEventListener('timerOwnerUnknown', handleOwnerUnknown);
+
+        // Alerta visto nesta aba: a aba dona para de repeti-lo
+        document.addEventListener('alertAcknowledged', handleAlertAcknowledged);
+
+        // Ao fechar, a aba dona libera o timer para as outras
+        window.addEventListener('pagehide', handlePageHide);
+
+        console.log(`Sincronização entre abas ativa (${channel ? 'BroadcastChannel' : 'localStorage'})`);
+    }
+
+    /**
+     * Abre o BroadcastChannel ou passa a ouvir eventos "storage"
+     */
+    function openChannel() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            try {
+                channel = new BroadcastChannel(CHANNEL_NAME);
+                channel.addEventListener('message', event => handleMessage(event.data));
+                return;
+            } catch (error) {
+                console.warn('BroadcastChannel indisponível:', error);
+                channel = null;
+            }
+        }
+
+        window.addEventListener('storage', handleStorageEvent);
+    }
+
+    /**
+     * Envia uma mensagem para as outras abas
+     * @param {string} type - Tipo da mensagem
+     * @param {Object} payload - Dados da mensagem
+     */
+    function postMessage(type, payload = {}) {
+        const message = { type, tabId: PomodoroTimer.getTabId(), ...payload };
+
+        try {
+            if (channel) {
+                channel.postMessage(message);
+            } else {
+                // O evento "storage" só dispara nas outras abas, e só se o valor mudar
+                localStorage.setItem(FALLBACK_MESSAGE_KEY, JSON.stringify({ ...message, sentAt: Math.random() }));
+                localStorage.removeItem(FALLBACK_MESSAGE_KEY);
+            }
+        } catch (error) {
+            console.error('Erro ao enviar mensagem para outras abas:', error);
+        }
+    }
+
+    /**
+     * Converte eventos "storage" (fallback) em mensagens
+     * @param {StorageEvent} event - Evento disparado por outra aba
+     */
+    function handleStorageEvent(event) {
+        if (event.key !== FALLBACK_MESSAGE_KEY || !event.newValue) return;
+
+        try {
+            handleMessage(JSON.parse(event.newValue));
+        } catch (error) {
+            console.error('Mensagem inválida recebida de outra aba:', error);
+        }
+    }
+
+    /**
+     * Acumula as chaves gravadas e as envia depois que estiverem persistidas
+     * @param {CustomEvent} event - Evento storageChanged
+     */
+    function handleLocalChange(event) {
+        pendingKeys.add(event.detail.key);
+
+        if (isFlushScheduled) return;
+        isFlushScheduled = true;
+
+        // No IndexedDB a gravação é assíncrona: só avisa quando ela terminar
+        Storage.flush().then(() => {
+            const keys = [...pendingKeys];
+            pendingKeys = new Set();
+            isFlushScheduled = false;
+            postMessage(MESSAGE_TYPES.DATA_CHANGED, { keys });
+        });
+    }
+
+    /**
+     * Trata uma mensagem recebida de outra aba
+     * @param {Object} message - Mensagem recebida
+     */
+    function handleMessage(message) {
+        if (!message || message.tabId === PomodoroTimer.getTabId()) return;
+
+        switch (message.type) {
+            case MESSAGE_TYPES.DATA_CHANGED:
+                applyRemoteChanges(message.keys || []);
+                break;
+            case MESSAGE_TYPES.OWNER_QUERY:
+                if (message.ownerTabId === PomodoroTimer.getTabId() && PomodoroTimer.isTimerOwner()) {
+                    postMessage(MESSAGE_TYPES.OWNER_ALIVE, { ownerTabId: message.ownerTabId });
+                }
+                break;
+            case MESSAGE_TYPES.OWNER_ALIVE:
+                if (pendingOwnerCheck && pendingOwnerCheck.ownerTabId === message.ownerTabId) {
+                    cancelOwnerCheck();
+                }
+                break;
+            case MESSAGE_TYPES.OWNER_LEFT:
+                scheduleClaim(message.tabId, 0);
+                break;
+            case MESSAGE_TYPES.OWNER_CANDIDATE:
+                handleOwnerCandidate(message);
+                break;
+            case MESSAGE_TYPES.ALERT_ACKNOWLEDGED:
+                NotificationService.acknowledgeFromOtherTab();
+                break;
+        }
+    }
+
+    /**
+     * Repassa às outras abas o alerta visto nesta
+     * @param {CustomEvent} event - Evento alertAcknowledged
+     */
+    function handleAlertAcknowledged(event) {
+        if (!event.detail.fromOtherTab) {
+            postMessage(MESSAGE_TYPES.ALERT_ACKNOWLEDGED);
+        }
+    }
+
+    /**
+     * Relê as chaves alteradas por outra aba e atualiza os módulos
+     * @param {Array} keys - Chaves alteradas
+     */
+    function applyRemoteChanges(keys) {
+        const KEYS = Storage.STORAGE_KEYS;
+
+        Storage.refresh(keys)
+            .then(() => {
+                if (keys.includes(KEYS.TASKS)) {
+                    TaskManager.reloadTasks();
+                }
+
+                if (keys.includes(KEYS.TASK_SORT)) {
+                    TaskManager.reloadSortMode();
+                }
+
+                if (keys.includes(KEYS.HISTORY)) {
+                    SessionHistory.reloadHistory();
+                }
+
+                if (keys.includes(KEYS.TIMER_CONFIG) || keys.includes(KEYS.CYCLES)) {
+                    PomodoroTimer.reloadFromStorage();
+                    SettingsManager.fillForm(PomodoroTimer.getConfig());
+                }
+
+                if (keys.includes(KEYS.TIMER_PROFILES)) {
+                    TimerProfiles.reloadFromStorage();
+                }
+
+                if (keys.includes(KEYS.TIMER_STATE)) {
+                    PomodoroTimer.reloadTimerState();
+                    syncCurrentTask();
+                }
+
+                console.log('Dados atualizados por outra aba:', keys);
+            })
+            .catch(error => {
+                console.error('Erro ao aplicar alterações de outra aba:', error);
+            });
+    }
+
+    /**
+     * Seleciona a tarefa atual gravada na sessão do timer
+     */
+    function syncCurrentTask() {
+        const { taskId } = PomodoroTimer.getTimerState();
+        const currentTask = TaskManager.getCurrentTask();
+
+        if (taskId && (!currentTask || currentTask.id !== taskId)) {
+            TaskManager.setCurrentTask(taskId);
+        }
+    }
+
+    /**
+     * Pergunta se a aba dona do timer ainda está aberta; sem resposta, assume
+     * @param {CustomEvent} event - Evento timerOwnerUnknown
+     */
+    function handleOwnerUnknown(event) {
+        const { ownerTabId } = event.detail;
+
+        if (ownerTabId) {
+            postMessage(MESSAGE_TYPES.OWNER_QUERY, { ownerTabId });
+        }
+
+        scheduleClaim(ownerTabId, OWNER_REPLY_TIMEOUT_MS);
+    }
+
+    /**
+     * Agenda a tentativa de assumir o timer de uma aba ausente. A aba se anuncia
+     * como candidata; se outra candidata à mesma vaga tiver identificador menor,
+     * esta desiste (ver handleOwnerCandidate), então só uma aba assume
+     * @param {string|null} ownerTabId - Aba dona que se supõe ausente
+     * @param {number} delay - Espera mínima em milissegundos
+     */
+    function scheduleClaim(ownerTabId, delay) {
+        cancelOwnerCheck();
+
+        const timeout = setTimeout(() => {
+            pendingOwnerCheck = null;
+            PomodoroTimer.claimOwnership(ownerTabId);
+        }, delay + CLAIM_WINDOW_MS);
+
+        pendingOwnerCheck = { ownerTabId, timeout };
+        postMessage(MESSAGE_TYPES.OWNER_CANDIDATE, { ownerTabId });
+    }
+
+    /**
+     * Desiste de assumir o timer quando uma candidata de identificador menor
+     * disputa a mesma vaga
+     * @param {Object} message - Mensagem { tabId, ownerTabId } da outra candidata
+     */
+    function handleOwnerCandidate(message) {
+        if (!pendingOwnerCheck || pendingOwnerCheck.ownerTabId !== message.ownerTabId) return;
+
+        if (message.tabId < PomodoroTimer.getTabId()) {
+            cancelOwnerCheck();
+        }
+    }
+
+    /**
+     * Cancela a tentativa pendente de assumir o timer
+     */
+    function cancelOwnerCheck() {
+        if (pendingOwnerCheck) {
+            clearTimeout(pendingOwnerCheck.timeout);
+            pendingOwnerCheck = null;
+        }
+    }
+
+    /**
+     * Avisa as outras abas quando a aba dona do timer é fechada
+     */
+    function handlePageHide() {
+        const { isRunning, isPaused } = PomodoroTimer.getTimerState();
+
+        if (isRunning && !isPaused && PomodoroTimer.isTimerOwner()) {
+            postMessage(MESSAGE_TYPES.OWNER_LEFT);
+        }
+    }
+
+    /**
+     * Verifica se a sincronização usa BroadcastChannel
+     * @returns {boolean} True se usa BroadcastChannel
+     */
+    function isUsingBroadcastChannel() {
+        return channel !== null;
+    }
+
+    // Retorna a API pública do módulo
+    return {
+        // Funções principais
+        init,
+
+        // Funções utilitárias
+        isUsingBroadcastChannel
+    };
+})();
+
+// Verifica se o módulo está sendo executado em um ambiente que suporta módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabSync;
+}
@@ -3,24 +3,101 @@
  * Gerencia a criação, edição, exclusão e marcação de tarefas
  * 
  * Funcionalidades:
- * - Adicionar novas tarefas
+ * - Adicionar novas tarefas, com vencimento, prioridade, tags e estimativa escritos
+ *   no próprio texto ("Revisar PR amanhã 14h !alta #trabalho ~3") e prévia do que foi reconhecido
+ * - Editar texto, prioridade e vencimento na própria lista (duplo clique, Enter ou F2)
+ * - Prioridade (alta/média/baixa) e data/horário de vencimento opcionais
+ * - Tarefas recorrentes: ao concluir, a próxima ocorrência é criada com o novo vencimento
+ * - Projeto e tags, escritos no próprio texto (+projeto #tag)
+ * - Filtrar por projeto, tag, status e busca no texto
+ * - Ordenar por ordem manual, prioridade, vencimento ou criação
+ * - Reordenar arrastando (mouse, toque ou caneta) ou com Alt+↑/↓
+ * - Destacar tarefas atrasadas e que vencem hoje
  * - Marcar tarefas como concluídas
+ * - Checklist (subtarefas) com progresso na tarefa e conclusão automática opcional
  * - Excluir tarefas
+ * - Arquivar tarefas concluídas (sob demanda ou automaticamente após alguns dias);
+ *   as arquivadas saem da lista, mas continuam nas estatísticas e no histórico
+ * - Desfazer e refazer qualquer alteração nas tarefas
  * - Iniciar timer para uma tarefa específica
+ * - Buscar tarefas e executar ações pela paleta de comandos (Ctrl/Cmd + K)
  * - Contar tarefas totais e concluídas
+ * - Exibir tempo de foco e pomodoros acumulados por tarefa
+ * - Estimativa de pomodoros por tarefa, comparada aos pomodoros feitos (●●●○);
+ *   cada ciclo de foco concluído é creditado à tarefa em foco
  * - Persistir dados no localStorage
  */
 
 const TaskManager = (function() {
     'use strict';
 
+    // Quantidade máxima de alterações guardadas para desfazer
+    const MAX_UNDO_STEPS = 50;
+
+    // Prioridades, da mais para a menos importante
+    const PRIORITIES = {
+        high: { label: 'Alta', rank: 0 },
+        medium: { label: 'Média', rank: 1 },
+        low: { label: 'Baixa', rank: 2 }
+    };
+
+    // Modos de ordenação da lista
+    const SORT_MODES = ['manual', 'priority', 'dueDate', 'created'];
+
+    // Intervalo para atualizar os destaques de atrasada/vence hoje
+    const DUE_REFRESH_INTERVAL_MS = 60 * 1000;
+
+    // Intervalo para arquivar automaticamente as tarefas concluídas antigas
+    const AUTO_ARCHIVE_INTERVAL_MS = 60 * 60 * 1000;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Marcações no texto da tarefa: "+projeto" e "#tag" (começam com letra;
+    // "#123" ou "+55" continuam no texto)
+    const PROJECT_TOKEN = /(^|\s)\+(\p{L}[\p{L}\p{N}_-]*)(?=\s|$)/gu;
+    const TAG_TOKEN = /(^|\s)#(\p{L}[\p{L}\p{N}_-]*)(?=\s|$)/gu;
+
+    // Caracteres fora do permitido em nomes de projeto e tag
+    const INVALID_LABEL_CHARS = /[^\p{L}\p{N}_-]/gu;
+
+    // Filtros de status da lista
+    const STATUS_FILTERS = ['all', 'pending', 'done'];
+
+    // Quantidade máxima de marcadores ●/○ exibidos na estimativa
+    const MAX_ESTIMATE_DOTS = 10;
+
+    // Campos opcionais da tarefa validados por normalizeTaskOptions
+    const OPTION_FIELDS = ['priority', 'dueDate', 'dueTime', 'recurrence', 'estimatedPomodoros', 'profileId'];
+
     // Estado interno do módulo
     let tasks = [];
     let currentTaskId = null;
+    let editingTaskId = null;
+    let sortMode = 'manual';
+    let dragState = null; // { taskId, item, pointerId } enquanto uma tarefa é arrastada
+    let expandedTaskIds = new Set(); // Tarefas com o checklist aberto
+    let filter = { project: '', tag: '', status: 'all', search: '' };
+
+    // Pilhas de desfazer/refazer: { id, label, before, after } com cópias da lista
+    let undoStack = [];
+    let redoStack = [];
+    let nextUndoId = 1;
 
     // Elementos DOM
     const elements = {
         taskInput: null,
+        quickAddPreview: null,
+        taskPriority: null,
+        taskDueDate: null,
+        taskDueTime: null,
+        taskRecurrence: null,
+        taskEstimate: null,
+        sortSelect: null,
+        filterProject: null,
+        filterTag: null,
+        filterStatus: null,
+        filterSearch: null,
+        clearFiltersBtn: null,
+        archiveCompletedBtn: null,
         addTaskForm: null,
         tasksList: null,
         emptyState: null,
@@ -38,12 +115,21 @@ const TaskManager = (function() {
         
         // Carrega tarefas salvas do localStorage
         loadTasksFromStorage();
+        loadSortModeFromStorage();
         
         // Configura event listeners
         setupEventListeners();
+
+        // Registra as tarefas e os comandos na paleta
+        registerCommands();
         
-        // Renderiza a lista inicial
+        // Arquiva as concluídas antigas e renderiza a lista inicial
+        autoArchiveTasks();
         renderTasks();
+
+        // Os destaques de vencimento mudam com o passar do tempo
+        setInterval(refreshDueFlags, DUE_REFRESH_INTERVAL_MS);
+        setInterval(autoArchiveTasks, AUTO_ARCHIVE_INTERVAL_MS);
         
         console.log('Módulo de tarefas inicializado com sucesso');
     }
@@ -57,10 +143,174 @@ const TaskManager = (function() {
             elements.addTaskForm.addEventListener('submit', handleAddTask);
         }
 
+        // Campos de repetição do formulário de adicionar
+        if (elements.taskRecurrence) {
+            elements.taskRecurrence.innerHTML = createRecurrenceFieldsHtml(null);
+            bindRecurrenceFields(elements.taskRecurrence);
+        }
+
         // Input de tarefa
         if (elements.taskInput) {
             elements.taskInput.addEventListener('keypress', handleTaskInputKeypress);
+            elements.taskInput.addEventListener('input', renderQuickAddPreview);
+        }
+
+        // Chips da adição rápida: clicar mantém o trecho como texto
+        if (elements.quickAddPreview) {
+            elements.quickAddPreview.addEventListener('click', handleQuickAddChipClick);
+        }
+
+        // Seletor de ordenação
+        if (elements.sortSelect) {
+            elements.sortSelect.value = sortMode;
+            elements.sortSelect.addEventListener('change', () => setSortMode(elements.sortSelect.value));
+        }
+
+        // Barra de filtros
+        if (elements.filterProject) {
+            elements.filterProject.addEventListener('change', () => setFilter({ project: elements.filterProject.value }));
+        }
+        if (elements.filterTag) {
+            elements.filterTag.addEventListener('change', () => setFilter({ tag: elements.filterTag.value }));
+        }
+        if (elements.filterStatus) {
+            elements.filterStatus.addEventListener('change', () => setFilter({ status: elements.filterStatus.value }));
+        }
+        if (elements.filterSearch) {
+            elements.filterSearch.addEventListener('input', () => setFilter({ search: elements.filterSearch.value }));
+        }
+        if (elements.clearFiltersBtn) {
+            elements.clearFiltersBtn.addEventListener('click', clearFilter);
+        }
+
+        // Arquivar as concluídas sob demanda
+        if (elements.archiveCompletedBtn) {
+            elements.archiveCompletedBtn.addEventListener('click', () => archiveCompletedTasks());
+        }
+
+        // Edição na lista: duplo clique no texto, ou Enter/F2 com o texto em foco
+        if (elements.tasksList) {
+            elements.tasksList.addEventListener('dblclick', handleTaskTextDblClick);
+            elements.tasksList.addEventListener('keydown', handleTaskTextKeydown);
+            elements.tasksList.addEventListener('keydown', handleSubtaskKeydown);
+
+            // Reordenação arrastando pela alça (Pointer Events cobrem mouse e toque)
+            elements.tasksList.addEventListener('pointerdown', handleDragStart);
+            elements.tasksList.addEventListener('pointermove', handleDragMove);
+            elements.tasksList.addEventListener('pointerup', handleDragEnd);
+            elements.tasksList.addEventListener('pointercancel', handleDragCancel);
+        }
+
+        // Credita à tarefa os ciclos de foco concluídos pelo timer
+        document.addEventListener('pomodorosCompleted', handlePomodorosCompleted);
+
+        // O prazo do arquivamento automático pode ter mudado
+        document.addEventListener('settingsChanged', autoArchiveTasks);
+
+        // Atualiza o tempo de foco exibido quando o histórico muda
+        document.addEventListener('sessionRecorded', renderTasks);
+        document.addEventListener('historyCleared', renderTasks);
+        document.addEventListener('historyReloaded', renderTasks);
+    }
+
+    /**
+     * Registra as tarefas e os comandos de tarefas na paleta de comandos
+     */
+    function registerCommands() {
+        // Cada tarefa vira um item: Enter mostra a tarefa, Shift+Enter inicia o foco nela
+        CommandPalette.registerProvider('tasks', () => getSortedTasks().map(task => ({
+            id: `task.${task.id}`,
+            title: formatTaskText(task),
+            section: task.completed ? 'Tarefa concluída' : 'Tarefa',
+            keywords: (task.subtasks || []).map(subtask => subtask.text),
+            run: () => revealTask(task.id),
+            altRun: () => startFocusOnTask(task.id),
+            altLabel: 'iniciar foco'
+        })));
+
+        CommandPalette.registerCommand({
+            id: 'tasks.new',
+            title: 'Nova tarefa',
+            section: 'Tarefas',
+            keywords: ['adicionar', 'criar'],
+            run: () => {
+                Router.navigateTo('tasks');
+                if (elements.taskInput) elements.taskInput.focus();
+            }
+        });
+
+        CommandPalette.registerCommand({
+            id: 'tasks.undo',
+            title: () => `Desfazer: ${undoStack[undoStack.length - 1].label}`,
+            section: 'Tarefas',
+            shortcut: 'Ctrl+Z',
+            isAvailable: canUndo,
+            run: undo
+        });
+
+        CommandPalette.registerCommand({
+            id: 'tasks.redo',
+            title: () => `Refazer: ${redoStack[redoStack.length - 1].label}`,
+            section: 'Tarefas',
+            shortcut: 'Ctrl+Shift+Z',
+            isAvailable: canRedo,
+            run: redo
+        });
+
+        CommandPalette.registerCommand({
+            id: 'tasks.archiveCompleted',
+            title: 'Arquivar tarefas concluídas',
+            section: 'Tarefas',
+            keywords: ['arquivo', 'limpar'],
+            isAvailable: () => getActiveTasks().some(task => task.completed),
+            run: () => archiveCompletedTasks()
+        });
+
+        CommandPalette.registerCommand({
+            id: 'tasks.clearFilters',
+            title: 'Limpar filtros da lista',
+            section: 'Tarefas',
+            isAvailable: isFilterActive,
+            run: clearFilter
+        });
+    }
+
+    /**
+     * Mostra uma tarefa na lista (removendo filtros que a escondam) e a coloca em foco
+     * @param {string} taskId - ID da tarefa
+     */
+    function revealTask(taskId) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        Router.navigateTo('tasks');
+        if (!matchesFilter(task)) {
+            clearFilter();
+        }
+
+        focusTaskText(taskId, true);
+        const item = elements.tasksList && elements.tasksList.querySelector(`[data-task-id="${taskId}"]`);
+        if (item && item.scrollIntoView) {
+            item.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    /**
+     * Define a tarefa como atual e inicia um foco nela
+     * @param {string} taskId - ID da tarefa
+     */
+    function startFocusOnTask(taskId) {
+        setCurrentTask(taskId);
+        Router.navigateTo('timer');
+
+        // Uma fase em andamento não é interrompida
+        const state = PomodoroTimer.getTimerState();
+        if (state.isRunning && !state.isPaused) return;
+
+        if (!state.isRunning && state.currentMode !== 'focus') {
+            PomodoroTimer.switchMode('focus');
         }
+        PomodoroTimer.startTimer();
     }
 
     /**
@@ -73,8 +323,9 @@ const TaskManager = (function() {
         const taskText = elements.taskInput.value.trim();
         
         if (taskText) {
-            addTask(taskText);
+            addQuickTask(taskText);
             elements.taskInput.value = '';
+            resetAddFormOptions();
             elements.taskInput.focus();
         }
     }
@@ -88,99 +339,1468 @@ const TaskManager = (function() {
             const taskText = event.target.value.trim();
             
             if (taskText) {
-                addTask(taskText);
+                addQuickTask(taskText);
                 event.target.value = '';
+                resetAddFormOptions();
             }
         }
     }
 
     /**
-     * Adiciona uma nova tarefa
-     * @param {string} text - Texto da tarefa
+     * Adiciona a tarefa digitada no campo de adição rápida.
+     * O que o texto indicar (vencimento, prioridade, tags, estimativa) é usado
+     * quando o campo correspondente do formulário estiver vazio.
+     * @param {string} text - Texto digitado
      * @returns {Object} Tarefa criada
      */
-    function addTask(text) {
-        const task = {
-            id: generateTaskId(),
-            text: text,
-            completed: false,
-            createdAt: new Date().toISOString(),
-            completedAt: null
+    function addQuickTask(text) {
+        const parsed = QuickAddParser.parse(text);
+        const formOptions = readAddFormOptions();
+
+        // Data e horário vêm juntos: ou do formulário, ou do texto
+        const useFormDate = Boolean(formOptions.dueDate);
+
+        return addTask(parsed.text, {
+            ...formOptions,
+            literalText: true, // O parser já separou projeto e tags; "\+x" fica no texto
+            priority: formOptions.priority || parsed.priority,
+            dueDate: useFormDate ? formOptions.dueDate : parsed.dueDate,
+            dueTime: useFormDate ? formOptions.dueTime : parsed.dueTime,
+            estimatedPomodoros: formOptions.estimatedPomodoros || parsed.estimate,
+            project: parsed.project,
+            tags: parsed.tags
+        });
+    }
+
+    /**
+     * Mostra abaixo do campo o que a adição rápida reconheceu no texto
+     */
+    function renderQuickAddPreview() {
+        const preview = elements.quickAddPreview;
+        if (!preview || !elements.taskInput) return;
+
+        const parsed = QuickAddParser.parse(elements.taskInput.value);
+        if (!QuickAddParser.hasMatches(parsed)) {
+            preview.hidden = true;
+            preview.innerHTML = '';
+            return;
+        }
+
+        const matchesOf = (...fields) => parsed.matches.filter(match => fields.includes(match.field));
+
+        const chips = [];
+        if (parsed.dueDate) {
+            const [year, month, day] = parsed.dueDate.split('-');
+            const time = parsed.dueTime ? ` ${parsed.dueTime}` : '';
+            chips.push(createQuickAddChipHtml(`📅 ${day}/${month}/${year}${time}`, 'Vencimento', matchesOf('dueDate', 'dueTime')));
+        }
+        if (parsed.priority) {
+            chips.push(createQuickAddChipHtml(createPriorityHtml(parsed), 'Prioridade', matchesOf('priority')));
+        }
+        if (parsed.project) {
+            chips.push(createQuickAddChipHtml(`+${escapeHtml(parsed.project)}`, 'Projeto', matchesOf('project'), 'task-project'));
+        }
+        parsed.tags.forEach(tag => {
+            const tagMatches = matchesOf('tags').filter(match => match.text.slice(1).toLowerCase() === tag);
+            chips.push(createQuickAddChipHtml(`#${escapeHtml(tag)}`, 'Tag', tagMatches, 'task-tag'));
+        });
+        if (parsed.estimate) {
+            const unit = parsed.estimate === 1 ? 'pomodoro' : 'pomodoros';
+            chips.push(createQuickAddChipHtml(`🍅 ${parsed.estimate} ${unit}`, 'Estimativa', matchesOf('estimate')));
+        }
+
+        preview.innerHTML = `
+            <span class="quick-add-text">${escapeHtml(parsed.text)}</span>
+            ${chips.join('')}
+        `;
+        preview.hidden = false;
+    }
+
+    /**
+     * Cria um chip da adição rápida que, ao ser clicado, devolve o trecho ao texto
+     * @param {string} content - Conteúdo do chip (HTML já escapado)
+     * @param {string} label - Nome do campo reconhecido
+     * @param {Array} matches - Trechos do texto que preencheram o campo
+     * @param {string} className - Classe extra do chip (opcional)
+     * @returns {string} HTML do chip
+     */
+    function createQuickAddChipHtml(content, label, matches, className = '') {
+        const indexes = matches.map(match => match.index).join(',');
+        const title = `${label}: clique para manter "${matches.map(match => match.text).join(' ')}" no texto`;
+
+        return `
+            <button type="button" class="quick-add-chip ${className}" data-match-indexes="${indexes}" title="${escapeHtml(title)}">
+                ${content}<span class="quick-add-dismiss" aria-hidden="true">×</span>
+            </button>
+        `;
+    }
+
+    /**
+     * Manipula o clique em um chip da adição rápida: escapa os trechos
+     * reconhecidos (\\palavra) para que fiquem no texto da tarefa
+     * @param {MouseEvent} event - Evento de clique
+     */
+    function handleQuickAddChipClick(event) {
+        const chip = event.target.closest('.quick-add-chip[data-match-indexes]');
+        if (!chip || !elements.taskInput) return;
+
+        const indexes = chip.dataset.matchIndexes.split(',').map(Number);
+        const value = elements.taskInput.value;
+        const leading = value.length - value.trimStart().length; // parse() ignora os espaços iniciais
+
+        // Posições de cada palavra dos trechos, da última para a primeira
+        const positions = [];
+        QuickAddParser.parse(value).matches
+            .filter(match => indexes.includes(match.index))
+            .forEach(match => {
+                match.text.replace(/\S+/g, (word, offset) => {
+                    positions.push(leading + match.index + offset);
+                    return word;
+                });
+            });
+
+        elements.taskInput.value = positions
+            .sort((a, b) => b - a)
+            .reduce((text, position) => `${text.slice(0, position)}\\${text.slice(position)}`, value);
+
+        renderQuickAddPreview();
+        elements.taskInput.focus();
+    }
+
+    /**
+     * Lê prioridade, vencimento, repetição e estimativa escolhidos no formulário de adicionar
+     * @returns {Object} Objeto { priority, dueDate, dueTime, recurrence, estimatedPomodoros }
+     */
+    function readAddFormOptions() {
+        return {
+            priority: elements.taskPriority ? elements.taskPriority.value : null,
+            dueDate: elements.taskDueDate ? elements.taskDueDate.value : null,
+            dueTime: elements.taskDueTime ? elements.taskDueTime.value : null,
+            recurrence: elements.taskRecurrence ? readRecurrenceFields(elements.taskRecurrence) : null,
+            estimatedPomodoros: elements.taskEstimate ? elements.taskEstimate.value : null
         };
+    }
 
-        tasks.push(task);
-        
-        // Salva no localStorage
-        saveTasksToStorage();
-        
-        // Renderiza a lista atualizada
-        renderTasks();
-        
-        console.log('Tarefa adicionada:', task);
-        
-        // Dispara evento customizado
-        dispatchCustomEvent('taskAdded', { task });
-        
-        return task;
+    /**
+     * Limpa prioridade, vencimento, repetição e estimativa do formulário de adicionar
+     */
+    function resetAddFormOptions() {
+        [elements.taskPriority, elements.taskDueDate, elements.taskDueTime, elements.taskEstimate].forEach(field => {
+            if (field) field.value = '';
+        });
+
+        if (elements.taskRecurrence) {
+            elements.taskRecurrence.innerHTML = createRecurrenceFieldsHtml(null);
+            elements.taskRecurrence.dataset.type = '';
+        }
+
+        if (elements.quickAddPreview) {
+            elements.quickAddPreview.hidden = true;
+            elements.quickAddPreview.innerHTML = '';
+        }
     }
 
     /**
-     * Gera um ID único para a tarefa
-     * @returns {string} ID único
+     * Normaliza prioridade, vencimento, repetição, estimativa e perfil do timer informados
+     * @param {Object} options - Objeto { priority, dueDate, dueTime, recurrence, estimatedPomodoros, profileId }
+     * @returns {Object} Campos válidos (ou null)
      */
-    function generateTaskId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    function normalizeTaskOptions(options) {
+        const priority = Object.prototype.hasOwnProperty.call(PRIORITIES, options.priority) ? options.priority : null;
+        const dueDate = typeof options.dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(options.dueDate) ? options.dueDate : null;
+
+        // Horário só faz sentido com data
+        const dueTime = dueDate && typeof options.dueTime === 'string' && /^\d{2}:\d{2}$/.test(options.dueTime) ? options.dueTime : null;
+
+        const recurrence = Recurrence.normalizeRule(options.recurrence, dueDate);
+
+        // Campos numéricos vazios chegam como ''
+        const estimate = options.estimatedPomodoros === '' ? NaN : Number(options.estimatedPomodoros);
+        const estimatedPomodoros = Number.isInteger(estimate) && estimate >= 1 && estimate <= QuickAddParser.MAX_ESTIMATE
+            ? estimate
+            : null;
+
+        // Perfil excluído depois é ignorado por TimerProfiles (vale o do projeto)
+        const profileId = typeof options.profileId === 'string' && options.profileId ? options.profileId : null;
+
+        return { priority, dueDate, dueTime, recurrence, estimatedPomodoros, profileId };
     }
 
     /**
-     * Alterna o status de conclusão de uma tarefa
-     * @param {string} taskId - ID da tarefa
+     * Normaliza uma tarefa vinda de fora do app (ex.: backup importado) com as
+     * mesmas regras das tarefas criadas aqui
+     * @param {Object} task - Tarefa com "id", "text" e ids do checklist já validados
+     * @returns {Object} Tarefa apenas com campos válidos
      */
-    function toggleTask(taskId) {
-        const task = tasks.find(t => t.id === taskId);
-        
-        if (task) {
-            task.completed = !task.completed;
-            task.completedAt = task.completed ? new Date().toISOString() : null;
-            
-            // Salva no localStorage
-            saveTasksToStorage();
-            
-            // Renderiza a lista atualizada
-            renderTasks();
-            
-            console.log(`Tarefa ${task.completed ? 'concluída' : 'desmarcada'}:`, task);
-            
-            // Dispara evento customizado
-            dispatchCustomEvent('taskToggled', { task });
+    function normalizeTask(task) {
+        const createdAt = normalizeTimestamp(task.createdAt) || new Date().toISOString();
+        const completed = Boolean(task.completed);
+        const completedAt = completed ? normalizeTimestamp(task.completedAt) || createdAt : null;
+
+        return {
+            id: task.id,
+            text: task.text,
+            project: normalizeProject(task.project),
+            tags: normalizeTags(task.tags),
+            completed,
+            createdAt,
+            completedAt,
+            updatedAt: normalizeTimestamp(task.updatedAt) || completedAt || createdAt,
+            subtasks: (Array.isArray(task.subtasks) ? task.subtasks : [])
+                .map(subtask => ({ id: subtask.id, text: subtask.text, completed: Boolean(subtask.completed) })),
+            autoComplete: Boolean(task.autoComplete),
+            actualPomodoros: Number.isInteger(task.actualPomodoros) && task.actualPomodoros > 0 ? task.actualPomodoros : 0,
+            archivedAt: normalizeTimestamp(task.archivedAt),
+            seriesId: typeof task.seriesId === 'string' ? task.seriesId : null,
+            nextOccurrenceId: typeof task.nextOccurrenceId === 'string' ? task.nextOccurrenceId : null,
+            ...normalizeTaskOptions(task)
+        };
+    }
+
+    /**
+     * Valida uma data em formato ISO
+     * @param {any} value - Valor informado
+     * @returns {string|null} A própria data ou null se não for válida
+     */
+    function normalizeTimestamp(value) {
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : null;
+    }
+
+    /**
+     * Cria os campos de repetição (tipo, dias da semana e intervalo)
+     * @param {Object|null} rule - Regra atual
+     * @returns {string} HTML dos campos
+     */
+    function createRecurrenceFieldsHtml(rule) {
+        const type = rule ? rule.type : '';
+        const days = rule && rule.days ? rule.days : [];
+        const interval = rule && rule.interval ? rule.interval : 2;
+
+        const typeOptions = [`<option value="">Não repete</option>`];
+        Object.entries(Recurrence.TYPES).forEach(([value, label]) => {
+            typeOptions.push(`<option value="${value}" ${value === type ? 'selected' : ''}>${label}</option>`);
+        });
+
+        // Segunda a domingo
+        const dayCheckboxes = [1, 2, 3, 4, 5, 6, 0].map(day => `
+            <label><input type="checkbox" class="recurrence-day" value="${day}" ${days.includes(day) ? 'checked' : ''}>${Recurrence.WEEKDAY_NAMES[day]}</label>
+        `).join('');
+
+        return `
+            <select class="recurrence-type" aria-label="Repetição">${typeOptions.join('')}</select>
+            <span class="recurrence-days" role="group" aria-label="Dias da semana">${dayCheckboxes}</span>
+            <label class="recurrence-interval-field">
+                a cada <input type="number" class="recurrence-interval" min="1" max="365" value="${interval}" aria-label="Intervalo em dias"> dias
+            </label>
+        `;
+    }
+
+    /**
+     * Mostra apenas os campos que a repetição escolhida usa
+     * @param {HTMLElement} container - Elemento com os campos de repetição
+     */
+    function bindRecurrenceFields(container) {
+        const select = container.querySelector('.recurrence-type');
+        container.dataset.type = select ? select.value : '';
+
+        container.addEventListener('change', event => {
+            if (event.target.classList.contains('recurrence-type')) {
+                container.dataset.type = event.target.value;
+            }
+        });
+    }
+
+    /**
+     * Lê a regra de repetição dos campos
+     * @param {HTMLElement} container - Elemento com os campos de repetição
+     * @returns {Object|null} Regra { type, days, interval } ou null se não repete
+     */
+    function readRecurrenceFields(container) {
+        const select = container.querySelector('.recurrence-type');
+        if (!select || !select.value) return null;
+
+        return {
+            type: select.value,
+            days: [...container.querySelectorAll('.recurrence-day:checked')].map(input => Number(input.value)),
+            interval: Number((container.querySelector('.recurrence-interval') || {}).value)
+        };
+    }
+
+    /**
+     * Separa projeto e tags escritos no texto da tarefa
+     * Ex.: "Revisar contrato +trabalho #urgente" → texto "Revisar contrato",
+     * projeto "trabalho" e tags ["urgente"]
+     * @param {string} text - Texto digitado
+     * @returns {Object} Objeto { text, project, tags }
+     */
+    function parseTaskText(text) {
+        let project = null;
+        const tags = [];
+
+        const cleanText = text
+            .replace(PROJECT_TOKEN, (match, space, name) => {
+                project = name; // Vale o último projeto escrito
+                return space;
+            })
+            .replace(TAG_TOKEN, (match, space, name) => {
+                tags.push(name);
+                return space;
+            })
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        // Só marcações: o texto fica como foi digitado, sem projeto nem tags
+        if (!cleanText) {
+            return { text: text.trim(), project: null, tags: [] };
         }
+
+        return { text: cleanText, project: normalizeProject(project), tags: normalizeTags(tags) };
     }
 
     /**
-     * Remove uma tarefa
-     * @param {string} taskId - ID da tarefa
+     * Normaliza uma lista de tags (minúsculas, sem "#", espaços ou repetição)
+     * @param {Array} tags - Tags informadas
+     * @returns {Array} Tags válidas
      */
-    function deleteTask(taskId) {
-        const taskIndex = tasks.findIndex(t => t.id === taskId);
-        
-        if (taskIndex !== -1) {
-            const deletedTask = tasks.splice(taskIndex, 1)[0];
-            
-            // Remove a tarefa atual se for a deletada
-            if (currentTaskId === taskId) {
-                currentTaskId = null;
+    function normalizeTags(tags) {
+        const names = (Array.isArray(tags) ? tags : [])
+            .map(tag => String(tag).replace(INVALID_LABEL_CHARS, '').toLowerCase())
+            .filter(Boolean);
+        return [...new Set(names)];
+    }
+
+    /**
+     * Normaliza o nome do projeto (minúsculas, sem "+" nem espaços), como as tags
+     * @param {string|null} project - Projeto informado
+     * @returns {string|null} Projeto válido ou null
+     */
+    function normalizeProject(project) {
+        const name = typeof project === 'string' ? project.replace(INVALID_LABEL_CHARS, '').toLowerCase() : '';
+        return name || null;
+    }
+
+    /**
+     * Monta o texto da tarefa com as marcações, para edição ou exportação
+     * @param {Object} task - Objeto da tarefa
+     * @returns {string} Texto com "+projeto" e "#tags"
+     */
+    function formatTaskText(task) {
+        const marks = [];
+        if (task.project) marks.push(`+${task.project}`);
+        (task.tags || []).forEach(tag => marks.push(`#${tag}`));
+        return [task.text, ...marks].join(' ');
+    }
+
+    /**
+     * Inicia a edição ao dar duplo clique no texto da tarefa
+     * @param {MouseEvent} event - Evento de duplo clique
+     */
+    function handleTaskTextDblClick(event) {
+        const text = event.target.closest('.task-text');
+        if (text) {
+            startEditing(text.closest('.task-item').dataset.taskId);
+        }
+    }
+
+    /**
+     * Inicia a edição com Enter ou F2 no texto da tarefa em foco
+     * @param {KeyboardEvent} event - Evento de tecla pressionada
+     */
+    function handleTaskTextKeydown(event) {
+        if (!event.target.classList.contains('task-text')) return;
+
+        const taskId = event.target.closest('.task-item').dataset.taskId;
+
+        if (event.key === 'Enter' || event.key === 'F2') {
+            event.preventDefault();
+            startEditing(taskId);
+        } else if (event.altKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown') && canReorder()) {
+            // Alt+↑/↓: move a tarefa em foco uma posição
+            event.preventDefault();
+            const index = getActiveTasks().findIndex(t => t.id === taskId);
+            if (moveTask(taskId, index + (event.key === 'ArrowUp' ? -1 : 1))) {
+                focusTaskText(taskId, true);
             }
-            
-            // Salva no localStorage
-            saveTasksToStorage();
-            
-            // Renderiza a lista atualizada
-            renderTasks();
-            
-            console.log('Tarefa removida:', deletedTask);
-            
-            // Dispara evento customizado
-            dispatchCustomEvent('taskDeleted', { task: deletedTask });
+        }
+    }
+
+    /**
+     * Atalhos do checklist: Enter no campo adiciona um item; no texto do item,
+     * espaço marca/desmarca, Delete exclui e Alt+↑/↓ move
+     * @param {KeyboardEvent} event - Evento de tecla pressionada
+     */
+    function handleSubtaskKeydown(event) {
+        const item = event.target.closest('.task-item');
+        if (!item) return;
+
+        const taskId = item.dataset.taskId;
+
+        if (event.target.classList.contains('subtask-input')) {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                if (addSubtask(taskId, event.target.value)) {
+                    focusSubtaskInput(taskId);
+                }
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                toggleSubtasks(taskId);
+                focusTaskText(taskId, true);
+            }
+            return;
+        }
+
+        if (!event.target.classList.contains('subtask-text')) return;
+
+        const subtaskId = event.target.closest('.subtask-item').dataset.subtaskId;
+
+        if (event.key === ' ') {
+            event.preventDefault();
+            toggleSubtask(taskId, subtaskId);
+            focusSubtaskText(taskId, subtaskId);
+        } else if (event.key === 'Delete') {
+            event.preventDefault();
+            deleteSubtask(taskId, subtaskId);
+            focusSubtaskInput(taskId);
+        } else if (event.altKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+            event.preventDefault();
+            const task = tasks.find(t => t.id === taskId);
+            const index = task.subtasks.findIndex(subtask => subtask.id === subtaskId);
+            if (moveSubtask(taskId, subtaskId, index + (event.key === 'ArrowUp' ? -1 : 1))) {
+                focusSubtaskText(taskId, subtaskId);
+            }
+        }
+    }
+
+    /**
+     * Começa a arrastar uma tarefa pela alça
+     * @param {PointerEvent} event - Evento de ponteiro
+     */
+    function handleDragStart(event) {
+        const handle = event.target.closest('.task-drag-handle');
+        if (!handle || !canReorder() || editingTaskId || event.button > 0) return;
+
+        const item = handle.closest('.task-item');
+        event.preventDefault();
+
+        dragState = { taskId: item.dataset.taskId, item, pointerId: event.pointerId };
+        item.classList.add('dragging');
+
+        // Continua recebendo os eventos mesmo fora da alça
+        if (handle.setPointerCapture) {
+            handle.setPointerCapture(event.pointerId);
+        }
+    }
+
+    /**
+     * Move a tarefa arrastada para a posição sob o ponteiro
+     * @param {PointerEvent} event - Evento de ponteiro
+     */
+    function handleDragMove(event) {
+        if (!dragState || event.pointerId !== dragState.pointerId) return;
+
+        event.preventDefault();
+
+        // Primeira tarefa cujo meio está abaixo do ponteiro
+        const siblings = [...elements.tasksList.querySelectorAll('.task-item')]
+            .filter(item => item !== dragState.item);
+        const next = siblings.find(item => {
+            const rect = item.getBoundingClientRect();
+            return event.clientY < rect.top + rect.height / 2;
+        });
+
+        if (next) {
+            elements.tasksList.insertBefore(dragState.item, next);
+        } else {
+            elements.tasksList.appendChild(dragState.item);
+        }
+    }
+
+    /**
+     * Solta a tarefa arrastada e grava a nova posição
+     * @param {PointerEvent} event - Evento de ponteiro
+     */
+    function handleDragEnd(event) {
+        if (!dragState || event.pointerId !== dragState.pointerId) return;
+
+        const { taskId, item } = dragState;
+        const newIndex = [...elements.tasksList.querySelectorAll('.task-item')].indexOf(item);
+        dragState = null;
+        item.classList.remove('dragging');
+
+        // A tarefa saiu da lista durante o arraste: desiste de mover
+        if (!item.isConnected || newIndex < 0) {
+            renderTasks();
+            return;
+        }
+
+        // Sem mudança de posição, só restaura a lista
+        if (!moveTask(taskId, newIndex)) {
+            renderTasks();
+        }
+    }
+
+    /**
+     * Cancela o arraste (ex.: rolagem do navegador em telas de toque)
+     */
+    function handleDragCancel() {
+        if (!dragState) return;
+
+        dragState = null;
+        renderTasks();
+    }
+
+    /**
+     * Move uma tarefa para outra posição da ordem manual
+     * @param {string} taskId - ID da tarefa
+     * @param {number} toIndex - Nova posição entre as tarefas da lista (0 = topo)
+     * @returns {boolean} True se a tarefa mudou de posição
+     */
+    function moveTask(taskId, toIndex) {
+        const active = getActiveTasks();
+        const fromIndex = active.findIndex(t => t.id === taskId);
+        if (fromIndex === -1 || sortMode !== 'manual') return false;
+
+        const targetIndex = Math.max(0, Math.min(active.length - 1, toIndex));
+        if (targetIndex === fromIndex) return false;
+
+        const before = snapshotTasks();
+        const [task] = active.splice(fromIndex, 1);
+        active.splice(targetIndex, 0, task);
+
+        // As arquivadas não aparecem na lista: ficam depois das demais
+        tasks = [...active, ...tasks.filter(isArchived)];
+        pushUndo('Mover tarefa', before);
+
+        // Salva no localStorage
+        saveTasksToStorage();
+
+        // Renderiza a lista atualizada
+        renderTasks();
+
+        console.log(`Tarefa movida da posição ${fromIndex + 1} para ${targetIndex + 1}:`, task.text);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('taskMoved', { task, fromIndex, toIndex: targetIndex });
+
+        return true;
+    }
+
+    /**
+     * Cria uma cópia da lista de tarefas para o histórico de desfazer
+     * @returns {Array} Cópia das tarefas
+     */
+    function snapshotTasks() {
+        return tasks.map(copyTask);
+    }
+
+    /**
+     * Copia uma tarefa, incluindo os itens do checklist
+     * @param {Object} task - Objeto da tarefa
+     * @returns {Object} Cópia da tarefa
+     */
+    function copyTask(task) {
+        return { ...task, subtasks: (task.subtasks || []).map(subtask => ({ ...subtask })) };
+    }
+
+    /**
+     * Registra uma alteração na pilha de desfazer
+     * @param {string} label - Descrição da alteração (ex.: 'Excluir tarefa')
+     * @param {Array} before - Cópia das tarefas antes da alteração
+     */
+    function pushUndo(label, before) {
+        undoStack.push({ id: nextUndoId++, label, before, after: snapshotTasks() });
+        if (undoStack.length > MAX_UNDO_STEPS) {
+            undoStack.shift();
+        }
+
+        // Uma nova alteração invalida o que havia para refazer
+        redoStack = [];
+
+        dispatchCustomEvent('undoHistoryChanged', {});
+    }
+
+    /**
+     * Desfaz a última alteração nas tarefas
+     * @param {number} entryId - Só desfaz se esta for a última alteração (opcional;
+     *   usado pelo "Desfazer" das notificações, que se refere a uma alteração específica)
+     * @returns {string|null} Descrição da alteração desfeita, ou null
+     */
+    function undo(entryId = null) {
+        const entry = undoStack[undoStack.length - 1];
+        if (!entry || (entryId !== null && entry.id !== entryId)) return null;
+
+        undoStack.pop();
+        redoStack.push(entry);
+        applySnapshot(entry.before);
+
+        console.log('Alteração desfeita:', entry.label);
+
+        // Dispara eventos customizados
+        dispatchCustomEvent('undoHistoryChanged', {});
+        dispatchCustomEvent('taskChangeUndone', { id: entry.id, label: entry.label });
+
+        return entry.label;
+    }
+
+    /**
+     * Refaz a última alteração desfeita
+     * @param {number} entryId - Só refaz se esta for a última alteração desfeita (opcional)
+     * @returns {string|null} Descrição da alteração refeita, ou null
+     */
+    function redo(entryId = null) {
+        const entry = redoStack[redoStack.length - 1];
+        if (!entry || (entryId !== null && entry.id !== entryId)) return null;
+
+        redoStack.pop();
+        undoStack.push(entry);
+        applySnapshot(entry.after);
+
+        console.log('Alteração refeita:', entry.label);
+
+        // Dispara eventos customizados
+        dispatchCustomEvent('undoHistoryChanged', {});
+        dispatchCustomEvent('taskChangeRedone', { id: entry.id, label: entry.label });
+
+        return entry.label;
+    }
+
+    /**
+     * Identifica a próxima alteração a desfazer
+     * @returns {number|null} Id da alteração, ou null se não houver
+     */
+    function getUndoId() {
+        return undoStack.length > 0 ? undoStack[undoStack.length - 1].id : null;
+    }
+
+    /**
+     * Identifica a próxima alteração a refazer
+     * @returns {number|null} Id da alteração, ou null se não houver
+     */
+    function getRedoId() {
+        return redoStack.length > 0 ? redoStack[redoStack.length - 1].id : null;
+    }
+
+    /**
+     * Ajusta o histórico às tarefas recarregadas (ex.: alteradas em outra aba).
+     * Se nenhuma alteração do histórico mexe nas tarefas que mudaram, as cópias
+     * recebem a versão nova dessas tarefas e o histórico continua valendo;
+     * caso contrário ele é descartado, para não desfazer o que foi feito fora daqui.
+     * @param {Array} previous - Tarefas antes de recarregar
+     */
+    function rebaseHistory(previous) {
+        const changedIds = findChangedTaskIds(previous, tasks);
+        if (changedIds.size === 0) return;
+
+        const entries = [...undoStack, ...redoStack];
+        const conflict = entries.some(entry =>
+            [...findChangedTaskIds(entry.before, entry.after)].some(id => changedIds.has(id))
+        );
+
+        if (conflict) {
+            undoStack = [];
+            redoStack = [];
+        } else {
+            entries.forEach(entry => {
+                entry.before = rebaseSnapshot(entry.before, changedIds);
+                entry.after = rebaseSnapshot(entry.after, changedIds);
+            });
+        }
+
+        dispatchCustomEvent('undoHistoryChanged', {});
+    }
+
+    /**
+     * Lista as tarefas que diferem entre duas listas (incluídas, removidas ou alteradas)
+     * @param {Array} a - Primeira lista
+     * @param {Array} b - Segunda lista
+     * @returns {Set} Ids das tarefas diferentes
+     */
+    function findChangedTaskIds(a, b) {
+        // Pomodoros creditados pelo timer não fazem parte do histórico (ver applySnapshot)
+        const key = task => JSON.stringify({ ...task, actualPomodoros: 0 });
+        const keysA = new Map(a.map(task => [task.id, key(task)]));
+        const keysB = new Map(b.map(task => [task.id, key(task)]));
+
+        const changed = new Set();
+        keysA.forEach((value, id) => {
+            if (keysB.get(id) !== value) changed.add(id);
+        });
+        keysB.forEach((value, id) => {
+            if (!keysA.has(id)) changed.add(id);
+        });
+        return changed;
+    }
+
+    /**
+     * Troca numa cópia do histórico as tarefas alteradas pela versão atual
+     * @param {Array} snapshot - Cópia das tarefas
+     * @param {Set} changedIds - Ids das tarefas alteradas fora do histórico
+     * @returns {Array} Nova cópia
+     */
+    function rebaseSnapshot(snapshot, changedIds) {
+        const current = new Map(tasks.map(task => [task.id, task]));
+
+        const rebased = snapshot
+            .filter(task => !changedIds.has(task.id) || current.has(task.id))
+            .map(task => (changedIds.has(task.id) ? copyTask(current.get(task.id)) : task));
+
+        // Tarefas novas entram na mesma posição em que estão agora (ou no fim)
+        tasks.forEach((task, index) => {
+            if (changedIds.has(task.id) && !rebased.some(item => item.id === task.id)) {
+                rebased.splice(Math.min(index, rebased.length), 0, copyTask(task));
+            }
+        });
+        return rebased;
+    }
+
+    /**
+     * Substitui a lista de tarefas por uma cópia do histórico
+     * @param {Array} snapshot - Cópia das tarefas
+     */
+    function applySnapshot(snapshot) {
+        // Pomodoros creditados pelo timer não fazem parte do que se desfaz
+        const actuals = new Map(tasks.map(task => [task.id, task.actualPomodoros]));
+        tasks = snapshot.map(task => ({
+            ...copyTask(task),
+            actualPomodoros: actuals.has(task.id) ? actuals.get(task.id) : task.actualPomodoros
+        }));
+        editingTaskId = null;
+
+        saveTasksToStorage();
+        renderTasks();
+
+        // A tarefa atual pode ter deixado de existir
+        if (currentTaskId && !tasks.some(t => t.id === currentTaskId)) {
+            currentTaskId = null;
+            dispatchCustomEvent('currentTaskChanged', { task: null });
+        }
+    }
+
+    /**
+     * Verifica se há alteração para desfazer
+     * @returns {boolean} True se houver
+     */
+    function canUndo() {
+        return undoStack.length > 0;
+    }
+
+    /**
+     * Verifica se há alteração para refazer
+     * @returns {boolean} True se houver
+     */
+    function canRedo() {
+        return redoStack.length > 0;
+    }
+
+    /**
+     * Adiciona uma nova tarefa
+     * @param {string} text - Texto da tarefa (pode conter +projeto e #tags)
+     * @param {Object} options - Opcionais { priority, dueDate, dueTime, recurrence, estimatedPomodoros, project, tags, literalText }
+     *   onde literalText indica que o texto já foi interpretado e deve ser mantido como está
+     * @returns {Object} Tarefa criada
+     */
+    function addTask(text, options = {}) {
+        const before = snapshotTasks();
+        const now = new Date().toISOString();
+        const parsed = options.literalText ? { text: text.trim(), project: null, tags: [] } : parseTaskText(text);
+        const task = {
+            id: generateTaskId(),
+            text: parsed.text,
+            project: normalizeProject(options.project) || parsed.project,
+            tags: normalizeTags([...(options.tags || []), ...parsed.tags]),
+            completed: false,
+            createdAt: now,
+            completedAt: null,
+            updatedAt: now,
+            subtasks: [],
+            autoComplete: false,
+            actualPomodoros: 0,
+            ...normalizeTaskOptions(options)
+        };
+
+        tasks.push(task);
+        pushUndo('Adicionar tarefa', before);
+        
+        // Salva no localStorage
+        saveTasksToStorage();
+        
+        // Renderiza a lista atualizada
+        renderTasks();
+        
+        console.log('Tarefa adicionada:', task);
+        
+        // Dispara evento customizado
+        dispatchCustomEvent('taskAdded', { task });
+        
+        return task;
+    }
+
+    /**
+     * Adiciona várias tarefas de uma vez (ex.: checklist colado)
+     * @param {Array} items - Lista de { text, completed, subtasks } (o texto pode conter +projeto e #tags)
+     * @returns {Array} Tarefas criadas
+     */
+    function addTasks(items) {
+        const now = new Date().toISOString();
+        const created = items
+            .filter(item => item.text && item.text.trim())
+            .map(item => ({ ...item, parsed: parseTaskText(item.text) }))
+            .map(({ parsed, ...item }) => ({
+                id: generateTaskId(),
+                text: parsed.text,
+                project: normalizeProject(item.project) || parsed.project,
+                tags: normalizeTags([...(item.tags || []), ...parsed.tags]),
+                completed: Boolean(item.completed),
+                createdAt: now,
+                completedAt: item.completed ? now : null,
+                updatedAt: now,
+                subtasks: (item.subtasks || [])
+                    .filter(subtask => subtask.text && subtask.text.trim())
+                    .map(subtask => createSubtask(subtask.text.trim(), subtask.completed)),
+                autoComplete: false,
+                actualPomodoros: 0,
+                ...normalizeTaskOptions(item)
+            }));
+
+        if (created.length === 0) return [];
+
+        const before = snapshotTasks();
+        tasks.push(...created);
+        pushUndo('Adicionar tarefas', before);
+
+        // Salva e renderiza uma única vez
+        saveTasksToStorage();
+        renderTasks();
+
+        console.log(`${created.length} tarefas adicionadas em lote`);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('tasksBulkAdded', { tasks: created });
+
+        return created;
+    }
+
+    /**
+     * Gera um ID único para a tarefa
+     * @returns {string} ID único
+     */
+    function generateTaskId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Alterna o status de conclusão de uma tarefa
+     * @param {string} taskId - ID da tarefa
+     */
+    function toggleTask(taskId) {
+        const task = tasks.find(t => t.id === taskId);
+        
+        if (task) {
+            const before = snapshotTasks();
+            task.completed = !task.completed;
+            task.completedAt = task.completed ? new Date().toISOString() : null;
+            task.updatedAt = new Date().toISOString();
+
+            // Concluir uma tarefa recorrente cria a próxima ocorrência
+            const nextOccurrence = task.completed ? createNextOccurrence(task) : null;
+            pushUndo(task.completed ? 'Concluir tarefa' : 'Desmarcar tarefa', before);
+            
+            // Salva no localStorage
+            saveTasksToStorage();
+            
+            // Renderiza a lista atualizada
+            renderTasks();
+            
+            console.log(`Tarefa ${task.completed ? 'concluída' : 'desmarcada'}:`, task);
+            
+            // Dispara evento customizado
+            dispatchCustomEvent('taskToggled', { task, nextOccurrence });
+        }
+    }
+
+    /**
+     * Cria a próxima ocorrência de uma tarefa recorrente concluída.
+     * Cada ocorrência é uma tarefa própria (o histórico de foco fica por ocorrência),
+     * ligada às demais pelo seriesId.
+     * @param {Object} task - Ocorrência concluída
+     * @returns {Object|null} Nova ocorrência, ou null se a tarefa não repete (ou já gerou a próxima)
+     */
+    function createNextOccurrence(task) {
+        if (!task.recurrence || task.nextOccurrenceId) return null;
+
+        const dueDate = Recurrence.getNextDueDate(task.recurrence, task.dueDate);
+        if (!dueDate) return null;
+
+        const now = new Date().toISOString();
+        const next = {
+            ...copyTask(task),
+            id: generateTaskId(),
+            completed: false,
+            createdAt: now,
+            completedAt: null,
+            updatedAt: now,
+            dueDate,
+            subtasks: (task.subtasks || []).map(subtask => createSubtask(subtask.text)),
+            seriesId: task.seriesId || task.id,
+            nextOccurrenceId: null,
+            actualPomodoros: 0
+        };
+
+        // Desmarcar e concluir de novo não gera outra ocorrência
+        task.seriesId = next.seriesId;
+        task.nextOccurrenceId = next.id;
+
+        // A nova ocorrência fica logo depois da concluída
+        tasks.splice(tasks.indexOf(task) + 1, 0, next);
+
+        console.log('Próxima ocorrência criada:', next);
+
+        return next;
+    }
+
+    /**
+     * Verifica se uma tarefa está arquivada
+     * @param {Object} task - Objeto da tarefa
+     * @returns {boolean} True se arquivada
+     */
+    function isArchived(task) {
+        return Boolean(task.archivedAt);
+    }
+
+    /**
+     * Obtém as tarefas da lista (não arquivadas), na ordem manual
+     * @returns {Array} Tarefas não arquivadas
+     */
+    function getActiveTasks() {
+        return tasks.filter(task => !isArchived(task));
+    }
+
+    /**
+     * Obtém as tarefas arquivadas, das arquivadas mais recentemente às mais antigas
+     * @returns {Array} Tarefas arquivadas
+     */
+    function getArchivedTasks() {
+        return tasks
+            .filter(isArchived)
+            .sort((a, b) => Date.parse(b.archivedAt) - Date.parse(a.archivedAt));
+    }
+
+    /**
+     * Marca tarefas concluídas como arquivadas
+     * @param {Array} list - Tarefas a arquivar
+     * @param {string} label - Descrição para o desfazer (null para não registrar)
+     * @param {boolean} automatic - Se o arquivamento foi automático
+     * @returns {Array} Tarefas arquivadas
+     */
+    function archive(list, label, automatic = false) {
+        if (list.length === 0) return [];
+
+        const before = snapshotTasks();
+        const now = new Date().toISOString();
+        list.forEach(task => {
+            task.archivedAt = now;
+            task.updatedAt = now;
+        });
+
+        if (label) {
+            pushUndo(label, before);
+        }
+
+        // A tarefa em foco arquivada deixa de ser a atual
+        if (currentTaskId && list.some(task => task.id === currentTaskId)) {
+            currentTaskId = null;
+            dispatchCustomEvent('currentTaskChanged', { task: null });
+        }
+
+        saveTasksToStorage();
+        renderTasks();
+
+        console.log(`${list.length} tarefa(s) arquivada(s)`);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('tasksArchived', { tasks: list, automatic });
+
+        return list;
+    }
+
+    /**
+     * Arquiva uma tarefa concluída
+     * @param {string} taskId - ID da tarefa
+     * @returns {Object|null} Tarefa arquivada, ou null se não existir ou estiver pendente
+     */
+    function archiveTask(taskId) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task || !task.completed || isArchived(task)) return null;
+
+        return archive([task], 'Arquivar tarefa')[0];
+    }
+
+    /**
+     * Arquiva as tarefas concluídas da lista
+     * @param {number} olderThanDays - Só arquiva as concluídas há pelo menos esse número de dias (padrão: todas)
+     * @returns {Array} Tarefas arquivadas
+     */
+    function archiveCompletedTasks(olderThanDays = 0) {
+        return archive(getCompletedOlderThan(olderThanDays), 'Arquivar tarefas concluídas');
+    }
+
+    /**
+     * Arquiva automaticamente as concluídas há mais tempo que o configurado.
+     * Não entra no desfazer: é manutenção da lista, não ação do usuário.
+     * @returns {Array} Tarefas arquivadas
+     */
+    function autoArchiveTasks() {
+        // 0 desliga o arquivamento automático (o padrão)
+        const days = Storage.loadTimerConfig().autoArchiveDays;
+        if (!days) return [];
+
+        // Uma edição em andamento seria perdida ao redesenhar a lista
+        if (editingTaskId) return [];
+
+        return archive(getCompletedOlderThan(days), null, true);
+    }
+
+    /**
+     * Obtém as tarefas concluídas (e não arquivadas) há pelo menos alguns dias
+     * @param {number} days - Dias desde a conclusão
+     * @returns {Array} Tarefas encontradas
+     */
+    function getCompletedOlderThan(days) {
+        const limit = Date.now() - days * DAY_MS;
+
+        // Sem data de conclusão válida, a tarefa conta como antiga
+        return getActiveTasks().filter(task => task.completed &&
+            (Date.parse(task.completedAt || task.updatedAt) || 0) <= limit);
+    }
+
+    /**
+     * Devolve uma tarefa arquivada à lista
+     * @param {string} taskId - ID da tarefa
+     * @returns {Object|null} Tarefa restaurada, ou null se não estiver arquivada
+     */
+    function restoreTask(taskId) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task || !isArchived(task)) return null;
+
+        const before = snapshotTasks();
+        task.archivedAt = null;
+        task.updatedAt = new Date().toISOString();
+        pushUndo('Restaurar tarefa', before);
+
+        saveTasksToStorage();
+        renderTasks();
+
+        console.log('Tarefa restaurada do arquivo:', task);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('taskRestored', { task });
+
+        return task;
+    }
+
+    /**
+     * Remove uma tarefa
+     * @param {string} taskId - ID da tarefa
+     */
+    function deleteTask(taskId) {
+        const taskIndex = tasks.findIndex(t => t.id === taskId);
+        
+        if (taskIndex !== -1) {
+            const before = snapshotTasks();
+            const deletedTask = tasks.splice(taskIndex, 1)[0];
+            pushUndo('Excluir tarefa', before);
+            
+            // Remove a tarefa atual se for a deletada
+            if (currentTaskId === taskId) {
+                currentTaskId = null;
+            }
+            
+            // Salva no localStorage
+            saveTasksToStorage();
+            
+            // Renderiza a lista atualizada
+            renderTasks();
+            
+            console.log('Tarefa removida:', deletedTask);
+            
+            // Dispara evento customizado
+            dispatchCustomEvent('taskDeleted', { task: deletedTask });
+        }
+    }
+
+    /**
+     * Altera o texto de uma tarefa
+     * @param {string} taskId - ID da tarefa
+     * @param {string} text - Novo texto
+     * @returns {Object|null} Tarefa editada, ou null se nada mudou
+     */
+    function editTask(taskId, text) {
+        return updateTask(taskId, { text });
+    }
+
+    /**
+     * Altera texto, prioridade, vencimento, projeto e/ou tags de uma tarefa.
+     * Marcações no texto (+projeto, #tag) são somadas às da tarefa, a menos
+     * que project/tags sejam informados explicitamente.
+     * @param {string} taskId - ID da tarefa
+     * @param {Object} changes - Campos a alterar { text, priority, dueDate, dueTime, recurrence, estimatedPomodoros, profileId, project, tags }
+     * @returns {Object|null} Tarefa editada, ou null se nada mudou
+     */
+    function updateTask(taskId, changes) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task) return null;
+
+        const updates = {};
+        const parsed = parseTaskText(typeof changes.text === 'string' ? changes.text : '');
+
+        // Texto vazio é ignorado (a tarefa mantém o texto anterior)
+        const newText = parsed.text;
+        if (newText && newText !== task.text) {
+            updates.text = newText;
+        }
+
+        const project = 'project' in changes ? normalizeProject(changes.project) : (parsed.project || task.project || null);
+        if (project !== (task.project || null)) {
+            updates.project = project;
+        }
+
+        const tags = 'tags' in changes ? normalizeTags(changes.tags) : normalizeTags([...(task.tags || []), ...parsed.tags]);
+        if (tags.join(' ') !== (task.tags || []).join(' ')) {
+            updates.tags = tags;
+        }
+
+        if (OPTION_FIELDS.some(field => field in changes)) {
+            const merged = {};
+            OPTION_FIELDS.forEach(field => {
+                merged[field] = field in changes ? changes[field] : task[field];
+            });
+
+            const options = normalizeTaskOptions(merged);
+            Object.keys(options).forEach(field => {
+                // A regra de repetição é um objeto: compara pelo conteúdo
+                if (JSON.stringify(options[field]) !== JSON.stringify(task[field] || null)) {
+                    updates[field] = options[field];
+                }
+            });
+        }
+
+        if (Object.keys(updates).length === 0) return null;
+
+        const before = snapshotTasks();
+        const previousText = task.text;
+        Object.assign(task, updates);
+        task.updatedAt = new Date().toISOString();
+        pushUndo('Editar tarefa', before);
+
+        // Salva no localStorage
+        saveTasksToStorage();
+
+        // Renderiza a lista atualizada
+        renderTasks();
+
+        console.log('Tarefa editada:', task);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('taskEdited', { task, previousText, changes: updates });
+
+        return task;
+    }
+
+    /**
+     * Troca o texto da tarefa por campos de edição (texto, prioridade e vencimento)
+     * @param {string} taskId - ID da tarefa
+     */
+    function startEditing(taskId) {
+        if (!elements.tasksList || editingTaskId) return;
+
+        const task = tasks.find(t => t.id === taskId);
+        const item = elements.tasksList.querySelector(`[data-task-id="${taskId}"]`);
+        const textElement = item && item.querySelector('.task-text');
+        if (!task || !textElement) return;
+
+        editingTaskId = taskId;
+
+        const editor = document.createElement('div');
+        editor.className = 'task-edit';
+        editor.innerHTML = `
+            <input type="text" class="task-edit-input" maxlength="200" aria-label="Editar tarefa" 
+                   title="Use +projeto e #tag para definir projeto e tags">
+            <select class="task-edit-priority" aria-label="Prioridade">
+                ${createPriorityOptionsHtml(task.priority)}
+            </select>
+            <input type="date" class="task-edit-due-date" aria-label="Data de vencimento">
+            <input type="time" class="task-edit-due-time" aria-label="Horário de vencimento">
+            <input type="number" class="task-edit-estimate" min="1" max="${QuickAddParser.MAX_ESTIMATE}"
+                   placeholder="🍅" aria-label="Pomodoros estimados" title="Pomodoros estimados">
+            <select class="task-edit-profile" aria-label="Perfil do timer" title="Perfil do timer ao escolher esta tarefa">
+                ${createProfileOptionsHtml(task.profileId)}
+            </select>
+            <div class="task-recurrence task-edit-recurrence">${createRecurrenceFieldsHtml(task.recurrence)}</div>
+        `;
+        bindRecurrenceFields(editor.querySelector('.task-edit-recurrence'));
+
+        const input = editor.querySelector('.task-edit-input');
+        input.value = formatTaskText(task);
+        editor.querySelector('.task-edit-due-date').value = task.dueDate || '';
+        editor.querySelector('.task-edit-due-time').value = task.dueTime || '';
+        editor.querySelector('.task-edit-estimate').value = task.estimatedPomodoros || '';
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            editingTaskId = null;
+
+            // O texto editado traz as marcações completas: remover "#tag" remove a tag
+            const parsed = parseTaskText(input.value);
+            const changes = {
+                text: input.value,
+                project: parsed.project,
+                tags: parsed.tags,
+                priority: editor.querySelector('.task-edit-priority').value || null,
+                dueDate: editor.querySelector('.task-edit-due-date').value || null,
+                dueTime: editor.querySelector('.task-edit-due-time').value || null,
+                recurrence: readRecurrenceFields(editor.querySelector('.task-edit-recurrence')),
+                estimatedPomodoros: editor.querySelector('.task-edit-estimate').value || null,
+                profileId: editor.querySelector('.task-edit-profile').value || null
+            };
+
+            // Sem alteração, só volta a exibir o texto
+            if (!save || !updateTask(taskId, changes)) {
+                renderTasks();
+            }
+            focusTaskText(taskId);
+        };
+
+        editor.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                finish(true);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                finish(false);
+            }
+        });
+
+        // Salva quando o foco sai do conjunto de campos
+        editor.addEventListener('focusout', event => {
+            if (!editor.contains(event.relatedTarget)) {
+                finish(true);
+            }
+        });
+
+        textElement.replaceWith(editor);
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Devolve o foco ao texto de uma tarefa (navegação por teclado)
+     * @param {string} taskId - ID da tarefa
+     * @param {boolean} force - Focar mesmo que outro elemento esteja em foco
+     */
+    function focusTaskText(taskId, force = false) {
+        const item = elements.tasksList && elements.tasksList.querySelector(`[data-task-id="${taskId}"]`);
+        const textElement = item && item.querySelector('.task-text');
+        if (textElement && (force || document.activeElement === document.body)) {
+            textElement.focus();
+        }
+    }
+
+    /**
+     * Cria um item de checklist
+     * @param {string} text - Texto do item
+     * @param {boolean} completed - Se o item já está feito
+     * @returns {Object} Item criado
+     */
+    function createSubtask(text, completed = false) {
+        return {
+            id: generateTaskId(),
+            text,
+            completed: Boolean(completed)
+        };
+    }
+
+    /**
+     * Aplica uma alteração no checklist de uma tarefa, com desfazer
+     * @param {string} taskId - ID da tarefa
+     * @param {string} label - Descrição da alteração (ex.: 'Adicionar item')
+     * @param {string} action - Tipo da alteração ('added', 'toggled', 'deleted', 'moved', 'autoComplete')
+     * @param {Function} mutate - Altera a tarefa e devolve o item afetado (ou null se nada mudou)
+     * @returns {Object|null} Item afetado, ou null
+     */
+    function changeSubtasks(taskId, label, action, mutate) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task) return null;
+
+        const before = snapshotTasks();
+        const subtask = mutate(task);
+        if (!subtask) return null;
+
+        const wasCompleted = task.completed;
+        applyAutoComplete(task);
+        task.updatedAt = new Date().toISOString();
+        const nextOccurrence = task.completed && !wasCompleted ? createNextOccurrence(task) : null;
+        pushUndo(label, before);
+
+        // Salva no localStorage
+        saveTasksToStorage();
+
+        // Renderiza a lista atualizada
+        renderTasks();
+
+        console.log(`Checklist alterado (${action}):`, subtask);
+
+        // Dispara eventos customizados
+        dispatchCustomEvent('subtaskChanged', { task, subtask, action });
+        if (task.completed !== wasCompleted) {
+            dispatchCustomEvent('taskToggled', { task, nextOccurrence });
+        }
+
+        return subtask;
+    }
+
+    /**
+     * Conclui a tarefa quando todos os itens do checklist estão feitos
+     * (e a reabre quando algum volta a ficar pendente), se a opção estiver ativa
+     * @param {Object} task - Objeto da tarefa
+     */
+    function applyAutoComplete(task) {
+        if (!task.autoComplete || task.subtasks.length === 0) return;
+
+        const allDone = task.subtasks.every(subtask => subtask.completed);
+        if (allDone !== task.completed) {
+            task.completed = allDone;
+            task.completedAt = allDone ? new Date().toISOString() : null;
+        }
+    }
+
+    /**
+     * Adiciona um item ao checklist de uma tarefa
+     * @param {string} taskId - ID da tarefa
+     * @param {string} text - Texto do item
+     * @returns {Object|null} Item criado, ou null se o texto estiver vazio
+     */
+    function addSubtask(taskId, text) {
+        const subtaskText = typeof text === 'string' ? text.trim() : '';
+        if (!subtaskText) return null;
+
+        // O checklist fica aberto para continuar adicionando
+        expandedTaskIds.add(taskId);
+
+        return changeSubtasks(taskId, 'Adicionar item', 'added', task => {
+            const subtask = createSubtask(subtaskText);
+            task.subtasks.push(subtask);
+            return subtask;
+        });
+    }
+
+    /**
+     * Alterna a conclusão de um item do checklist
+     * @param {string} taskId - ID da tarefa
+     * @param {string} subtaskId - ID do item
+     * @returns {Object|null} Item alterado, ou null
+     */
+    function toggleSubtask(taskId, subtaskId) {
+        const task = tasks.find(t => t.id === taskId);
+        const current = task && task.subtasks.find(subtask => subtask.id === subtaskId);
+        if (!current) return null;
+
+        return changeSubtasks(taskId, current.completed ? 'Desmarcar item' : 'Concluir item', 'toggled', target => {
+            const subtask = target.subtasks.find(item => item.id === subtaskId);
+            subtask.completed = !subtask.completed;
+            return subtask;
+        });
+    }
+
+    /**
+     * Remove um item do checklist
+     * @param {string} taskId - ID da tarefa
+     * @param {string} subtaskId - ID do item
+     * @returns {Object|null} Item removido, ou null
+     */
+    function deleteSubtask(taskId, subtaskId) {
+        return changeSubtasks(taskId, 'Excluir item', 'deleted', task => {
+            const index = task.subtasks.findIndex(subtask => subtask.id === subtaskId);
+            return index === -1 ? null : task.subtasks.splice(index, 1)[0];
+        });
+    }
+
+    /**
+     * Move um item para outra posição do checklist
+     * @param {string} taskId - ID da tarefa
+     * @param {string} subtaskId - ID do item
+     * @param {number} toIndex - Nova posição (0 = topo)
+     * @returns {Object|null} Item movido, ou null se não mudou de posição
+     */
+    function moveSubtask(taskId, subtaskId, toIndex) {
+        return changeSubtasks(taskId, 'Mover item', 'moved', task => {
+            const fromIndex = task.subtasks.findIndex(subtask => subtask.id === subtaskId);
+            const targetIndex = Math.max(0, Math.min(task.subtasks.length - 1, toIndex));
+            if (fromIndex === -1 || targetIndex === fromIndex) return null;
+
+            const [subtask] = task.subtasks.splice(fromIndex, 1);
+            task.subtasks.splice(targetIndex, 0, subtask);
+            return subtask;
+        });
+    }
+
+    /**
+     * Ativa ou desativa a conclusão automática da tarefa pelo checklist
+     * @param {string} taskId - ID da tarefa
+     * @param {boolean} enabled - Concluir quando todos os itens estiverem feitos
+     * @returns {boolean} True se a opção mudou
+     */
+    function setAutoComplete(taskId, enabled) {
+        const changed = changeSubtasks(taskId, 'Alterar conclusão automática', 'autoComplete', task => {
+            if (task.autoComplete === Boolean(enabled)) return null;
+            task.autoComplete = Boolean(enabled);
+            return { autoComplete: task.autoComplete };
+        });
+        return changed !== null;
+    }
+
+    /**
+     * Abre ou fecha o checklist de uma tarefa
+     * @param {string} taskId - ID da tarefa
+     */
+    function toggleSubtasks(taskId) {
+        if (expandedTaskIds.has(taskId)) {
+            expandedTaskIds.delete(taskId);
+        } else {
+            expandedTaskIds.add(taskId);
+        }
+
+        renderTasks();
+
+        // Ao abrir, já deixa o campo pronto para um novo item
+        if (expandedTaskIds.has(taskId)) {
+            focusSubtaskInput(taskId);
+        }
+    }
+
+    /**
+     * Coloca o foco no campo de novo item do checklist
+     * @param {string} taskId - ID da tarefa
+     */
+    function focusSubtaskInput(taskId) {
+        const item = elements.tasksList && elements.tasksList.querySelector(`[data-task-id="${taskId}"]`);
+        const input = item && item.querySelector('.subtask-input');
+        if (input) {
+            input.focus();
+        }
+    }
+
+    /**
+     * Coloca o foco no texto de um item do checklist
+     * @param {string} taskId - ID da tarefa
+     * @param {string} subtaskId - ID do item
+     */
+    function focusSubtaskText(taskId, subtaskId) {
+        const item = elements.tasksList && elements.tasksList.querySelector(`[data-task-id="${taskId}"]`);
+        const text = item && item.querySelector(`[data-subtask-id="${subtaskId}"] .subtask-text`);
+        if (text) {
+            text.focus();
         }
     }
 
@@ -208,6 +1828,40 @@ const TaskManager = (function() {
         return currentTaskId ? tasks.find(t => t.id === currentTaskId) : null;
     }
 
+    /**
+     * Soma pomodoros concluídos a uma tarefa.
+     * Não entra no desfazer: é registro do timer, não edição da tarefa.
+     * @param {string} taskId - ID da tarefa
+     * @param {number} count - Pomodoros concluídos (padrão: 1)
+     * @returns {Object|null} Tarefa atualizada ou null se não existir
+     */
+    function creditPomodoros(taskId, count = 1) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task || count < 1) return null;
+
+        task.actualPomodoros = (task.actualPomodoros || 0) + count;
+        task.updatedAt = new Date().toISOString();
+
+        saveTasksToStorage();
+        renderTasks();
+
+        console.log(`${count} pomodoro(s) creditado(s) à tarefa:`, task);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('taskPomodorosCredited', { task, count });
+
+        return task;
+    }
+
+    /**
+     * Credita à tarefa os ciclos de foco concluídos pelo timer
+     * @param {CustomEvent} event - Evento com { taskId, count }
+     */
+    function handlePomodorosCompleted(event) {
+        const { taskId, count } = event.detail;
+        creditPomodoros(taskId, count);
+    }
+
     /**
      * Obtém todas as tarefas
      * @returns {Array} Array de tarefas
@@ -227,18 +1881,33 @@ const TaskManager = (function() {
 
     /**
      * Obtém estatísticas das tarefas
+     * @param {Array} list - Tarefas consideradas (padrão: todas)
      * @returns {Object} Objeto com estatísticas
      */
-    function getTaskStats() {
-        const total = tasks.length;
-        const completed = tasks.filter(task => task.completed).length;
+    function getTaskStats(list = tasks) {
+        const total = list.length;
+        const completed = list.filter(task => task.completed).length;
         const pending = total - completed;
+
+        // Itens de checklist de todas as tarefas
+        const subtasks = list.reduce((all, task) => all.concat(task.subtasks || []), []);
+        const subtasksCompleted = subtasks.filter(subtask => subtask.completed).length;
+
+        // Progresso: tarefas pendentes contam a fração do checklist já feita
+        const progress = list.reduce((sum, task) => {
+            if (task.completed) return sum + 1;
+            const items = task.subtasks || [];
+            return items.length > 0 ? sum + items.filter(subtask => subtask.completed).length / items.length : sum;
+        }, 0);
         
         return {
             total,
             completed,
             pending,
-            completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
+            completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
+            subtasksTotal: subtasks.length,
+            subtasksCompleted,
+            progressRate: total > 0 ? Math.round((progress / total) * 100) : 0
         };
     }
 
@@ -248,15 +1917,38 @@ const TaskManager = (function() {
     function renderTasks() {
         if (!elements.tasksList) return;
 
+        // Redesenhar durante o arraste perderia a tarefa arrastada; o fim
+        // do arraste (ou o cancelamento) redesenha a lista
+        if (dragState) return;
+
         // Limpa a lista atual
         elements.tasksList.innerHTML = '';
 
-        // Renderiza cada tarefa
-        tasks.forEach(task => {
+        // A alça de arraste só aparece na ordem manual, sem filtros
+        elements.tasksList.classList.toggle('reorderable', canReorder());
+
+        // Opções de projeto e tag vêm das tarefas existentes
+        renderFilterOptions();
+
+        // Renderiza cada tarefa visível na ordem escolhida
+        const visibleTasks = getFilteredTasks();
+        visibleTasks.forEach(task => {
             const taskElement = createTaskElement(task);
             elements.tasksList.appendChild(taskElement);
         });
 
+        if (visibleTasks.length === 0 && getActiveTasks().length > 0) {
+            const noResults = document.createElement('li');
+            noResults.className = 'tasks-no-results';
+            noResults.textContent = 'Nenhuma tarefa corresponde aos filtros.';
+            elements.tasksList.appendChild(noResults);
+        }
+
+        // Só há o que arquivar com tarefas concluídas na lista
+        if (elements.archiveCompletedBtn) {
+            elements.archiveCompletedBtn.disabled = !getActiveTasks().some(task => task.completed);
+        }
+
         // Atualiza estatísticas
         updateStats();
         
@@ -270,31 +1962,538 @@ const TaskManager = (function() {
      * @returns {HTMLElement} Elemento DOM da tarefa
      */
     function createTaskElement(task) {
+        const dueStatus = getDueStatus(task);
         const li = document.createElement('li');
-        li.className = `task-item ${task.completed ? 'completed' : ''}`;
+        li.className = `task-item ${task.completed ? 'completed' : ''} ${dueStatus || ''}`;
         li.dataset.taskId = task.id;
 
         li.innerHTML = `
+            <span class="task-drag-handle" aria-hidden="true" 
+                  title="Arraste para reordenar (ou Alt+↑/↓ no texto da tarefa)">⠿</span>
             <div class="task-checkbox ${task.completed ? 'checked' : ''}" 
                  onclick="TaskManager.toggleTask('${task.id}')"></div>
-            <span class="task-text">${escapeHtml(task.text)}</span>
+            <span class="task-text" tabindex="0" 
+                  title="Duplo clique, Enter ou F2 para editar; Alt+↑/↓ para mover">${escapeHtml(task.text)}</span>
+            ${createSubtaskProgressHtml(task)}
+            ${createLabelsHtml(task)}
+            ${createPriorityHtml(task)}
+            ${createDueHtml(task, dueStatus)}
+            ${createRecurrenceHtml(task)}
+            ${createFocusSummaryHtml(task)}
             <div class="task-actions">
+                <button class="task-btn checklist" 
+                        onclick="TaskManager.toggleSubtasks('${task.id}')" 
+                        title="Checklist da tarefa">
+                    ☑️
+                </button>
+                <button class="task-btn edit" 
+                        onclick="TaskManager.startEditing('${task.id}')" 
+                        title="Editar tarefa">
+                    ✏️
+                </button>
                 <button class="task-btn focus" 
                         onclick="TaskManager.setCurrentTask('${task.id}')" 
                         title="Iniciar foco nesta tarefa">
                     ⏱️
                 </button>
+                ${task.completed ? `
+                <button class="task-btn archive" 
+                        onclick="TaskManager.archiveTask('${task.id}')" 
+                        title="Arquivar tarefa">
+                    📦
+                </button>` : ''}
                 <button class="task-btn delete" 
                         onclick="TaskManager.deleteTask('${task.id}')" 
                         title="Excluir tarefa">
                     🗑️
                 </button>
             </div>
+            ${expandedTaskIds.has(task.id) ? createSubtaskPanelHtml(task) : ''}
         `;
 
         return li;
     }
 
+    /**
+     * Cria o indicador de progresso do checklist (ex.: "3/5")
+     * @param {Object} task - Objeto da tarefa
+     * @returns {string} HTML do indicador (vazio se não houver checklist)
+     */
+    function createSubtaskProgressHtml(task) {
+        const subtasks = task.subtasks || [];
+        if (subtasks.length === 0) return '';
+
+        const done = subtasks.filter(subtask => subtask.completed).length;
+        const complete = done === subtasks.length;
+
+        return `
+            <button class="task-subtask-progress ${complete ? 'complete' : ''}" 
+                    onclick="TaskManager.toggleSubtasks('${task.id}')" 
+                    aria-expanded="${expandedTaskIds.has(task.id)}" 
+                    title="${done} de ${subtasks.length} itens feitos">
+                ☑ ${done}/${subtasks.length}
+            </button>
+        `;
+    }
+
+    /**
+     * Cria o painel do checklist com os itens, o campo de novo item e a opção de conclusão automática
+     * @param {Object} task - Objeto da tarefa
+     * @returns {string} HTML do painel
+     */
+    function createSubtaskPanelHtml(task) {
+        const subtasks = task.subtasks || [];
+        const items = subtasks.map((subtask, index) => `
+            <li class="subtask-item ${subtask.completed ? 'completed' : ''}" data-subtask-id="${subtask.id}">
+                <div class="subtask-checkbox ${subtask.completed ? 'checked' : ''}" 
+                     onclick="TaskManager.toggleSubtask('${task.id}', '${subtask.id}')"></div>
+                <span class="subtask-text" tabindex="0" 
+                      title="Espaço marca, Delete exclui, Alt+↑/↓ move">${escapeHtml(subtask.text)}</span>
+                <div class="subtask-actions">
+                    <button class="task-btn" ${index === 0 ? 'disabled' : ''} 
+                            onclick="TaskManager.moveSubtask('${task.id}', '${subtask.id}', ${index - 1})" 
+                            title="Mover para cima">↑</button>
+                    <button class="task-btn" ${index === subtasks.length - 1 ? 'disabled' : ''} 
+                            onclick="TaskManager.moveSubtask('${task.id}', '${subtask.id}', ${index + 1})" 
+                            title="Mover para baixo">↓</button>
+                    <button class="task-btn delete" 
+                            onclick="TaskManager.deleteSubtask('${task.id}', '${subtask.id}')" 
+                            title="Excluir item">🗑️</button>
+                </div>
+            </li>
+        `).join('');
+
+        return `
+            <div class="subtask-panel">
+                <ul class="subtask-list">${items}</ul>
+                <input type="text" class="subtask-input" maxlength="100" 
+                       placeholder="Novo item do checklist (Enter para adicionar)" aria-label="Novo item do checklist">
+                <label class="subtask-auto">
+                    <input type="checkbox" ${task.autoComplete ? 'checked' : ''} 
+                           onchange="TaskManager.setAutoComplete('${task.id}', this.checked)">
+                    <span>Concluir a tarefa quando todos os itens estiverem feitos</span>
+                </label>
+            </div>
+        `;
+    }
+
+    /**
+     * Cria os selos de projeto e tags (clicar filtra a lista)
+     * @param {Object} task - Objeto da tarefa
+     * @returns {string} HTML dos selos (vazio se não houver)
+     */
+    function createLabelsHtml(task) {
+        const labels = [];
+
+        if (task.project) {
+            labels.push(`<button class="task-project" data-filter-project="${escapeHtml(task.project)}" 
+                onclick="TaskManager.setFilter({ project: this.dataset.filterProject })" 
+                title="Filtrar pelo projeto">+${escapeHtml(task.project)}</button>`);
+        }
+
+        (task.tags || []).forEach(tag => {
+            labels.push(`<button class="task-tag" data-filter-tag="${escapeHtml(tag)}" 
+                onclick="TaskManager.setFilter({ tag: this.dataset.filterTag })" 
+                title="Filtrar pela tag">#${escapeHtml(tag)}</button>`);
+        });
+
+        return labels.join('');
+    }
+
+    /**
+     * Cria o selo de prioridade de uma tarefa
+     * @param {Object} task - Objeto da tarefa
+     * @returns {string} HTML do selo (vazio se não houver prioridade)
+     */
+    function createPriorityHtml(task) {
+        const priority = PRIORITIES[task.priority];
+        if (!priority) return '';
+
+        return `<span class="task-priority priority-${task.priority}" title="Prioridade ${priority.label.toLowerCase()}">${priority.label}</span>`;
+    }
+
+    /**
+     * Cria as opções do seletor de prioridade
+     * @param {string|null} selected - Prioridade selecionada
+     * @returns {string} HTML das opções
+     */
+    function createPriorityOptionsHtml(selected) {
+        const options = [`<option value="">Sem prioridade</option>`];
+        Object.entries(PRIORITIES).forEach(([value, { label }]) => {
+            options.push(`<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`);
+        });
+        return options.join('');
+    }
+
+    /**
+     * Cria as opções do seletor de perfil do timer
+     * @param {string|null} selected - ID do perfil selecionado
+     * @returns {string} HTML das opções
+     */
+    function createProfileOptionsHtml(selected) {
+        const options = [`<option value="">Perfil do projeto</option>`];
+        TimerProfiles.getProfiles().forEach(profile => {
+            options.push(`<option value="${escapeHtml(profile.id)}" ${profile.id === selected ? 'selected' : ''}>⏱ ${escapeHtml(profile.name)}</option>`);
+        });
+        return options.join('');
+    }
+
+    /**
+     * Cria a indicação de vencimento de uma tarefa
+     * @param {Object} task - Objeto da tarefa
+     * @param {string|null} dueStatus - 'overdue', 'due-today' ou null
+     * @returns {string} HTML da indicação (vazio se não houver vencimento)
+     */
+    function createDueHtml(task, dueStatus) {
+        if (!task.dueDate) return '';
+
+        const [year, month, day] = task.dueDate.split('-');
+        let label = dueStatus === 'due-today' ? 'Hoje' : `${day}/${month}/${year}`;
+        if (task.dueTime) {
+            label += ` ${task.dueTime}`;
+        }
+        if (dueStatus === 'overdue') {
+            label = `Atrasada · ${label}`;
+        }
+
+        return `<span class="task-due" title="Vencimento">📅 ${escapeHtml(label)}</span>`;
+    }
+
+    /**
+     * Cria a indicação de repetição de uma tarefa
+     * @param {Object} task - Objeto da tarefa
+     * @returns {string} HTML da indicação (vazio se não repete)
+     */
+    function createRecurrenceHtml(task) {
+        const description = Recurrence.describe(task.recurrence);
+        if (!description) return '';
+
+        return `<span class="task-recurrence-badge" title="Repete: ${escapeHtml(description)}">🔁 ${escapeHtml(description)}</span>`;
+    }
+
+    /**
+     * Classifica o vencimento de uma tarefa pendente
+     * @param {Object} task - Objeto da tarefa
+     * @param {Date} now - Momento de referência (padrão: agora)
+     * @returns {string|null} 'overdue', 'due-today' ou null
+     */
+    function getDueStatus(task, now = new Date()) {
+        if (task.completed || !task.dueDate) return null;
+
+        const today = toDateKey(now);
+        if (task.dueDate < today) return 'overdue';
+        if (task.dueDate > today) return null;
+
+        // Vence hoje: com horário, fica atrasada depois dele
+        if (task.dueTime && getDueTimestamp(task) < now.getTime()) return 'overdue';
+        return 'due-today';
+    }
+
+    /**
+     * Calcula o momento do vencimento (fim do dia se não houver horário)
+     * @param {Object} task - Objeto da tarefa
+     * @returns {number} Timestamp em milissegundos (Infinity sem vencimento)
+     */
+    function getDueTimestamp(task) {
+        if (!task.dueDate) return Infinity;
+
+        const [year, month, day] = task.dueDate.split('-').map(Number);
+        const [hours, minutes] = task.dueTime ? task.dueTime.split(':').map(Number) : [23, 59];
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    }
+
+    /**
+     * Converte uma data em chave local no formato AAAA-MM-DD
+     * @param {Date} date - Data a ser convertida
+     * @returns {string} Data formatada
+     */
+    function toDateKey(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Obtém as tarefas na ordem de exibição escolhida
+     * @returns {Array} Cópia ordenada da lista (a ordem manual não é alterada)
+     */
+    function getSortedTasks() {
+        const manualOrder = new Map(tasks.map((task, index) => [task.id, index]));
+        const byManualOrder = (a, b) => manualOrder.get(a.id) - manualOrder.get(b.id);
+        const sorted = getActiveTasks();
+
+        switch (sortMode) {
+            case 'priority': {
+                const rank = task => (PRIORITIES[task.priority] ? PRIORITIES[task.priority].rank : Infinity);
+                return sorted.sort((a, b) => (rank(a) - rank(b)) || byManualOrder(a, b));
+            }
+            case 'dueDate':
+                // Sem vencimento vai para o fim
+                return sorted.sort((a, b) => {
+                    const diff = getDueTimestamp(a) - getDueTimestamp(b);
+                    return (Number.isNaN(diff) ? 0 : diff) || byManualOrder(a, b);
+                });
+            case 'created':
+                // Mais recentes primeiro
+                return sorted.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt) || byManualOrder(a, b));
+            default:
+                return sorted;
+        }
+    }
+
+    /**
+     * Verifica se uma tarefa passa pelos filtros ativos
+     * @param {Object} task - Objeto da tarefa
+     * @returns {boolean} True se a tarefa deve aparecer
+     */
+    function matchesFilter(task) {
+        if (filter.project && task.project !== filter.project) return false;
+        if (filter.tag && !(task.tags || []).includes(filter.tag)) return false;
+        if (filter.status === 'pending' && task.completed) return false;
+        if (filter.status === 'done' && !task.completed) return false;
+
+        if (filter.search) {
+            const haystack = [formatTaskText(task), ...(task.subtasks || []).map(subtask => subtask.text)]
+                .join(' ')
+                .toLowerCase();
+            if (!haystack.includes(filter.search.trim().toLowerCase())) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Obtém as tarefas visíveis: ordenadas e filtradas
+     * @returns {Array} Tarefas que passam pelos filtros
+     */
+    function getFilteredTasks() {
+        return getSortedTasks().filter(matchesFilter);
+    }
+
+    /**
+     * Verifica se há algum filtro ativo
+     * @returns {boolean} True se algum filtro estiver ativo
+     */
+    function isFilterActive() {
+        return Boolean(filter.project || filter.tag || filter.search.trim() || filter.status !== 'all');
+    }
+
+    /**
+     * Verifica se a lista pode ser reordenada (ordem manual e lista completa)
+     * @returns {boolean} True se a reordenação estiver disponível
+     */
+    function canReorder() {
+        return sortMode === 'manual' && !isFilterActive();
+    }
+
+    /**
+     * Altera os filtros da lista
+     * @param {Object} changes - Filtros a alterar { project, tag, status, search }
+     */
+    function setFilter(changes) {
+        const next = { ...filter };
+
+        if ('project' in changes) next.project = normalizeProject(changes.project) || '';
+        if ('tag' in changes) next.tag = normalizeTags([changes.tag])[0] || '';
+        if ('status' in changes) next.status = STATUS_FILTERS.includes(changes.status) ? changes.status : 'all';
+        if ('search' in changes) next.search = typeof changes.search === 'string' ? changes.search : '';
+
+        filter = next;
+        renderTasks();
+
+        // Dispara evento customizado
+        dispatchCustomEvent('taskFilterChanged', { filter: getFilter() });
+    }
+
+    /**
+     * Remove todos os filtros da lista
+     */
+    function clearFilter() {
+        setFilter({ project: '', tag: '', status: 'all', search: '' });
+    }
+
+    /**
+     * Obtém os filtros ativos
+     * @returns {Object} Cópia dos filtros { project, tag, status, search }
+     */
+    function getFilter() {
+        return { ...filter };
+    }
+
+    /**
+     * Obtém os projetos usados nas tarefas
+     * @returns {Array} Projetos em ordem alfabética
+     */
+    function getProjects() {
+        const projects = new Set(getActiveTasks().map(task => task.project).filter(Boolean));
+        return [...projects].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Obtém as tags usadas nas tarefas
+     * @returns {Array} Tags em ordem alfabética
+     */
+    function getTags() {
+        const tags = new Set(getActiveTasks().reduce((all, task) => all.concat(task.tags || []), []));
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Atualiza os campos da barra de filtros (opções e valores)
+     */
+    function renderFilterOptions() {
+        fillFilterSelect(elements.filterProject, getProjects(), filter.project, 'Todos os projetos', '+');
+        fillFilterSelect(elements.filterTag, getTags(), filter.tag, 'Todas as tags', '#');
+
+        if (elements.filterStatus) {
+            elements.filterStatus.value = filter.status;
+        }
+        if (elements.filterSearch && elements.filterSearch.value !== filter.search) {
+            elements.filterSearch.value = filter.search;
+        }
+        if (elements.clearFiltersBtn) {
+            elements.clearFiltersBtn.disabled = !isFilterActive();
+        }
+    }
+
+    /**
+     * Preenche um seletor de filtro com as opções disponíveis
+     * @param {HTMLSelectElement} select - Seletor
+     * @param {Array} values - Valores disponíveis
+     * @param {string} selected - Valor selecionado
+     * @param {string} allLabel - Texto da opção "todos"
+     * @param {string} prefix - Prefixo exibido ('+' ou '#')
+     */
+    function fillFilterSelect(select, values, selected, allLabel, prefix) {
+        if (!select) return;
+
+        // O valor filtrado continua disponível mesmo sem tarefas com ele
+        const options = selected && !values.includes(selected) ? [...values, selected] : values;
+
+        select.innerHTML = [`<option value="">${allLabel}</option>`]
+            .concat(options.map(value => `<option value="${escapeHtml(value)}">${prefix}${escapeHtml(value)}</option>`))
+            .join('');
+        select.value = selected;
+    }
+
+    /**
+     * Define o modo de ordenação da lista e o salva
+     * @param {string} mode - 'manual', 'priority', 'dueDate' ou 'created'
+     */
+    function setSortMode(mode) {
+        if (!SORT_MODES.includes(mode)) return;
+
+        sortMode = mode;
+        if (elements.sortSelect) {
+            elements.sortSelect.value = mode;
+        }
+
+        try {
+            Storage.saveTaskSort(mode);
+        } catch (error) {
+            console.error('Erro ao salvar ordenação das tarefas:', error);
+        }
+
+        renderTasks();
+        console.log('Ordenação das tarefas:', mode);
+    }
+
+    /**
+     * Obtém o modo de ordenação atual
+     * @returns {string} Modo de ordenação
+     */
+    function getSortMode() {
+        return sortMode;
+    }
+
+    /**
+     * Carrega o modo de ordenação salvo
+     */
+    function loadSortModeFromStorage() {
+        try {
+            const savedMode = Storage.loadTaskSort();
+            sortMode = SORT_MODES.includes(savedMode) ? savedMode : 'manual';
+        } catch (error) {
+            console.error('Erro ao carregar ordenação das tarefas:', error);
+            sortMode = 'manual';
+        }
+
+        if (elements.sortSelect) {
+            elements.sortSelect.value = sortMode;
+        }
+    }
+
+    /**
+     * Recarrega o modo de ordenação salvo (alterado em outra aba)
+     */
+    function reloadSortMode() {
+        loadSortModeFromStorage();
+        renderTasks();
+    }
+
+    /**
+     * Atualiza os destaques de vencimento (sem interromper uma edição)
+     */
+    function refreshDueFlags() {
+        if (!editingTaskId && !dragState && tasks.some(task => task.dueDate && !task.completed)) {
+            renderTasks();
+        }
+    }
+
+    /**
+     * Cria o resumo de tempo de foco e pomodoros de uma tarefa
+     * @param {Object} task - Objeto da tarefa
+     * @returns {string} HTML do resumo (vazio se não houver foco registrado)
+     */
+    function createFocusSummaryHtml(task) {
+        const summary = SessionHistory.getTaskSummary(task.id);
+        const actual = task.actualPomodoros || 0;
+        const estimate = task.estimatedPomodoros;
+        if (summary.focusSeconds === 0 && !estimate && summary.interruptions === 0) return '';
+
+        const minutes = Math.round(summary.focusSeconds / 60);
+        const pomodoros = estimate ? createEstimateDotsHtml(actual, estimate) : `🍅 ${actual}`;
+        const time = summary.focusSeconds > 0 ? ` · ${minutes} min` : '';
+        const interruptions = summary.interruptions > 0 ? ` · ⚡${summary.interruptions}` : '';
+        const title = (estimate
+            ? `${actual} de ${estimate} pomodoro(s) estimado(s), ${minutes} min de foco`
+            : `${actual} pomodoro(s), ${minutes} min de foco`) +
+            (summary.interruptions > 0 ? `, ${summary.interruptions} interrupção(ões)` : '');
+
+        return `
+            <span class="task-focus-summary" title="${title}">
+                ${pomodoros}${time}${interruptions}
+            </span>
+        `;
+    }
+
+    /**
+     * Cria os marcadores da estimativa: ● pomodoro feito, ○ pomodoro que falta
+     * e ● destacado para os que passaram da estimativa
+     * @param {number} actual - Pomodoros feitos
+     * @param {number} estimate - Pomodoros estimados
+     * @returns {string} HTML dos marcadores
+     */
+    function createEstimateDotsHtml(actual, estimate) {
+        const total = Math.max(actual, estimate);
+        const dots = [];
+
+        for (let i = 0; i < Math.min(total, MAX_ESTIMATE_DOTS); i++) {
+            if (i >= actual) {
+                dots.push('○');
+            } else if (i >= estimate) {
+                dots.push('<span class="estimate-over">●</span>');
+            } else {
+                dots.push('●');
+            }
+        }
+
+        const hidden = total - MAX_ESTIMATE_DOTS;
+        const more = hidden > 0 ? ` +${hidden}` : '';
+
+        return `<span class="task-estimate" aria-label="${actual} de ${estimate} pomodoros">${dots.join('')}${more}</span>`;
+    }
+
     /**
      * Escapa HTML para evitar XSS
      * @param {string} text - Texto a ser escapado
@@ -310,7 +2509,8 @@ const TaskManager = (function() {
      * Atualiza as estatísticas na interface
      */
     function updateStats() {
-        const stats = getTaskStats();
+        // Com filtro ativo, os números se referem às tarefas filtradas
+        const stats = getTaskStats(getFilteredTasks());
         
         if (elements.totalTasks) {
             elements.totalTasks.textContent = stats.total;
@@ -326,7 +2526,7 @@ const TaskManager = (function() {
      */
     function toggleEmptyState() {
         if (elements.emptyState) {
-            if (tasks.length === 0) {
+            if (getActiveTasks().length === 0) {
                 elements.emptyState.style.display = 'block';
                 if (elements.tasksList) {
                     elements.tasksList.style.display = 'none';
@@ -356,6 +2556,26 @@ const TaskManager = (function() {
         }
     }
 
+    /**
+     * Recarrega as tarefas do localStorage (após importar dados, por exemplo)
+     */
+    function reloadTasks() {
+        const previous = tasks;
+        loadTasksFromStorage();
+
+        // Descarta a tarefa atual se ela não existir mais
+        if (currentTaskId && !tasks.some(t => t.id === currentTaskId)) {
+            currentTaskId = null;
+        }
+
+        // O histórico local só é descartado se mexe nas tarefas que mudaram
+        rebaseHistory(previous);
+        editingTaskId = null;
+
+        renderTasks();
+        dispatchCustomEvent('tasksReloaded', { tasks: getAllTasks() });
+    }
+
     /**
      * Salva tarefas no localStorage
      */
@@ -384,8 +2604,10 @@ const TaskManager = (function() {
      * Limpa todas as tarefas
      */
     function clearAllTasks() {
+        const before = snapshotTasks();
         tasks = [];
         currentTaskId = null;
+        pushUndo('Remover todas as tarefas', before);
         saveTasksToStorage();
         renderTasks();
         
@@ -399,12 +2621,16 @@ const TaskManager = (function() {
      * Marca todas as tarefas como concluídas
      */
     function completeAllTasks() {
-        tasks.forEach(task => {
-            if (!task.completed) {
-                task.completed = true;
-                task.completedAt = new Date().toISOString();
-            }
+        const before = snapshotTasks();
+        tasks.filter(task => !task.completed).forEach(task => {
+            task.completed = true;
+            task.completedAt = new Date().toISOString();
+            task.updatedAt = task.completedAt;
+
+            // As próximas ocorrências das recorrentes continuam pendentes
+            createNextOccurrence(task);
         });
+        pushUndo('Concluir todas as tarefas', before);
         
         saveTasksToStorage();
         renderTasks();
@@ -420,17 +2646,64 @@ const TaskManager = (function() {
         // Funções principais
         init,
         addTask,
+        addTasks,
+        editTask,
+        updateTask,
+        moveTask,
+        startEditing,
         toggleTask,
         deleteTask,
         setCurrentTask,
         getCurrentTask,
+        creditPomodoros,
         getAllTasks,
         getTasksByStatus,
         getTaskStats,
+        getSortedTasks,
+        getDueStatus,
+        setSortMode,
+        getSortMode,
+        reloadSortMode,
+        
+        // Projetos, tags e filtros
+        parseTaskText,
+        formatTaskText,
+        setFilter,
+        clearFilter,
+        getFilter,
+        getFilteredTasks,
+        getProjects,
+        getTags,
+        normalizeTask,
+        
+        // Arquivo
+        archiveTask,
+        archiveCompletedTasks,
+        autoArchiveTasks,
+        restoreTask,
+        getActiveTasks,
+        getArchivedTasks,
+        
+        // Checklist (subtarefas)
+        addSubtask,
+        toggleSubtask,
+        deleteSubtask,
+        moveSubtask,
+        setAutoComplete,
+        toggleSubtasks,
+        
+        // Desfazer/refazer
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        getUndoId,
+        getRedoId,
         
         // Funções utilitárias
         clearAllTasks,
         completeAllTasks,
+        reloadTasks,
         renderTasks,
         updateStats
     };
@@ -3,33 +3,83 @@
  * Gerencia o cronômetro com alternância entre foco e pausa
  * 
  * Funcionalidades:
- * - Timer de foco (25 min) e pausa (5 min)
+ * - Timer de foco (25 min), pausa (5 min) e pausa longa (15 min)
  * - Iniciar, pausar e resetar timer
- * - Alternância automática entre modos
- * - Notificações sonoras e visuais
+ * - Tempo calculado pelo relógio (resiste a abas em segundo plano e suspensão)
+ * - Restauração da sessão em andamento após recarregar a página
+ * - Alternância automática no ritmo foco → pausa → ... → pausa longa
+ * - Ações do alerta de fim de fase: iniciar a próxima fase, prorrogar (+5 min) ou pular
+ * - Interrupções (internas ou externas) anotadas no foco em andamento e
+ *   gravadas com a sessão; o pomodoro interrompido pode ser anulado
+ * - Aviso de fim de fase para o serviço de notificações (phaseCompleted)
  * - Contador de ciclos completados
+ * - Registro de cada fase concluída ou interrompida no histórico
+ * - Uma única aba dona do timer em andamento (as demais apenas exibem)
  * - Integração com tarefas
  */
 
 const PomodoroTimer = (function() {
     'use strict';
 
+    // Intervalo de atualização da interface (o tempo real vem do relógio)
+    const TICK_INTERVAL_MS = 500;
+
+    // Espera entre o fim de uma fase e o início automático da próxima
+    const AUTO_SWITCH_DELAY_MS = 2000;
+
+    // Máximo de fases concluídas de uma vez ao recuperar uma sessão antiga,
+    // para que um timer esquecido aberto não acumule ciclos indefinidamente
+    const MAX_CATCH_UP_PHASES = 8;
+
+    // Por quanto tempo a fase concluída ainda pode ser prorrogada ("+5 min")
+    const EXTEND_WINDOW_MS = 15 * 60 * 1000;
+
+    // Tolerância após o fim da fase antes de suspeitar que a aba dona sumiu
+    const ORPHAN_GRACE_MS = 2000;
+
+    // Identificador desta aba: só a aba dona conclui fases e dispara alertas
+    const TAB_ID = Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+    // Tipos de interrupção: interna (vontade própria) ou externa (outra pessoa, telefone...)
+    const INTERRUPTION_TYPES = ['internal', 'external'];
+
+    // Tamanho máximo da anotação de uma interrupção
+    const MAX_INTERRUPTION_NOTE_LENGTH = 200;
+
+    // Nomes exibidos para cada modo
+    const MODE_LABELS = {
+        focus: 'Foco',
+        break: 'Pausa',
+        longBreak: 'Pausa Longa'
+    };
+
     // Estado interno do timer
     let timerState = {
         isRunning: false,
         isPaused: false,
-        currentMode: 'focus', // 'focus' ou 'break'
+        currentMode: 'focus', // 'focus', 'break' ou 'longBreak'
         timeRemaining: 25 * 60, // 25 minutos em segundos
         totalTime: 25 * 60,
-        cycles: 0
+        cycles: 0,
+        cyclesSinceLongBreak: 0, // Focos concluídos desde a última pausa longa
+        startedAt: null, // Timestamp (ms) do início da fase atual
+        endsAt: null,    // Timestamp (ms) do fim previsto da fase (só enquanto roda)
+        taskId: null,    // Tarefa em foco durante a sessão
+        ownerTabId: null, // Aba que controla a fase em andamento
+        extension: null, // Prorrogação em andamento: { nextMode } a retomar depois dela
+        lastCompleted: null, // Última fase concluída, alvo do "+5 min": { mode, endedAt }
+        interruptions: [] // Interrupções do foco em andamento: { type, note, at }
     };
 
     // Configurações do timer
     let config = {
         focusTime: 25 * 60,
         breakTime: 5 * 60,
+        longBreakTime: 15 * 60,
+        longBreakInterval: 4, // Focos antes de uma pausa longa
         autoSwitch: true,
-        soundEnabled: true
+        soundEnabled: true,
+        notificationsEnabled: true
     };
 
     // Referências aos elementos DOM
@@ -40,6 +90,7 @@ const PomodoroTimer = (function() {
         pauseBtn: null,
         resetBtn: null,
         cyclesCount: null,
+        cyclesRound: null,
         currentTask: null,
         currentTaskText: null,
         modeBtns: null
@@ -47,7 +98,7 @@ const PomodoroTimer = (function() {
 
     // Variáveis de controle
     let timerInterval = null;
-    let notificationTimeout = null;
+    let ownerCheckRequested = false;
 
     /**
      * Inicializa o módulo do timer
@@ -59,12 +110,24 @@ const PomodoroTimer = (function() {
         
         // Carrega configurações do localStorage
         loadConfigFromStorage();
+        applyMode(timerState.currentMode);
         
         // Carrega ciclos salvos
         loadCyclesFromStorage();
+
+        // Restaura uma sessão em andamento (após recarregar a página)
+        restoreTimerState();
+
+        // A sessão restaurada pertencia a outra aba (ou a esta, antes de recarregar)
+        if (timerState.isRunning && !timerState.isPaused && !isTimerOwner()) {
+            requestOwnerCheck();
+        }
         
         // Configura event listeners
         setupEventListeners();
+
+        // Registra os comandos do timer na paleta
+        registerCommands();
         
         // Atualiza a interface inicial
         updateDisplay();
@@ -73,6 +136,64 @@ const PomodoroTimer = (function() {
         console.log('Módulo do timer inicializado com sucesso');
     }
 
+    /**
+     * Registra os comandos do timer na paleta de comandos
+     */
+    function registerCommands() {
+        CommandPalette.registerCommand({
+            id: 'timer.start',
+            title: () => (timerState.isPaused ? 'Continuar timer' : `Iniciar timer (${MODE_LABELS[timerState.currentMode]})`),
+            section: 'Timer',
+            keywords: ['começar', 'play'],
+            isAvailable: () => !timerState.isRunning || timerState.isPaused,
+            run: startTimer
+        });
+
+        CommandPalette.registerCommand({
+            id: 'timer.pause',
+            title: 'Pausar timer',
+            section: 'Timer',
+            isAvailable: () => timerState.isRunning && !timerState.isPaused,
+            run: pauseTimer
+        });
+
+        CommandPalette.registerCommand({
+            id: 'timer.reset',
+            title: 'Resetar timer',
+            section: 'Timer',
+            keywords: ['reiniciar', 'zerar'],
+            run: resetTimer
+        });
+
+        CommandPalette.registerCommand({
+            id: 'timer.extend',
+            title: () => `Prorrogar ${MODE_LABELS[getExtendableMode()]} (+5 min)`,
+            section: 'Timer',
+            keywords: ['mais', 'adiar', 'soneca'],
+            isAvailable: () => Boolean(getExtendableMode()),
+            run: () => extendPhase(5)
+        });
+
+        CommandPalette.registerCommand({
+            id: 'timer.skip',
+            title: () => `Pular ${MODE_LABELS[getPendingMode()]}`,
+            section: 'Timer',
+            keywords: ['próxima', 'fase'],
+            isAvailable: () => !timerState.isPaused,
+            run: skipNextPhase
+        });
+
+        Object.entries(MODE_LABELS).forEach(([mode, label]) => {
+            CommandPalette.registerCommand({
+                id: `timer.mode.${mode}`,
+                title: `Modo do timer: ${label}`,
+                section: 'Timer',
+                isAvailable: () => timerState.currentMode !== mode,
+                run: () => switchMode(mode)
+            });
+        });
+    }
+
     /**
      * Configura os event listeners para controles do timer
      */
@@ -101,6 +222,9 @@ const PomodoroTimer = (function() {
 
         // Event listener para mudança de tarefa atual
         document.addEventListener('currentTaskChanged', handleCurrentTaskChanged);
+
+        // Event listener para tarefas removidas
+        document.addEventListener('taskDeleted', handleTaskDeleted);
     }
 
     /**
@@ -109,9 +233,29 @@ const PomodoroTimer = (function() {
      */
     function handleCurrentTaskChanged(event) {
         const task = event.detail.task;
+        const taskId = task ? task.id : null;
+
+        // Evita regravar quando a mudança veio de outra aba
+        if (timerState.taskId !== taskId) {
+            timerState.taskId = taskId;
+            saveTimerStateToStorage();
+        }
         updateCurrentTaskDisplay(task);
     }
 
+    /**
+     * Desvincula a tarefa atual quando ela é removida
+     * @param {CustomEvent} event - Evento de tarefa removida
+     */
+    function handleTaskDeleted(event) {
+        const task = event.detail.task;
+        if (task && task.id === timerState.taskId) {
+            timerState.taskId = null;
+            saveTimerStateToStorage();
+            updateCurrentTaskDisplay(null);
+        }
+    }
+
     /**
      * Atualiza a exibição da tarefa atual
      * @param {Object} task - Tarefa atual ou null
@@ -128,18 +272,30 @@ const PomodoroTimer = (function() {
     }
 
     /**
-     * Inicia o timer
+     * Inicia o timer (ou retoma, se estiver pausado)
      */
     function startTimer() {
+        if (timerState.isPaused) {
+            resumeTimer();
+            return;
+        }
         if (timerState.isRunning) return;
 
+        // Uma fase já concluída recomeça do tempo total
+        if (timerState.timeRemaining <= 0) {
+            timerState.timeRemaining = timerState.totalTime;
+        }
+
+        const now = Date.now();
         timerState.isRunning = true;
         timerState.isPaused = false;
+        timerState.lastCompleted = null; // Uma nova fase deixa a anterior para trás
+        timerState.startedAt = now;
+        timerState.endsAt = now + timerState.timeRemaining * 1000;
+        timerState.ownerTabId = TAB_ID;
 
-        // Configura o intervalo do timer
-        timerInterval = setInterval(() => {
-            tick();
-        }, 1000);
+        startTicking();
+        saveTimerStateToStorage();
 
         // Atualiza a interface
         updateButtonStates();
@@ -154,12 +310,18 @@ const PomodoroTimer = (function() {
     function pauseTimer() {
         if (!timerState.isRunning || timerState.isPaused) return;
 
+        // Congela o tempo restante calculado pelo relógio
+        timerState.timeRemaining = getRemainingSeconds(Date.now());
         timerState.isPaused = true;
-        clearInterval(timerInterval);
+        timerState.endsAt = null;
+
+        stopTicking();
+        saveTimerStateToStorage();
 
         // Atualiza a interface
         updateButtonStates();
         updateDisplayClass('paused');
+        updateDisplay();
 
         console.log('Timer pausado');
     }
@@ -170,23 +332,38 @@ const PomodoroTimer = (function() {
     function resumeTimer() {
         if (!timerState.isPaused) return;
 
+        // O novo prazo final parte do tempo que restava na pausa
         timerState.isPaused = false;
-        startTimer();
+        timerState.endsAt = Date.now() + timerState.timeRemaining * 1000;
+        timerState.ownerTabId = TAB_ID;
+
+        startTicking();
+        saveTimerStateToStorage();
+
+        // Atualiza a interface
+        updateButtonStates();
+        updateDisplayClass('running');
+
+        console.log('Timer retomado');
     }
 
     /**
      * Reseta o timer para o estado inicial
      */
     function resetTimer() {
-        // Para o timer se estiver rodando
-        if (timerState.isRunning) {
-            clearInterval(timerInterval);
-        }
+        recordAbortedSession();
+        stopTicking();
 
         // Reseta o estado
         timerState.isRunning = false;
         timerState.isPaused = false;
         timerState.timeRemaining = timerState.totalTime;
+        timerState.startedAt = null;
+        timerState.endsAt = null;
+        timerState.ownerTabId = null;
+        timerState.lastCompleted = null;
+
+        saveTimerStateToStorage();
 
         // Atualiza a interface
         updateButtonStates();
@@ -197,73 +374,305 @@ const PomodoroTimer = (function() {
     }
 
     /**
-     * Executa um tick do timer (decrementa 1 segundo)
+     * Inicia o intervalo que sincroniza a interface com o relógio
+     */
+    function startTicking() {
+        stopTicking();
+        timerInterval = setInterval(tick, TICK_INTERVAL_MS);
+    }
+
+    /**
+     * Para o intervalo de atualização
+     */
+    function stopTicking() {
+        if (timerInterval) {
+            clearInterval(timerInterval);
+            timerInterval = null;
+        }
+    }
+
+    /**
+     * Executa um tick do timer
      */
     function tick() {
-        if (timerState.timeRemaining > 0) {
-            timerState.timeRemaining--;
-            updateDisplay();
-        } else {
-            // Timer terminou
-            handleTimerComplete();
+        syncWithClock();
+    }
+
+    /**
+     * Calcula o tempo restante a partir do prazo final da fase
+     * @param {number} now - Timestamp atual em milissegundos
+     * @returns {number} Segundos restantes
+     */
+    function getRemainingSeconds(now) {
+        if (!timerState.isRunning || timerState.isPaused || !timerState.endsAt) {
+            return timerState.timeRemaining;
         }
+
+        const remaining = Math.ceil((timerState.endsAt - now) / 1000);
+        return Math.min(timerState.totalTime, Math.max(0, remaining));
     }
 
     /**
-     * Manipula a conclusão do timer
+     * Recalcula o tempo restante pelo relógio e conclui as fases cujo prazo
+     * já passou (aba em segundo plano, computador suspenso ou página fechada)
      */
-    function handleTimerComplete() {
-        // Para o timer
-        clearInterval(timerInterval);
-        timerState.isRunning = false;
-        timerState.isPaused = false;
+    function syncWithClock() {
+        if (!timerState.isRunning || timerState.isPaused) return;
 
-        // Toca notificação
-        playNotification();
+        const now = Date.now();
 
-        // Mostra notificação do navegador
-        showBrowserNotification();
+        if (now >= timerState.endsAt && isTimerOwner()) {
+            completeElapsedPhases(now);
+            return;
+        }
+
+        // Nas outras abas o display só acompanha; a aba dona conclui a fase
+        timerState.timeRemaining = getRemainingSeconds(now);
+        updateDisplay();
+
+        if (now >= timerState.endsAt + ORPHAN_GRACE_MS) {
+            requestOwnerCheck();
+        }
+    }
+
+    /**
+     * Verifica se esta aba controla a fase em andamento
+     * @returns {boolean} True se esta aba for a dona do timer
+     */
+    function isTimerOwner() {
+        return timerState.ownerTabId === TAB_ID;
+    }
+
+    /**
+     * Pede (uma vez por estado) que se confirme se a aba dona ainda existe
+     */
+    function requestOwnerCheck() {
+        if (ownerCheckRequested) return;
+
+        ownerCheckRequested = true;
+        dispatchCustomEvent('timerOwnerUnknown', { ownerTabId: timerState.ownerTabId });
+    }
+
+    /**
+     * Assume o timer em andamento quando a aba dona não existe mais
+     * @param {string|null} expectedOwnerTabId - Dona que se supõe ausente
+     * @returns {boolean} True se esta aba assumiu o timer
+     */
+    function claimOwnership(expectedOwnerTabId) {
+        // Outra aba já assumiu (ou o timer parou) desde a verificação
+        if (!timerState.isRunning || timerState.ownerTabId !== expectedOwnerTabId) {
+            return false;
+        }
+
+        timerState.ownerTabId = TAB_ID;
+        ownerCheckRequested = false;
+        saveTimerStateToStorage();
+
+        console.log('Esta aba assumiu o timer em andamento');
+
+        // Conclui o que já tiver vencido enquanto a aba dona estava ausente
+        syncWithClock();
+        return true;
+    }
+
+    /**
+     * Conclui todas as fases encerradas até o momento informado
+     * @param {number} now - Timestamp atual em milissegundos
+     */
+    function completeElapsedPhases(now) {
+        let completedPhases = 0;
+        let completedFocusCycles = 0;
+        let lastCompletedMode = null;
+
+        while (timerState.isRunning && !timerState.isPaused && now >= timerState.endsAt) {
+            const finishedAt = timerState.endsAt;
+            lastCompletedMode = timerState.currentMode;
+            timerState.lastCompleted = { mode: lastCompletedMode, endedAt: finishedAt };
+            completedPhases++;
+
+            // Uma prorrogação soma tempo de foco, mas não conta como outro pomodoro
+            endSession(timerState.extension ? 'extended' : 'completed', finishedAt, timerState.totalTime);
+
+            // Incrementa ciclos se for modo foco
+            if (timerState.currentMode === 'focus' && !timerState.extension) {
+                timerState.cycles++;
+                timerState.cyclesSinceLongBreak++;
+                completedFocusCycles++;
+            }
+
+            if (config.autoSwitch && completedPhases < MAX_CATCH_UP_PHASES) {
+                // A próxima fase começa a partir do prazo da anterior, não de agora
+                applyMode(getNextMode());
+                timerState.startedAt = finishedAt + AUTO_SWITCH_DELAY_MS;
+                timerState.endsAt = timerState.startedAt + timerState.totalTime * 1000;
+            } else {
+                timerState.isRunning = false;
+                timerState.timeRemaining = 0;
+                timerState.startedAt = null;
+                timerState.endsAt = null;
+                timerState.ownerTabId = null;
+            }
+        }
+
+        handleTimerComplete(lastCompletedMode, completedPhases, completedFocusCycles);
+    }
+
+    /**
+     * Manipula a conclusão de uma ou mais fases do timer
+     * @param {string} completedMode - Modo da última fase concluída
+     * @param {number} completedPhases - Quantidade de fases concluídas
+     * @param {number} completedFocusCycles - Quantas dessas fases eram de foco
+     */
+    function handleTimerComplete(completedMode, completedPhases, completedFocusCycles = 0) {
+        if (timerState.isRunning) {
+            timerState.timeRemaining = getRemainingSeconds(Date.now());
+        } else {
+            stopTicking();
+        }
+
+        saveCyclesToStorage();
+        saveTimerStateToStorage();
+
+        // Credita os ciclos de foco concluídos à tarefa em foco
+        if (completedFocusCycles > 0 && timerState.taskId) {
+            dispatchCustomEvent('pomodorosCompleted', { taskId: timerState.taskId, count: completedFocusCycles });
+        }
+
+        // Avisa o serviço de notificações (som, notificação do sistema, ações...)
+        dispatchCustomEvent('phaseCompleted', {
+            mode: completedMode,
+            nextMode: timerState.isRunning ? timerState.currentMode : getNextMode(),
+            isRunning: timerState.isRunning,
+            phases: completedPhases
+        });
 
         // Atualiza a interface
+        updateModeButtons();
         updateButtonStates();
-        updateDisplayClass('stopped');
+        updateDisplayClass(timerState.isRunning ? 'running' : 'stopped');
+        updateDisplay();
+        updateCyclesDisplay();
+
+        console.log(`Timer ${completedMode} concluído (${completedPhases} fase(s))`);
+    }
+
+    /**
+     * Publica o encerramento da fase atual para o histórico
+     * @param {string} status - 'completed', 'extended' (prorrogação concluída) ou 'aborted'
+     * @param {number} endedAt - Timestamp (ms) do fim da fase
+     * @param {number} actualDuration - Segundos efetivamente cronometrados
+     */
+    function endSession(status, endedAt, actualDuration) {
+        const startedAt = timerState.startedAt || endedAt - timerState.totalTime * 1000;
+
+        dispatchCustomEvent('timerSessionEnded', {
+            session: {
+                mode: timerState.currentMode,
+                status,
+                startedAt,
+                endedAt,
+                plannedDuration: timerState.totalTime,
+                actualDuration,
+                taskId: timerState.taskId,
+                interruptions: timerState.interruptions
+            }
+        });
+
+        // As interrupções pertencem à sessão encerrada
+        timerState.interruptions = [];
+    }
+
+    /**
+     * Registra como abortada (ou anulada) a fase iniciada que está sendo descartada
+     * @param {string} status - 'aborted' ou 'voided' (pomodoro anulado por interrupção)
+     */
+    function recordAbortedSession(status = 'aborted') {
+        if (!timerState.isRunning || !timerState.startedAt) return;
+
+        const now = Date.now();
+        const elapsed = timerState.totalTime - getRemainingSeconds(now);
 
-        // Incrementa ciclos se for modo foco
-        if (timerState.currentMode === 'focus') {
-            timerState.cycles++;
-            saveCyclesToStorage();
-            updateCyclesDisplay();
+        // Sem tempo decorrido, só vale registrar se houver interrupções anotadas
+        if (elapsed > 0 || timerState.interruptions.length > 0) {
+            endSession(status, now, elapsed);
         }
+    }
 
-        // Alterna automaticamente se configurado
-        if (config.autoSwitch) {
-            setTimeout(() => {
-                switchMode(timerState.currentMode === 'focus' ? 'break' : 'focus');
-                startTimer();
-            }, 2000); // Aguarda 2 segundos antes de alternar
+    /**
+     * Determina o modo seguinte no ritmo foco → pausa → ... → pausa longa
+     * @returns {string} Próximo modo
+     */
+    function getNextMode() {
+        // Ao fim de uma prorrogação, segue a fase que ela adiou
+        if (timerState.extension) {
+            return timerState.extension.nextMode;
         }
 
-        console.log(`Timer ${timerState.currentMode} concluído`);
+        return getModeAfter(timerState.currentMode);
     }
 
     /**
-     * Alterna entre os modos foco e pausa
-     * @param {string} mode - Novo modo ('focus' ou 'break')
+     * Determina o modo que vem depois de um modo no ritmo foco → pausa → ... → pausa longa
+     * @param {string} mode - Modo de referência
+     * @returns {string} Modo seguinte
      */
-    function switchMode(mode) {
-        if (mode === timerState.currentMode) return;
+    function getModeAfter(mode) {
+        if (mode !== 'focus') {
+            return 'focus';
+        }
 
-        // Para o timer se estiver rodando
-        if (timerState.isRunning) {
-            clearInterval(timerInterval);
-            timerState.isRunning = false;
-            timerState.isPaused = false;
+        return timerState.cyclesSinceLongBreak >= config.longBreakInterval ? 'longBreak' : 'break';
+    }
+
+    /**
+     * Obtém a duração configurada de um modo
+     * @param {string} mode - Modo do timer
+     * @returns {number} Duração em segundos
+     */
+    function getModeDuration(mode) {
+        if (mode === 'longBreak') {
+            return config.longBreakTime;
         }
+        return mode === 'focus' ? config.focusTime : config.breakTime;
+    }
 
-        // Atualiza o modo
+    /**
+     * Define o modo atual e o tempo total correspondente
+     * @param {string} mode - Modo ('focus', 'break' ou 'longBreak')
+     */
+    function applyMode(mode) {
         timerState.currentMode = mode;
-        timerState.totalTime = mode === 'focus' ? config.focusTime : config.breakTime;
+        timerState.totalTime = getModeDuration(mode);
         timerState.timeRemaining = timerState.totalTime;
+        timerState.extension = null;
+        timerState.interruptions = [];
+
+        // Uma pausa longa encerra a rodada de focos
+        if (mode === 'longBreak') {
+            timerState.cyclesSinceLongBreak = 0;
+        }
+    }
+
+    /**
+     * Alterna entre os modos foco, pausa e pausa longa
+     * @param {string} mode - Novo modo ('focus', 'break' ou 'longBreak')
+     */
+    function switchMode(mode) {
+        if (mode === timerState.currentMode || !MODE_LABELS[mode]) return;
+
+        // Para o timer se estiver rodando
+        recordAbortedSession();
+        stopTicking();
+        timerState.isRunning = false;
+        timerState.isPaused = false;
+        timerState.startedAt = null;
+        timerState.endsAt = null;
+        timerState.ownerTabId = null;
+        timerState.lastCompleted = null;
+
+        // Atualiza o modo
+        applyMode(mode);
+        saveTimerStateToStorage();
 
         // Atualiza botões de modo
         updateModeButtons();
@@ -272,10 +681,184 @@ const PomodoroTimer = (function() {
         updateDisplay();
         updateButtonStates();
         updateDisplayClass('stopped');
+        updateCyclesDisplay();
 
         console.log(`Modo alterado para: ${mode}`);
     }
 
+    /**
+     * Para a fase em andamento, registrando-a como interrompida
+     * @param {string} status - 'aborted' ou 'voided'
+     */
+    function stopRunningPhase(status = 'aborted') {
+        recordAbortedSession(status);
+        stopTicking();
+        timerState.isRunning = false;
+        timerState.isPaused = false;
+        timerState.startedAt = null;
+        timerState.endsAt = null;
+        timerState.ownerTabId = null;
+    }
+
+    /**
+     * Determina a fase a ser feita agora: a que está em andamento (ou ainda
+     * não começou) ou, com o timer parado no fim de uma fase, a seguinte
+     * @returns {string} Modo da fase pendente
+     */
+    function getPendingMode() {
+        if (timerState.isRunning || timerState.timeRemaining > 0) {
+            return timerState.currentMode;
+        }
+        return getNextMode();
+    }
+
+    /**
+     * Inicia a fase seguinte à que terminou (ação "Iniciar pausa"/"Iniciar foco")
+     * @returns {boolean} True se uma fase foi iniciada
+     */
+    function startNextPhase() {
+        // Com a alternância automática a próxima fase já está rodando
+        if (timerState.isRunning) return false;
+
+        const nextMode = getPendingMode();
+        if (nextMode !== timerState.currentMode) {
+            switchMode(nextMode);
+        } else if (timerState.timeRemaining <= 0) {
+            applyMode(nextMode);
+        }
+        startTimer();
+        return true;
+    }
+
+    /**
+     * Obtém o modo da fase que ainda pode ser prorrogada: a última concluída,
+     * se nenhuma outra fase foi iniciada depois dela e o prazo não passou
+     * @returns {string|null} Modo da fase ou null
+     */
+    function getExtendableMode() {
+        const last = timerState.lastCompleted;
+        if (!last || timerState.isPaused || Date.now() - last.endedAt > EXTEND_WINDOW_MS) {
+            return null;
+        }
+        return last.mode;
+    }
+
+    /**
+     * Prorroga a fase que acabou de terminar (ação "+5 min")
+     * A fase adiada volta a ser a próxima quando a prorrogação acabar
+     * @param {number} minutes - Minutos de prorrogação
+     * @returns {boolean} True se a prorrogação foi iniciada
+     */
+    function extendPhase(minutes = 5) {
+        const extendedMode = getExtendableMode();
+        if (!extendedMode) return false;
+
+        const nextMode = getPendingMode();
+        stopRunningPhase();
+
+        timerState.currentMode = extendedMode;
+        timerState.totalTime = Math.round(minutes * 60);
+        timerState.timeRemaining = timerState.totalTime;
+        timerState.extension = { nextMode };
+
+        updateModeButtons();
+        updateCyclesDisplay();
+        startTimer();
+        updateDisplay();
+
+        console.log(`Fase ${extendedMode} prorrogada por ${minutes} min`);
+        return true;
+    }
+
+    /**
+     * Pula a fase seguinte e inicia a que vem depois dela (ação "Pular")
+     * @returns {boolean} True se a fase foi pulada
+     */
+    function skipNextPhase() {
+        if (timerState.isPaused) return false;
+
+        const skippedMode = getPendingMode();
+        stopRunningPhase();
+
+        // Pular a pausa longa também encerra a rodada de focos
+        if (skippedMode === 'longBreak') {
+            timerState.cyclesSinceLongBreak = 0;
+        }
+
+        applyMode(getModeAfter(skippedMode));
+        updateModeButtons();
+        updateCyclesDisplay();
+        startTimer();
+        updateDisplay();
+
+        console.log(`Fase ${skippedMode} pulada`);
+        return true;
+    }
+
+    /**
+     * Verifica se há um foco iniciado (rodando ou pausado) para anotar interrupções
+     * @returns {boolean} True se o foco está em andamento
+     */
+    function isFocusInProgress() {
+        return timerState.isRunning && timerState.currentMode === 'focus';
+    }
+
+    /**
+     * Anota uma interrupção no foco em andamento
+     * @param {string} type - 'internal' ou 'external'
+     * @param {string} note - Anotação opcional
+     * @returns {Object|null} Interrupção anotada ou null fora de um foco
+     */
+    function logInterruption(type, note = '') {
+        if (!isFocusInProgress() || !INTERRUPTION_TYPES.includes(type)) return null;
+
+        const text = typeof note === 'string' ? note.trim().slice(0, MAX_INTERRUPTION_NOTE_LENGTH) : '';
+        const interruption = {
+            type,
+            note: text || null,
+            at: new Date().toISOString()
+        };
+
+        timerState.interruptions.push(interruption);
+        saveTimerStateToStorage();
+
+        console.log('Interrupção anotada:', interruption);
+
+        // Dispara evento customizado
+        dispatchCustomEvent('interruptionLogged', {
+            interruption,
+            taskId: timerState.taskId,
+            count: timerState.interruptions.length
+        });
+
+        return interruption;
+    }
+
+    /**
+     * Anula o pomodoro em andamento: a sessão é registrada como anulada,
+     * não conta como pomodoro e o foco volta ao tempo inicial
+     * @returns {boolean} True se o pomodoro foi anulado
+     */
+    function voidPomodoro() {
+        if (!isFocusInProgress()) return false;
+
+        stopRunningPhase('voided');
+        applyMode('focus');
+        saveTimerStateToStorage();
+
+        // Atualiza a interface
+        updateButtonStates();
+        updateDisplayClass('stopped');
+        updateDisplay();
+
+        console.log('Pomodoro anulado');
+
+        // Dispara evento customizado
+        dispatchCustomEvent('pomodoroVoided', { taskId: timerState.taskId });
+
+        return true;
+    }
+
     /**
      * Atualiza a exibição do timer
      */
@@ -290,8 +873,8 @@ const PomodoroTimer = (function() {
 
         // Atualiza o label do timer
         if (elements.timerLabel) {
-            const modeText = timerState.currentMode === 'focus' ? 'Foco' : 'Pausa';
-            elements.timerLabel.textContent = `Tempo de ${modeText}`;
+            const label = `Tempo de ${MODE_LABELS[timerState.currentMode]}`;
+            elements.timerLabel.textContent = timerState.extension ? `${label} (prorrogação)` : label;
         }
     }
 
@@ -350,51 +933,20 @@ const PomodoroTimer = (function() {
     }
 
     /**
-     * Atualiza a exibição dos ciclos
+     * Atualiza a exibição dos ciclos e do progresso até a pausa longa
      */
     function updateCyclesDisplay() {
         if (elements.cyclesCount) {
             elements.cyclesCount.textContent = timerState.cycles;
         }
-    }
 
-    /**
-     * Toca notificação sonora
-     */
-    function playNotification() {
-        if (!config.soundEnabled) return;
-
-        try {
-            const audio = document.getElementById('timer-sound');
-            if (audio) {
-                audio.currentTime = 0;
-                audio.play().catch(error => {
-                    console.warn('Erro ao tocar áudio:', error);
-                });
+        if (elements.cyclesRound) {
+            if (timerState.currentMode === 'longBreak') {
+                elements.cyclesRound.textContent = 'Pausa longa: rodada concluída!';
+            } else {
+                const done = Math.min(timerState.cyclesSinceLongBreak, config.longBreakInterval);
+                elements.cyclesRound.textContent = `${done}/${config.longBreakInterval} até a pausa longa`;
             }
-        } catch (error) {
-            console.warn('Erro ao tocar notificação sonora:', error);
-        }
-    }
-
-    /**
-     * Mostra notificação do navegador
-     */
-    function showBrowserNotification() {
-        if (!('Notification' in window)) return;
-
-        if (Notification.permission === 'granted') {
-            const modeText = timerState.currentMode === 'focus' ? 'Foco' : 'Pausa';
-            new Notification('FocusLite', {
-                body: `Tempo de ${modeText} concluído!`,
-                icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y=".9em" font-size="90">⏱️</text></svg>'
-            });
-        } else if (Notification.permission !== 'denied') {
-            Notification.requestPermission().then(permission => {
-                if (permission === 'granted') {
-                    showBrowserNotification();
-                }
-            });
         }
     }
 
@@ -448,12 +1000,97 @@ const PomodoroTimer = (function() {
         }
     }
 
+    /**
+     * Salva a sessão do timer no localStorage
+     */
+    function saveTimerStateToStorage() {
+        try {
+            Storage.saveTimerState({
+                currentMode: timerState.currentMode,
+                isRunning: timerState.isRunning,
+                isPaused: timerState.isPaused,
+                timeRemaining: timerState.timeRemaining,
+                totalTime: timerState.totalTime,
+                cyclesSinceLongBreak: timerState.cyclesSinceLongBreak,
+                startedAt: timerState.startedAt,
+                endsAt: timerState.endsAt,
+                taskId: timerState.taskId,
+                ownerTabId: timerState.ownerTabId,
+                extension: timerState.extension,
+                lastCompleted: timerState.lastCompleted,
+                interruptions: timerState.interruptions
+            });
+        } catch (error) {
+            console.error('Erro ao salvar estado do timer:', error);
+        }
+
+        // Avisa quem acompanha o timer (ex.: tique-taque e som ambiente)
+        dispatchCustomEvent('timerStateChanged', { state: getTimerState() });
+    }
+
+    /**
+     * Restaura a sessão salva e conclui as fases que terminaram
+     * enquanto a página estava fechada
+     */
+    function restoreTimerState() {
+        try {
+            const saved = Storage.loadTimerState();
+            if (!saved || !MODE_LABELS[saved.currentMode]) return;
+
+            timerState.currentMode = saved.currentMode;
+            timerState.totalTime = saved.totalTime;
+            timerState.timeRemaining = saved.timeRemaining;
+            timerState.isRunning = Boolean(saved.isRunning);
+            timerState.isPaused = Boolean(saved.isPaused);
+            timerState.cyclesSinceLongBreak = saved.cyclesSinceLongBreak || 0;
+            timerState.startedAt = saved.startedAt || null;
+            timerState.endsAt = saved.endsAt || null;
+            timerState.taskId = saved.taskId || null;
+            timerState.ownerTabId = saved.ownerTabId || null;
+            timerState.extension = saved.extension && MODE_LABELS[saved.extension.nextMode]
+                ? { nextMode: saved.extension.nextMode }
+                : null;
+            timerState.lastCompleted = saved.lastCompleted && MODE_LABELS[saved.lastCompleted.mode]
+                ? { mode: saved.lastCompleted.mode, endedAt: saved.lastCompleted.endedAt }
+                : null;
+            timerState.interruptions = Array.isArray(saved.interruptions)
+                ? saved.interruptions.filter(interruption => interruption && INTERRUPTION_TYPES.includes(interruption.type))
+                : [];
+            ownerCheckRequested = false;
+
+            // Sessão rodando sem prazo final é inconsistente: volta ao estado parado
+            if (timerState.isRunning && !timerState.isPaused && !timerState.endsAt) {
+                timerState.isRunning = false;
+                timerState.timeRemaining = timerState.totalTime;
+            }
+
+            updateModeButtons();
+
+            if (timerState.isRunning && !timerState.isPaused) {
+                syncWithClock();
+                if (timerState.isRunning) {
+                    startTicking();
+                    updateDisplayClass('running');
+                }
+            } else if (timerState.isPaused) {
+                updateDisplayClass('paused');
+            } else {
+                updateDisplayClass('stopped');
+            }
+
+            updateButtonStates();
+            console.log('Sessão do timer restaurada:', timerState);
+        } catch (error) {
+            console.error('Erro ao restaurar estado do timer:', error);
+        }
+    }
+
     /**
      * Obtém o estado atual do timer
      * @returns {Object} Estado atual do timer
      */
     function getTimerState() {
-        return { ...timerState };
+        return { ...timerState, timeRemaining: getRemainingSeconds(Date.now()) };
     }
 
     /**
@@ -474,14 +1111,53 @@ const PomodoroTimer = (function() {
         
         // Atualiza o timer se não estiver rodando
         if (!timerState.isRunning) {
-            if (timerState.currentMode === 'focus') {
-                timerState.totalTime = config.focusTime;
-            } else {
-                timerState.totalTime = config.breakTime;
-            }
+            timerState.totalTime = getModeDuration(timerState.currentMode);
             timerState.timeRemaining = timerState.totalTime;
+            saveTimerStateToStorage();
             updateDisplay();
         }
+
+        updateCyclesDisplay();
+    }
+
+    /**
+     * Recarrega configurações e ciclos do localStorage (após importar dados)
+     */
+    function reloadFromStorage() {
+        loadConfigFromStorage();
+        loadCyclesFromStorage();
+
+        if (!timerState.isRunning) {
+            timerState.totalTime = getModeDuration(timerState.currentMode);
+            timerState.timeRemaining = timerState.totalTime;
+            updateDisplay();
+        }
+
+        updateCyclesDisplay();
+    }
+
+    /**
+     * Aplica a sessão gravada por outra aba (início, pausa, troca de modo...)
+     */
+    function reloadTimerState() {
+        stopTicking();
+        restoreTimerState();
+
+        if (!timerState.taskId) {
+            updateCurrentTaskDisplay(null);
+        }
+
+        updateDisplay();
+        updateCyclesDisplay();
+        dispatchCustomEvent('timerStateChanged', { state: getTimerState() });
+    }
+
+    /**
+     * Obtém o identificador desta aba
+     * @returns {string} Identificador da aba
+     */
+    function getTabId() {
+        return TAB_ID;
     }
 
     /**
@@ -504,6 +1180,19 @@ const PomodoroTimer = (function() {
         return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Dispara um evento customizado
+     * @param {string} eventName - Nome do evento
+     * @param {Object} detail - Dados do evento
+     */
+    function dispatchCustomEvent(eventName, detail) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+
     // Retorna a API pública do módulo
     return {
         // Funções principais
@@ -513,13 +1202,31 @@ const PomodoroTimer = (function() {
         resumeTimer,
         resetTimer,
         switchMode,
+        syncWithClock,
+
+        // Ações do alerta de fim de fase
+        startNextPhase,
+        extendPhase,
+        skipNextPhase,
+        getPendingMode,
+        getExtendableMode,
+
+        // Interrupções do foco
+        logInterruption,
+        voidPomodoro,
+        isFocusInProgress,
         
         // Funções de configuração
         getConfig,
         updateConfig,
+        reloadFromStorage,
+        reloadTimerState,
         
         // Funções de estado
         getTimerState,
+        getTabId,
+        isTimerOwner,
+        claimOwnership,
         getFormattedTimeRemaining,
         getFormattedTotalTime,
         
@@ -0,0 +1,141 @@
+/**
+ * Service Worker do FocusLite
+ * Permite instalar o aplicativo e usá-lo sem conexão
+ *
+ * Funcionalidades:
+ * - Guardar em cache a página, os estilos, os módulos JS e os ícones na instalação
+ * - Responder do cache (e da rede só para o que não estiver nele)
+ * - Esperar a confirmação da página antes de ativar uma nova versão
+ * - Mostrar as notificações de fim do timer e abrir/focar o app ao clicar nelas
+ * - Repassar ao app o botão escolhido na notificação (iniciar, +5 min, pular)
+ *
+ * Ao publicar uma nova versão, altere CACHE_VERSION para que os navegadores
+ * baixem os arquivos novos e a página ofereça a atualização.
+ */
+
+'use strict';
+
+// Versão do cache (altere a cada publicação)
+const CACHE_VERSION = 'v5';
+
+// Nome do cache desta versão
+const CACHE_NAME = `focuslite-${CACHE_VERSION}`;
+
+// Arquivos necessários para o app funcionar offline
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'js/storage-backends.js',
+    'js/recurrence.js',
+    'js/quickadd.js',
+    'js/storage.js',
+    'js/history.js',
+    'js/tasks.js',
+    'js/timer.js',
+    'js/settings.js',
+    'js/profiles.js',
+    'js/stats.js',
+    'js/backup.js',
+    'js/export.js',
+    'js/sync.js',
+    'js/palette.js',
+    'js/archive.js',
+    'js/offline.js',
+    'js/sound.js',
+    'js/notifications.js',
+    'js/interruptions.js',
+    'js/router.js',
+    'js/app.js'
+];
+
+// Mensagem da página confirmando a atualização
+const SKIP_WAITING_MESSAGE = 'skipWaiting';
+
+/**
+ * Instalação: guarda todos os arquivos no cache da nova versão
+ * A nova versão fica esperando até a página confirmar a atualização
+ */
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+/**
+ * Ativação: remove os caches de versões anteriores e assume as páginas abertas
+ */
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('focuslite-') && name !== CACHE_NAME)
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Requisições: responde do cache e, sem ele, busca na rede
+ * Navegações sem conexão recebem a página principal
+ */
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(request).catch(error => {
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                throw error;
+            });
+        })
+    );
+});
+
+/**
+ * Mensagens da página: a confirmação ativa a versão que está esperando
+ */
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === SKIP_WAITING_MESSAGE) {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Clique na notificação: foca uma janela do app (ou abre uma) na página indicada
+ * O botão escolhido vai por mensagem ou, com o app fechado, pela URL
+ */
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+
+    const page = (event.notification.data && event.notification.data.page) || '';
+    const action = event.action || '';
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const client = windows.find(win => win.url.startsWith(self.registration.scope));
+            if (client) {
+                client.postMessage({ type: 'notificationClick', page, action });
+                return client.focus();
+            }
+
+            const query = action ? `?alertAction=${encodeURIComponent(action)}` : '';
+            const url = new URL(`./${query}${page ? `#${page}` : ''}`, self.registration.scope).href;
+            return self.clients.openWindow(url);
+        })
+    );
+});
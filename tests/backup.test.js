@@ -0,0 +1,175 @@
+/**
+ * Testes da validação e importação de backups (js/backup.js)
+ * Executar com: node tests/backup.test.js
+ */
+
+const assert = require('assert');
+
+// Ambiente mínimo do navegador: os módulos usam localStorage e eventos do document
+const store = new Map();
+global.localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key),
+    key: index => [...store.keys()][index] || null,
+    get length() { return store.size; }
+};
+global.document = { dispatchEvent() {}, addEventListener() {} };
+global.CustomEvent = class CustomEvent {
+    constructor(type, init) {
+        this.type = type;
+        this.detail = init && init.detail;
+    }
+};
+
+// Os módulos registram cada leitura e gravação no console
+const log = console.log;
+console.log = () => {};
+
+// Mesma ordem do index.html
+global.StorageBackends = require('../js/storage-backends.js');
+global.Recurrence = require('../js/recurrence.js');
+global.QuickAddParser = require('../js/quickadd.js');
+global.Storage = require('../js/storage.js');
+global.SessionHistory = require('../js/history.js');
+global.TaskManager = require('../js/tasks.js');
+global.PomodoroTimer = require('../js/timer.js');
+global.SettingsManager = require('../js/settings.js');
+global.TimerProfiles = require('../js/profiles.js');
+global.SoundEngine = require('../js/sound.js');
+const DataBackup = require('../js/backup.js');
+
+/**
+ * Monta um backup válido com os dados informados
+ * @param {Object} data - Campos de "data" a sobrescrever
+ * @returns {Object} Backup
+ */
+function createBackup(data) {
+    return {
+        format: 'focuslite-backup',
+        version: 1,
+        schemaVersion: Storage.CURRENT_SCHEMA_VERSION,
+        data: {
+            tasks: [{ id: 'abc123', text: 'Revisar contrato' }],
+            history: [{ id: 'def456', mode: 'focus', status: 'completed', startedAt: '2026-10-19T10:00:00.000Z', endedAt: '2026-10-19T10:25:00.000Z', plannedDuration: 1500, actualDuration: 1500 }],
+            cycles: 1,
+            ...data
+        }
+    };
+}
+
+const cases = [
+    {
+        name: 'aceita um backup válido',
+        run: () => assert.deepStrictEqual(DataBackup.validateBackup(createBackup({})), [])
+    },
+    {
+        name: 'recusa id de tarefa que escapa do atributo onclick',
+        run: () => {
+            const errors = DataBackup.validateBackup(createBackup({ tasks: [{ id: "x');alert(1);('", text: 'Tarefa' }] }));
+            assert.strictEqual(errors.length, 1);
+        }
+    },
+    {
+        name: 'recusa id de item do checklist fora do formato',
+        run: () => {
+            const task = { id: 'abc123', text: 'Tarefa', subtasks: [{ id: '"><img src=x>', text: 'Item' }] };
+            assert.strictEqual(DataBackup.validateBackup(createBackup({ tasks: [task] })).length, 1);
+        }
+    },
+    {
+        name: 'recusa ids de tarefa repetidos',
+        run: () => {
+            const tasks = [{ id: 'abc123', text: 'A' }, { id: 'abc123', text: 'B' }];
+            assert.strictEqual(DataBackup.validateBackup(createBackup({ tasks })).length, 1);
+        }
+    },
+    {
+        name: 'substituição não grava backup com id malicioso',
+        run: () => {
+            Storage.saveTasks([{ id: 'local1', text: 'Local' }]);
+            const backup = createBackup({ tasks: [{ id: "x');alert(1);('", text: 'Tarefa' }] });
+            assert.throws(() => DataBackup.importBackup(backup, 'replace'));
+            assert.deepStrictEqual(Storage.loadTasks().map(task => task.id), ['local1']);
+        }
+    },
+    {
+        name: 'recusa sessão sem id',
+        run: () => {
+            const history = [{ mode: 'focus', startedAt: '2026-10-19T10:00:00.000Z', plannedDuration: 1500, actualDuration: 1500 }];
+            assert.strictEqual(DataBackup.validateBackup(createBackup({ history })).length, 1);
+        }
+    },
+    {
+        name: 'recusa sessão sem início, modo ou durações numéricas',
+        run: () => {
+            const history = [
+                { id: 'a1', mode: 'focus', plannedDuration: 1500, actualDuration: 1500 },
+                { id: 'a2', mode: 'nap', startedAt: '2026-10-19T10:00:00.000Z', plannedDuration: 1500, actualDuration: 1500 },
+                { id: 'a3', mode: 'focus', startedAt: '2026-10-19T10:00:00.000Z', plannedDuration: '1500', actualDuration: 1500 }
+            ];
+            assert.strictEqual(DataBackup.validateBackup(createBackup({ history })).length, 3);
+        }
+    },
+    {
+        name: 'descarta vencimento malformado ao importar',
+        run: () => {
+            const tasks = [
+                { id: 'abc1', text: 'Data em lista', dueDate: ['2026-10-20'], dueTime: '10:00' },
+                { id: 'abc2', text: 'Data numérica', dueDate: 20261020 },
+                { id: 'abc3', text: 'Horário com HTML', dueDate: '2026-10-20', dueTime: '<img src=x onerror=alert(1)>' }
+            ];
+            DataBackup.importBackup(createBackup({ tasks }), 'replace');
+            const imported = Storage.loadTasks();
+            assert.deepStrictEqual(imported.map(task => [task.dueDate, task.dueTime]), [[null, null], [null, null], ['2026-10-20', null]]);
+        }
+    },
+    {
+        name: 'normaliza os demais campos das tarefas importadas',
+        run: () => {
+            const tasks = [{ id: 'abc1', text: 'Tarefa', priority: 'constructor', project: 'Casa Nova', tags: ['Urgente', 'urgente'], estimatedPomodoros: 99, recurrence: { type: 'never' } }];
+            DataBackup.importBackup(createBackup({ tasks }), 'replace');
+            const [task] = Storage.loadTasks();
+            assert.deepStrictEqual(
+                [task.priority, task.project, task.tags, task.estimatedPomodoros, task.recurrence],
+                [null, 'casanova', ['urgente'], null, null]
+            );
+        }
+    },
+    {
+        name: 'configuração e perfis fora das regras voltam ao padrão',
+        run: () => {
+            const timerConfig = { focusTime: 'abc', breakTime: -5, longBreakInterval: 6, alarmSound: '<b>', soundEnabled: false };
+            const timerProfiles = { profiles: [{ id: 'p1', name: 'Perfil', focusTime: -300, breakTime: 600 }], activeProfileId: 'p1' };
+            DataBackup.importBackup(createBackup({ timerConfig, timerProfiles }), 'replace');
+
+            const defaults = Storage.getDefaultTimerConfig();
+            const config = Storage.loadTimerConfig();
+            assert.deepStrictEqual(
+                [config.focusTime, config.breakTime, config.longBreakInterval, config.alarmSound, config.soundEnabled],
+                [defaults.focusTime, defaults.breakTime, 6, defaults.alarmSound, false]
+            );
+
+            const [profile] = TimerProfiles.getProfiles();
+            assert.deepStrictEqual([profile.focusTime, profile.breakTime], [defaults.focusTime, 600]);
+        }
+    }
+];
+
+let failures = 0;
+
+cases.forEach(({ name, run }) => {
+    try {
+        run();
+        log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+});
+
+if (failures > 0) {
+    console.error(`\n${failures} teste(s) falharam`);
+    process.exit(1);
+}
+log(`\n${cases.length} testes passaram`);
@@ -0,0 +1,108 @@
+/**
+ * Testes da adição rápida (js/quickadd.js)
+ * Executar com: node tests/quickadd.test.js
+ */
+
+const assert = require('assert');
+const QuickAddParser = require('../js/quickadd.js');
+
+// Segunda-feira, 19/10/2026, 10:00
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const cases = [
+    {
+        name: 'reconhece todos os campos do exemplo',
+        input: 'Revisar PR amanhã 14h !alta #trabalho ~3 pomodoros',
+        expected: { text: 'Revisar PR', dueDate: '2026-10-20', dueTime: '14:00', priority: 'high', estimate: 3, tags: ['trabalho'] }
+    },
+    {
+        name: 'ordinal "segunda" no meio do texto não é dia da semana',
+        input: 'Fazer a segunda revisão',
+        expected: { text: 'Fazer a segunda revisão', dueDate: null }
+    },
+    {
+        name: 'dia da semana com preposição vale em qualquer posição',
+        input: 'Entregar na segunda o relatório',
+        expected: { text: 'Entregar o relatório', dueDate: '2026-10-19' }
+    },
+    {
+        name: 'dia da semana sem preposição vale no fim do texto',
+        input: 'Reunião sexta às 9',
+        expected: { text: 'Reunião', dueDate: '2026-10-23', dueTime: '09:00' }
+    },
+    {
+        name: 'artigo "as" seguido de número não é horário',
+        input: 'Ligar as 9 pessoas',
+        expected: { text: 'Ligar as 9 pessoas', dueTime: null, dueDate: null }
+    },
+    {
+        name: '"às" com acento é horário em qualquer posição',
+        input: 'Ligar às 9 para o cliente',
+        expected: { text: 'Ligar para o cliente', dueDate: '2026-10-20', dueTime: '09:00' }
+    },
+    {
+        name: 'fração no meio do texto não é data',
+        input: 'Estudar cap 10/12 do livro',
+        expected: { text: 'Estudar cap 10/12 do livro', dueDate: null }
+    },
+    {
+        name: 'dia/mês com preposição é data',
+        input: 'Estudar cap 3 até 10/12 com calma',
+        expected: { text: 'Estudar cap 3 com calma', dueDate: '2026-12-10' }
+    },
+    {
+        name: 'mês em inglês no meio do texto não é data',
+        input: 'I may 5 go',
+        expected: { text: 'I may 5 go', dueDate: null }
+    },
+    {
+        name: 'barra mantém a palavra no texto',
+        input: 'Revisão \\1/2',
+        expected: { text: 'Revisão 1/2', dueDate: null }
+    },
+    {
+        name: 'aspas mantêm o trecho no texto',
+        input: 'Ler "Cem dias de sexta" amanhã',
+        expected: { text: 'Ler "Cem dias de sexta"', dueDate: '2026-10-20' }
+    },
+    {
+        name: 'barra mantém projeto e tag no texto',
+        input: 'Comprar \\+1 \\#2 +casa',
+        expected: { text: 'Comprar +1 #2', project: 'casa', tags: [] }
+    },
+    {
+        name: 'projeto e tag ficam em minúsculas',
+        input: 'Revisar contrato +Trabalho #Urgente',
+        expected: { text: 'Revisar contrato', project: 'trabalho', tags: ['urgente'] }
+    }
+];
+
+let failures = 0;
+
+cases.forEach(({ name, input, expected }) => {
+    const result = QuickAddParser.parse(input, NOW);
+    try {
+        Object.entries(expected).forEach(([field, value]) => {
+            assert.deepStrictEqual(result[field], value, `${field} de "${input}"`);
+        });
+        console.log(`✓ ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`✗ ${name}\n  ${error.message}`);
+    }
+});
+
+// As posições dos trechos apontam para o texto digitado (usadas pelos chips da prévia)
+const input = 'Revisar PR amanhã 14h #trabalho';
+QuickAddParser.parse(input, NOW).matches.forEach(match => {
+    if (input.substr(match.index, match.text.length) !== match.text) {
+        failures++;
+        console.error(`✗ posição de "${match.text}" em "${input}"`);
+    }
+});
+
+if (failures > 0) {
+    console.error(`\n${failures} teste(s) falharam`);
+    process.exit(1);
+}
+console.log(`\n${cases.length} testes passaram`);